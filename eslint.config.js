@@ -0,0 +1,34 @@
+import js from '@eslint/js';
+import globals from 'globals';
+import prettierRecommended from 'eslint-plugin-prettier/recommended';
+
+export default [
+  {
+    ignores: ['dist/', 'public/'],
+  },
+  js.configs.recommended,
+  prettierRecommended,
+  {
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: {
+        ...globals.browser,
+        ...globals.node,
+      },
+    },
+    rules: {
+      'no-unused-vars': 'warn',
+      'no-console': 'off',
+      'prettier/prettier': [
+        'error',
+        {
+          singleQuote: true,
+          semi: true,
+          tabWidth: 2,
+          trailingComma: 'es5',
+        },
+      ],
+    },
+  },
+];
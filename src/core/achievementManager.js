@@ -0,0 +1,421 @@
+/**
+ * Achievement Manager Module
+ * Permanent achievements and a rotating set of per-run missions, both driven by gameplay
+ * events. Each run counts stats (coins, distance, jumps, near misses, swamp tiles crossed,
+ * deaths by obstacle type, ...); goals are checked as the stats change so completions can
+ * be announced mid-run. Unlocks, mission progress and coin rewards live in the player
+ * profile.
+ */
+
+import { COIN_TYPES } from './coinManager.js';
+import { GameEvents } from '../utils/gameEvents.js';
+
+export const MISSION_SLOTS = 3;
+
+// Stats kept in profile.lifetime (recorded by ProfileStore.recordRun) -> their field there;
+// every other stat is a counter in profile.stats. Coins count what was collected, not the
+// balance, which rewards add to and spending takes from.
+const LIFETIME_STATS = {
+  coins: 'coinsCollected',
+  gems: 'gems',
+  distance: 'distance',
+  runs: 'runs',
+};
+
+/**
+ * Permanent achievements. A 'run' goal must be reached within a single run; a 'lifetime'
+ * goal adds up across runs. Rewards are coins added to the lifetime total.
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-steps',
+    title: 'First Steps',
+    description: 'Run 500m in one run',
+    stat: 'distance',
+    goal: 500,
+    scope: 'run',
+    reward: 50,
+  },
+  {
+    id: 'marathon',
+    title: 'Marathon',
+    description: 'Run 2000m in one run',
+    stat: 'distance',
+    goal: 2000,
+    scope: 'run',
+    reward: 250,
+  },
+  {
+    id: 'globetrotter',
+    title: 'Globetrotter',
+    description: 'Run 10,000m in total',
+    stat: 'distance',
+    goal: 10000,
+    scope: 'lifetime',
+    reward: 200,
+  },
+  {
+    id: 'pocket-money',
+    title: 'Pocket Money',
+    description: 'Collect 100 coins in one run',
+    stat: 'coins',
+    goal: 100,
+    scope: 'run',
+    reward: 100,
+  },
+  {
+    id: 'treasure-hoard',
+    title: 'Treasure Hoard',
+    description: 'Collect 5,000 coins in total',
+    stat: 'coins',
+    goal: 5000,
+    scope: 'lifetime',
+    reward: 500,
+  },
+  {
+    id: 'gem-hunter',
+    title: 'Gem Hunter',
+    description: 'Find a gem',
+    stat: 'gems',
+    goal: 1,
+    scope: 'lifetime',
+    reward: 100,
+  },
+  {
+    id: 'hopper',
+    title: 'Hopper',
+    description: 'Jump 500 times',
+    stat: 'jumps',
+    goal: 500,
+    scope: 'lifetime',
+    reward: 150,
+  },
+  {
+    id: 'limbo',
+    title: 'Limbo',
+    description: 'Slide 500 times',
+    stat: 'slides',
+    goal: 500,
+    scope: 'lifetime',
+    reward: 150,
+  },
+  {
+    id: 'daredevil',
+    title: 'Daredevil',
+    description: 'Get 10 near misses in one run',
+    stat: 'nearMisses',
+    goal: 10,
+    scope: 'run',
+    reward: 200,
+  },
+  {
+    id: 'swamp-walker',
+    title: 'Swamp Walker',
+    description: 'Cross 50 swamp tiles',
+    stat: 'swampTiles',
+    goal: 50,
+    scope: 'lifetime',
+    reward: 150,
+  },
+  {
+    id: 'splinters',
+    title: 'Splinters',
+    description: 'Trip over a log',
+    stat: 'deaths.log',
+    goal: 1,
+    scope: 'lifetime',
+    reward: 25,
+  },
+  {
+    id: 'close-shave',
+    title: 'Close Shave',
+    description: 'Get caught by a swinging blade',
+    stat: 'deaths.blade',
+    goal: 1,
+    scope: 'lifetime',
+    reward: 25,
+  },
+];
+
+/**
+ * Mission templates. A mission takes one of the template's goals (harder goals pay the
+ * base reward once per step up) and must be reached within one run.
+ */
+export const MISSION_TEMPLATES = [
+  {
+    id: 'coins',
+    stat: 'coins',
+    goals: [50, 100, 200],
+    reward: 100,
+    describe: (goal) => `Collect ${goal} coins in one run`,
+  },
+  {
+    id: 'distance',
+    stat: 'distance',
+    goals: [500, 1000, 2000],
+    reward: 150,
+    describe: (goal) => `Run ${goal}m in one run`,
+  },
+  {
+    id: 'jumps',
+    stat: 'jumps',
+    goals: [10, 25, 50],
+    reward: 75,
+    describe: (goal) => `Jump ${goal} times in one run`,
+  },
+  {
+    id: 'slides',
+    stat: 'slides',
+    goals: [10, 25, 50],
+    reward: 75,
+    describe: (goal) => `Slide ${goal} times in one run`,
+  },
+  {
+    id: 'near-misses',
+    stat: 'nearMisses',
+    goals: [3, 5, 10],
+    reward: 150,
+    describe: (goal) => `Get ${goal} near misses in one run`,
+  },
+  {
+    id: 'swamp',
+    stat: 'swampTiles',
+    goals: [2, 5, 10],
+    reward: 100,
+    describe: (goal) => `Cross ${goal} swamp tiles in one run`,
+  },
+  {
+    id: 'power-ups',
+    stat: 'powerUps',
+    goals: [1, 3, 5],
+    reward: 100,
+    describe: (goal) =>
+      goal === 1 ? 'Pick up a power-up' : `Pick up ${goal} power-ups in one run`,
+  },
+  {
+    id: 'gems',
+    stat: 'gems',
+    goals: [1],
+    reward: 200,
+    describe: () => 'Find a gem',
+  },
+];
+
+export class AchievementManager {
+  /**
+   * @param {ProfileStore} profileStore - Where unlocks, missions and rewards are kept
+   * @param {Function} random - Returns [0, 1); picks new missions. Deliberately not a
+   *   seeded run stream, so which missions come up never changes a run.
+   */
+  constructor(profileStore, random = Math.random) {
+    this.profileStore = profileStore;
+    this.random = random;
+
+    this.run = {}; // stat -> value this run
+    this.baseline = {}; // stat -> lifetime value when the run started
+    this.recording = false; // False for replays and between runs
+    this.completed = []; // Completed this run, newest last
+
+    // Emits achievementCompleted; bindEvents() switches to the game's bus
+    this.events = new GameEvents();
+  }
+
+  /**
+   * Make sure a full mission set is waiting for the first run
+   */
+  init() {
+    this.fillMissions();
+  }
+
+  /**
+   * Replace completed missions and top the set up to MISSION_SLOTS
+   */
+  fillMissions() {
+    const profile = this.profileStore.get();
+    const kept = profile.missions.filter(
+      (m) => !m.completedAt && MISSION_TEMPLATES.some((t) => t.id === m.id)
+    );
+    let changed = kept.length !== profile.missions.length;
+
+    while (kept.length < MISSION_SLOTS) {
+      const open = MISSION_TEMPLATES.filter((t) => !kept.some((m) => m.id === t.id));
+      if (open.length === 0) break;
+      const template = open[Math.floor(this.random() * open.length)];
+      const step = Math.floor(this.random() * template.goals.length);
+      kept.push({
+        id: template.id,
+        goal: template.goals[step],
+        reward: template.reward * (step + 1),
+        completedAt: null,
+      });
+      changed = true;
+    }
+
+    profile.missions = kept;
+    if (changed) this.profileStore.save();
+  }
+
+  /**
+   * Current missions with this run's progress
+   * @returns {Array<{id: string, description: string, goal: number, progress: number,
+   *   reward: number, completed: boolean}>}
+   */
+  getMissions() {
+    return this.profileStore.get().missions.map((mission) => {
+      const template = MISSION_TEMPLATES.find((t) => t.id === mission.id);
+      return {
+        id: mission.id,
+        description: template.describe(mission.goal),
+        goal: mission.goal,
+        progress: Math.min(mission.goal, Math.floor(this.run[template.stat] || 0)),
+        reward: mission.reward,
+        completed: !!mission.completedAt,
+      };
+    });
+  }
+
+  /**
+   * Achievements with whether each is unlocked
+   * @returns {Object[]}
+   */
+  getAchievements() {
+    return ACHIEVEMENTS.map((a) => ({ ...a, unlocked: this.isUnlocked(a) }));
+  }
+
+  /**
+   * What this run completed, and the missions now on offer, for the game over screen
+   * @returns {{completed: Object[], missions: Object[]}}
+   */
+  getRunSummary() {
+    return { completed: [...this.completed], missions: this.getMissions() };
+  }
+
+  /**
+   * Start counting a new run
+   * @param {boolean} recording - False for replays, which don't earn anything
+   */
+  startRun(recording = true) {
+    this.fillMissions();
+    this.run = {};
+    this.completed = [];
+    this.recording = recording;
+
+    const profile = this.profileStore.get();
+    this.baseline = {};
+    for (const { stat } of ACHIEVEMENTS) {
+      this.baseline[stat] =
+        stat in LIFETIME_STATS ? profile.lifetime[LIFETIME_STATS[stat]] : profile.stats[stat] || 0;
+    }
+  }
+
+  /**
+   * Finish the run: add its counters to the profile stats and rotate in new missions
+   */
+  finishRun() {
+    if (!this.recording) return;
+    this.recording = false;
+
+    for (const [stat, value] of Object.entries(this.run)) {
+      if (!(stat in LIFETIME_STATS)) this.profileStore.incrementStat(stat, value);
+    }
+    this.run = {}; // The next missions start from zero
+    this.fillMissions();
+    this.profileStore.save();
+  }
+
+  /**
+   * Add to a run stat
+   * @param {string} stat - Stat name
+   * @param {number} amount - How much to add
+   */
+  addStat(stat, amount = 1) {
+    if (!this.recording || amount === 0) return;
+    this.run[stat] = (this.run[stat] || 0) + amount;
+    this.check(stat);
+  }
+
+  /**
+   * Set a run stat that is measured rather than counted (distance)
+   * @param {string} stat - Stat name
+   * @param {number} value - Current value
+   */
+  setStat(stat, value) {
+    if (!this.recording) return;
+    this.run[stat] = value;
+    this.check(stat);
+  }
+
+  /**
+   * Complete any achievement or mission a stat has just reached
+   * @param {string} stat - Stat that changed
+   */
+  check(stat) {
+    const value = this.run[stat] || 0;
+
+    for (const achievement of ACHIEVEMENTS) {
+      if (achievement.stat !== stat || this.isUnlocked(achievement)) continue;
+      const total = achievement.scope === 'run' ? value : this.baseline[stat] + value;
+      if (total < achievement.goal) continue;
+
+      this.profileStore.unlock(`achievement:${achievement.id}`);
+      this.complete('achievement', achievement.title, achievement.description, achievement.reward);
+    }
+
+    for (const mission of this.profileStore.get().missions) {
+      const template = MISSION_TEMPLATES.find((t) => t.id === mission.id);
+      if (mission.completedAt || template.stat !== stat || value < mission.goal) continue;
+
+      mission.completedAt = new Date().toISOString();
+      this.complete('mission', 'Mission complete', template.describe(mission.goal), mission.reward);
+    }
+  }
+
+  /**
+   * Pay out a reward and announce it
+   */
+  complete(kind, title, description, reward) {
+    const entry = { kind, title, description, reward };
+    this.completed.push(entry);
+    this.profileStore.awardCoins(reward);
+    console.log(`🏆 ${title}: ${description} (+${reward} coins)`);
+    this.events.emit('achievementCompleted', entry);
+  }
+
+  /**
+   * Whether an achievement has been unlocked
+   * @param {Object} achievement - Entry of ACHIEVEMENTS
+   * @returns {boolean}
+   */
+  isUnlocked(achievement) {
+    return this.profileStore.isUnlocked(`achievement:${achievement.id}`);
+  }
+
+  /**
+   * Count run stats from gameplay events, and announce completions on the same bus
+   * @param {GameEvents} events - Game event bus
+   */
+  bindEvents(events) {
+    this.events = events;
+    events.on('runStarted', ({ replay }) => this.startRun(!replay));
+    events.on('coinCollected', ({ types }) => {
+      const coins = types.filter((type) => !COIN_TYPES[type].gem);
+      this.addStat(
+        'coins',
+        coins.reduce((sum, type) => sum + COIN_TYPES[type].value, 0)
+      );
+      this.addStat('gems', types.length - coins.length);
+    });
+    events.on('jump', () => this.addStat('jumps'));
+    events.on('slide', () => this.addStat('slides'));
+    events.on('nearMiss', () => this.addStat('nearMisses'));
+    events.on('powerUpCollected', () => this.addStat('powerUps'));
+    events.on('tileEntered', ({ swamp }) => {
+      if (swamp) this.addStat('swampTiles');
+    });
+    events.on('gameOver', ({ distance, cause }) => {
+      this.setStat('distance', distance);
+      if (cause) this.addStat(`deaths.${cause}`);
+      this.finishRun();
+    });
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * Animation Controller Module
+ * Drives how the runner looks from what it is doing. Each state (idle, run, jump, fall,
+ * slide, stumble, death, turn) plays the model's animation group for it, found by the name
+ * the character gives or by a name pattern, and cross-fades from the previous one by
+ * weight. A state the model has no clip for is posed procedurally instead (a run bob, a
+ * take-off squash, a slide crouch, a stumble lurch...). Markers along a state's cycle, such
+ * as footsteps, are emitted as they are passed. It advances on the fixed step, so it keeps
+ * time with the simulation and pauses with it.
+ */
+
+import { GameEvents } from '../utils/gameEvents.js';
+
+// State -> how its clip is found and played. `pattern` matches animation group names the
+// character doesn't name; `loop` clips repeat while the state lasts; a state without a
+// clip of its own keeps playing its `base` state's clip under its procedural pose; `cycle`
+// is the seconds one procedural cycle takes, for markers.
+export const ANIMATION_STATES = {
+  idle: { pattern: /idle|stand|breath/i, loop: true, cycle: 2.5 },
+  run: { pattern: /run|sprint|jog/i, loop: true, cycle: 1 },
+  jump: { pattern: /jump/i, loop: false, cycle: 0.4 },
+  fall: { pattern: /fall|midair/i, loop: true, base: 'jump', cycle: 0.4 },
+  slide: { pattern: /slide|roll|crouch|duck/i, loop: true, cycle: 0.8 },
+  stumble: { pattern: /stumble|trip|stagger/i, loop: false, base: 'run', cycle: 0.6 },
+  death: { pattern: /death|die|dead|faint/i, loop: false, cycle: 0.8 },
+  turn: { pattern: /turn/i, loop: false, base: 'run', cycle: 0.35 },
+};
+
+// State -> events along its cycle, at a fraction in (0, 1] of it
+export const ANIMATION_MARKERS = {
+  run: [
+    { at: 0.25, name: 'footstep' },
+    { at: 0.75, name: 'footstep' },
+  ],
+};
+
+// Procedural poses, as offsets from the model's rest pose: y (metres), scaleY (factor),
+// pitch (forward lean) and roll (leftward lean) in radians
+const PROCEDURAL_POSES = {
+  idle: (pose, { phase }) => {
+    pose.scaleY = 1 + Math.sin(phase * 2 * Math.PI) * 0.015;
+  },
+  run: (pose, { phase }) => {
+    // Two bobs a cycle, lowest as each foot lands
+    pose.y = Math.cos(phase * 4 * Math.PI) * 0.05;
+  },
+  jump: (pose, { time }) => {
+    // Squash on take-off, then stretch and settle on the way up
+    pose.scaleY = time < 0.1 ? 1 - 2 * time : 1 + 0.1 * Math.max(0, 1 - (time - 0.1) / 0.3);
+  },
+  fall: (pose) => {
+    pose.scaleY = 1.05;
+  },
+  slide: (pose, { time }) => {
+    pose.scaleY = 1 - Math.min(time / 0.2, 1) * 0.4;
+  },
+  stumble: (pose, { phase }) => {
+    const lurch = Math.sin(phase * Math.PI);
+    pose.pitch = lurch * 0.35;
+    pose.y = -lurch * 0.1;
+  },
+  death: (pose, { phase }) => {
+    const fall = 1 - (1 - phase) ** 2;
+    pose.pitch = fall * 1.2;
+    pose.y = -fall * 0.4;
+  },
+  turn: (pose, { phase, params }) => {
+    pose.roll = Math.sin(phase * Math.PI) * 0.25 * (params.direction === 'left' ? 1 : -1);
+  },
+};
+
+const REST_POSE = { y: 0, scaleY: 1, pitch: 0, roll: 0 };
+
+export class AnimationController {
+  constructor() {
+    this.clips = {}; // State -> its own AnimationGroup, or null
+    this.weights = new Map(); // Playing AnimationGroup -> blend weight
+    this.markers = ANIMATION_MARKERS;
+    this.blendTime = 0.15; // Seconds a cross-fade between states takes
+    this.runSpeed = 10; // Forward speed the run cycle plays at its natural rate
+
+    this.state = null;
+    this.params = {}; // What the state was entered with (a turn's direction)
+    this.time = 0; // Seconds in the current state
+    this.phase = 0; // Progress through the current state's cycle, 0..1
+    this.speedRatio = 1; // Run cycle rate for the current forward speed
+
+    // Procedural pose being shown, and the one the last state change blends from
+    this.pose = { ...REST_POSE };
+    this.fromPose = { ...REST_POSE };
+    this.poseBlend = 1;
+
+    // Emits animationMarker; replaced with the game's bus by setEvents()
+    this.events = new GameEvents();
+  }
+
+  /**
+   * Pick each state's clip from a model's animation groups and re-enter the current state
+   * @param {BABYLON.AnimationGroup[]} groups - Groups that animate the model
+   * @param {Object} names - State -> exact group name, tried before the state's pattern;
+   *   null keeps the state procedural whatever the model's groups are called
+   */
+  bind(groups, names = {}) {
+    // Loaders may start a group on their own; the controller decides what plays
+    groups.forEach((group) => group.stop());
+    for (const group of this.weights.keys()) group.stop();
+    this.weights.clear();
+
+    this.clips = {};
+    for (const [state, { pattern }] of Object.entries(ANIMATION_STATES)) {
+      if (names[state] === null) {
+        this.clips[state] = null;
+        continue;
+      }
+      this.clips[state] =
+        groups.find((group) => group.name === names[state]) ||
+        groups.find((group) => pattern.test(group.name)) ||
+        null;
+    }
+    // A model with one unrecognised clip is most likely showing its run cycle
+    if (!this.clips.run && names.run !== null && groups.length > 0) this.clips.run = groups[0];
+
+    const state = this.state || 'idle';
+    this.state = null;
+    this.setState(state, this.params);
+    this.snap();
+  }
+
+  /**
+   * Clip a state plays: its own, else its base state's
+   * @param {string} state - Key of ANIMATION_STATES
+   * @returns {BABYLON.AnimationGroup|null}
+   */
+  getClip(state) {
+    const base = ANIMATION_STATES[state]?.base;
+    return this.clips[state] || (base && this.clips[base]) || null;
+  }
+
+  /**
+   * Switch state, fading its clip in over blendTime. Staying in a state does nothing.
+   * @param {string} state - Key of ANIMATION_STATES
+   * @param {Object} params - State details, such as a turn's direction
+   */
+  setState(state, params = {}) {
+    if (!ANIMATION_STATES[state]) {
+      throw new Error(`Unknown animation state "${state}"`);
+    }
+    if (state === this.state) return;
+
+    const previous = this.state ? this.getClip(this.state) : null;
+    this.state = state;
+    this.params = params;
+    this.time = 0;
+    this.phase = 0;
+    this.fromPose = { ...this.pose };
+    this.poseBlend = 0;
+
+    const group = this.getClip(state);
+    if (!group || group === previous) return;
+
+    const owner = this.clips[state] ? state : ANIMATION_STATES[state].base;
+    if (!group.isPlaying) {
+      group.weight = this.weights.get(group) || 0;
+      group.start(ANIMATION_STATES[owner].loop, this.getClipSpeed(owner));
+    } else if (!ANIMATION_STATES[owner].loop) {
+      // Fading out from an earlier use; a one-shot clip plays again from the top
+      group.goToFrame(group.from);
+    }
+    if (!this.weights.has(group)) this.weights.set(group, group.weight);
+  }
+
+  /**
+   * Finish the current blend at once (after a reset, a revive or a model swap)
+   */
+  snap() {
+    const group = this.state ? this.getClip(this.state) : null;
+    for (const playing of this.weights.keys()) {
+      if (playing !== group) playing.stop();
+    }
+    this.weights.clear();
+    if (group) {
+      group.weight = 1;
+      this.weights.set(group, 1);
+    }
+    this.poseBlend = 1;
+    this.updatePose();
+  }
+
+  /**
+   * Advance the blend, the clips' rate, the state's cycle and its procedural pose
+   * @param {number} deltaTime - Seconds to advance
+   * @param {number} speed - Runner's forward speed, or 0 to leave the run rate alone
+   */
+  update(deltaTime, speed = 0) {
+    if (!this.state) return;
+
+    if (speed > 0) {
+      this.speedRatio = Math.max(0.5, Math.min(2, speed / this.runSpeed));
+      if (this.clips.run) this.clips.run.speedRatio = this.speedRatio;
+    }
+
+    // Fade the state's clip in and every other playing clip out
+    const group = this.getClip(this.state);
+    const step = this.blendTime > 0 ? deltaTime / this.blendTime : 1;
+    for (const [playing, weight] of this.weights) {
+      const next = playing === group ? Math.min(1, weight + step) : Math.max(0, weight - step);
+      if (next === 0) {
+        playing.stop();
+        this.weights.delete(playing);
+      } else {
+        playing.weight = next;
+        this.weights.set(playing, next);
+      }
+    }
+
+    this.advancePhase(deltaTime);
+    this.time += deltaTime;
+    this.poseBlend = Math.min(1, this.poseBlend + step);
+    this.updatePose();
+  }
+
+  /**
+   * Move through the state's cycle, emitting the markers passed
+   * @param {number} deltaTime - Seconds to advance
+   */
+  advancePhase(deltaTime) {
+    const { loop } = ANIMATION_STATES[this.state];
+    const clip = this.clips[this.state];
+    const cycle = clip ? this.getClipLength(clip) : ANIMATION_STATES[this.state].cycle;
+    const rate = this.state === 'run' ? this.speedRatio : 1;
+
+    const from = this.phase;
+    const to = from + (cycle > 0 ? (deltaTime * rate) / cycle : 1);
+    const end = loop ? to : Math.min(to, 1);
+    for (const marker of this.markers[this.state] || []) {
+      for (let at = marker.at; at <= end; at++) {
+        if (at > from) {
+          this.events.emit('animationMarker', { state: this.state, name: marker.name });
+        }
+      }
+    }
+    this.phase = loop ? end % 1 : end;
+  }
+
+  /**
+   * Pose the state procedurally when it has no clip of its own, blending from the pose
+   * shown when it was entered
+   */
+  updatePose() {
+    const target = { ...REST_POSE };
+    if (this.state && !this.clips[this.state]) {
+      PROCEDURAL_POSES[this.state](target, this);
+    }
+    for (const key of Object.keys(REST_POSE)) {
+      this.pose[key] = this.fromPose[key] + (target[key] - this.fromPose[key]) * this.poseBlend;
+    }
+  }
+
+  /**
+   * Seconds a clip takes at its natural rate
+   * @param {BABYLON.AnimationGroup} group - Animation group
+   * @returns {number}
+   */
+  getClipLength(group) {
+    const fps = group.targetedAnimations[0]?.animation.framePerSecond || 60;
+    return (group.to - group.from) / fps;
+  }
+
+  /**
+   * Rate a state's clip starts at
+   * @param {string} state - Key of ANIMATION_STATES
+   * @returns {number}
+   */
+  getClipSpeed(state) {
+    return state === 'run' ? this.speedRatio : 1;
+  }
+
+  /**
+   * Use the game's event bus
+   * @param {GameEvents} events - Shared event bus
+   */
+  setEvents(events) {
+    this.events = events;
+  }
+}
@@ -3,7 +3,7 @@
  * Handles loading and management of 3D assets, textures, and animations
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
 import 'babylonjs-loaders';
 
 export class AssetManager {
@@ -45,6 +45,7 @@ export class AssetManager {
       stonePillar_H: 4.0,
       templeWall_H: 1.5,
       bridgePlatform: 6.0,
+      curvedPath: 6.0,
       tree_H: 6.0,
       mossStone: 1.4,
       carvedSymbol: 1.6,
@@ -90,6 +91,20 @@ export class AssetManager {
     }
   }
 
+  /**
+   * Initialize for headless simulation: procedural meshes only, no network loads,
+   * textures or shader compilation
+   */
+  async initHeadless() {
+    this.isLoading = true;
+    try {
+      await this.createProceduralAssets();
+    } finally {
+      this.isLoading = false;
+      this.loadingProgress = 100;
+    }
+  }
+
   /**
    * Load all GLB models from generated assets
    */
@@ -151,10 +166,7 @@ export class AssetManager {
       { path: 'temple_new/ancient_temple_brazier.glb', name: 'templeBrazier' },
       { path: 'temple_new/temple_stepping_stone.glb', name: 'steppingStone' },
 
-      // Characters V2 - Temple runner character
-      { path: 'characters_v2/temple_runner_character_v001.glb', name: 'player' },
-      // Fallback to Pikachu if new character fails
-      { path: 'characters/pikachu.glb', name: 'playerFallback' },
+      // Characters are loaded on demand by loadCharacterModel()
     ];
 
     const loadPromises = modelAssets.map(async (asset) => {
@@ -178,6 +190,30 @@ export class AssetManager {
     await Promise.allSettled(loadPromises);
   }
 
+  /**
+   * Load a character's model once, centred and normalized to the character's height. The
+   * model is left disabled until PlayerController shows it.
+   * @param {Object} character - Definition from CharacterRegistry
+   * @returns {Promise<BABYLON.TransformNode|null>} Model root (its scaling is the
+   *   normalizing scale), or null if it has no model or failed to load
+   */
+  async loadCharacterModel(character) {
+    const name = `character_${character.id}`;
+    if (this.assets[name]) return this.assets[name];
+    if (!character.model) return null;
+
+    try {
+      const root = await this.loadGLBModel(this.assetBasePath + 'models/' + character.model, name);
+      this.centerInstance(root);
+      this._normalizeToHeight(root, character.height);
+      root.setEnabled(false);
+      return root;
+    } catch (error) {
+      console.warn(`Failed to load character model ${character.id}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Load all texture sets from PolyHaven assets
    */
@@ -277,6 +313,9 @@ export class AssetManager {
       this.createCoin();
     }
 
+    // Red/blue coin and gem materials (gold coins use the coin model's own)
+    this.createCollectibleMaterials();
+
     // Create environment decorations (purely procedural fallbacks)
     // Only if not present from GLB imports
     if (!this.assets.pillar || !this.assets.tree) {
@@ -454,6 +493,27 @@ export class AssetManager {
     this.assets.coin = coinGroup;
   }
 
+  /**
+   * Create glowing materials for the higher coin tiers and gems
+   */
+  createCollectibleMaterials() {
+    const collectibles = {
+      coin_red: { diffuse: [0.95, 0.2, 0.15], emissive: [0.45, 0.06, 0.04], alpha: 1 },
+      coin_blue: { diffuse: [0.25, 0.5, 1.0], emissive: [0.08, 0.2, 0.5], alpha: 1 },
+      gem: { diffuse: [0.3, 1.0, 0.7], emissive: [0.15, 0.55, 0.35], alpha: 0.85 },
+    };
+
+    for (const [name, look] of Object.entries(collectibles)) {
+      const mat = new BABYLON.StandardMaterial(`${name}Mat`, this.scene);
+      mat.diffuseColor = BABYLON.Color3.FromArray(look.diffuse);
+      mat.emissiveColor = BABYLON.Color3.FromArray(look.emissive);
+      mat.specularColor = new BABYLON.Color3(1, 1, 1);
+      mat.specularPower = 128;
+      mat.alpha = look.alpha;
+      this.materials[name] = mat;
+    }
+  }
+
   /**
    * Create environment decorations
    */
@@ -944,6 +1004,7 @@ export class AssetManager {
     if (lower === 'stonepillar') return normalizeHeight(this.sizingTargets.stonePillar_H);
     if (lower === 'templewall') return normalizeHeight(this.sizingTargets.templeWall_H);
     if (lower === 'bridgeplatform') return normalizeMax(this.sizingTargets.bridgePlatform);
+    if (lower === 'curvedpath') return normalizeMax(this.sizingTargets.curvedPath);
     if (lower === 'tree') return normalizeHeight(this.sizingTargets.tree_H);
 
     // New enhanced temple assets
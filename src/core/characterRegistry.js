@@ -0,0 +1,127 @@
+/**
+ * Character Registry Module
+ * Playable runners declared as data: the model they look like and how it is sized, the
+ * names of its animation groups, stat modifiers applied to PlayerController and what they
+ * cost to unlock. New characters can be registered at runtime without touching the game.
+ */
+
+// PlayerController fields a character's stats scale (1 leaves a field as it is)
+export const CHARACTER_STATS = ['forwardSpeed', 'jumpHeight', 'laneChangeSpeed'];
+
+// Character everyone starts with
+export const DEFAULT_CHARACTER = 'runner';
+
+// Built-in characters. `model` is a path under assets/models/, normalized to `height`
+// metres tall and then multiplied by `scale`. `animations` maps the runner's states to the
+// model's animation group names; null marks a state the model has no clip for, which is
+// posed procedurally (see AnimationController). `cost` is paid once from lifetime coins;
+// 0 is free.
+export const DEFAULT_CHARACTERS = {
+  runner: {
+    name: 'Temple Runner',
+    description: 'A seasoned explorer with no weak spots',
+    model: 'characters_v2/temple_runner_character_v001.glb',
+    height: 1.6,
+    scale: 1,
+    // The model is a single unrigged mesh with no animation groups
+    animations: { idle: null, run: null, jump: null, slide: null, death: null },
+    stats: {},
+    cost: 0,
+  },
+  pikachu: {
+    name: 'Pikachu',
+    description: 'Quick on its feet between lanes, but a short jumper',
+    model: 'characters/pikachu.glb',
+    height: 1.6,
+    scale: 0.8,
+    // Only a run cycle ships with the model
+    animations: { idle: null, run: 'Run', jump: null, slide: null, death: null },
+    stats: { laneChangeSpeed: 1.3, jumpHeight: 0.9 },
+    cost: 1500,
+  },
+};
+
+export class CharacterRegistry {
+  /**
+   * @param {Object} characters - Definitions to start with, keyed by id
+   */
+  constructor(characters = DEFAULT_CHARACTERS) {
+    this.characters = new Map();
+    for (const [id, definition] of Object.entries(characters)) {
+      this.register(id, definition);
+    }
+  }
+
+  /**
+   * Add or replace a character
+   * @param {string} id - Character id
+   * @param {Object} definition - Character data (see DEFAULT_CHARACTERS); a name is required
+   * @returns {Object} The stored definition, with defaults filled in
+   */
+  register(id, definition) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('Character needs an id');
+    }
+    if (!definition?.name) {
+      throw new Error(`Character "${id}" has no name`);
+    }
+    for (const stat of Object.keys(definition.stats || {})) {
+      if (!CHARACTER_STATS.includes(stat)) {
+        throw new Error(`Character "${id}" has unknown stat "${stat}"`);
+      }
+    }
+
+    const stats = {};
+    for (const stat of CHARACTER_STATS) {
+      stats[stat] = definition.stats?.[stat] ?? 1;
+    }
+    const character = {
+      description: '',
+      model: null,
+      height: 1.6,
+      scale: 1,
+      cost: 0,
+      ...definition,
+      animations: { ...definition.animations },
+      stats,
+      id,
+    };
+    this.characters.set(id, character);
+    return character;
+  }
+
+  /**
+   * Get a character definition
+   * @param {string} id - Character id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.characters.get(id) || null;
+  }
+
+  /**
+   * Whether a character is registered
+   * @param {string} id - Character id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.characters.has(id);
+  }
+
+  /**
+   * All characters, in registration order
+   * @returns {Object[]}
+   */
+  getAll() {
+    return Array.from(this.characters.values());
+  }
+
+  /**
+   * Profile unlock id for a character
+   * @param {string} id - Character id
+   * @returns {string}
+   */
+  static unlockId(id) {
+    return `character:${id}`;
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Chunk Library Module
+ * Hand-authored tile layouts ("chunks"): obstacles, coin formations and power-ups placed
+ * by lane and offset within one tile, tagged by difficulty. WorldManager fills tiles from
+ * the library instead of scattering spawns at random.
+ */
+
+import { COIN_FORMATION_NAMES } from './coinFormations.js';
+
+export const CHUNK_LIBRARY_VERSION = 1;
+export const CHUNK_LENGTH = 20; // Track distance a chunk covers (one tile)
+export const CHUNK_DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const DEFAULT_CHUNK_URL = '/assets/chunks/default.json';
+
+const LANE_COUNT = 3;
+
+export class ChunkLibrary {
+  /**
+   * @param {Object[]} chunks - Chunk definitions (see public/assets/chunks/default.json)
+   */
+  constructor(chunks = []) {
+    this.chunks = [];
+    for (const chunk of chunks) {
+      this.add(chunk);
+    }
+  }
+
+  /**
+   * Fetch and parse a chunk library file
+   * @param {string} url - Library JSON URL
+   * @returns {Promise<ChunkLibrary>}
+   */
+  static async load(url = DEFAULT_CHUNK_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load chunk library ${url}: ${response.status}`);
+    }
+    const library = ChunkLibrary.fromJSON(await response.json());
+    console.log(`🧩 Loaded ${library.chunks.length} chunks from ${url}`);
+    return library;
+  }
+
+  /**
+   * Build a library from parsed library JSON
+   * @param {Object} data - { version, chunks }
+   * @returns {ChunkLibrary}
+   */
+  static fromJSON(data) {
+    if (data?.version !== CHUNK_LIBRARY_VERSION) {
+      throw new Error(`Unsupported chunk library version: ${data?.version}`);
+    }
+    if (!Array.isArray(data.chunks)) {
+      throw new Error('Chunk library has no chunk list');
+    }
+    return new ChunkLibrary(data.chunks);
+  }
+
+  /**
+   * Validate and add a chunk. Invalid chunks are skipped with a warning so one bad entry
+   * doesn't take the whole library down.
+   * @param {Object} chunk - Chunk definition
+   * @returns {Object|null} The normalized chunk, or null if it was rejected
+   */
+  add(chunk) {
+    const problem = ChunkLibrary.validate(chunk);
+    if (problem) {
+      console.warn(`Skipping chunk "${chunk?.id ?? '?'}": ${problem}`);
+      return null;
+    }
+
+    const normalized = {
+      id: chunk.id,
+      difficulty: chunk.difficulty,
+      weight: chunk.weight ?? 1,
+      mirror: chunk.mirror ?? true, // Allow the layout to be flipped left-to-right
+      obstacles: (chunk.obstacles || []).map((o) => ({ lane: 1, ...o })),
+      // Counts and spacing default per formation (see coinFormations.js)
+      coins: (chunk.coins || []).map((c) => ({
+        lane: 1,
+        formation: 'straight',
+        toLane: null,
+        ...c,
+      })),
+      powerUps: (chunk.powerUps || []).map((p) => ({ lane: 1, type: null, ...p })),
+    };
+    this.chunks.push(normalized);
+    return normalized;
+  }
+
+  /**
+   * Check a chunk definition
+   * @param {Object} chunk - Chunk definition
+   * @returns {string|null} What is wrong with it, or null if it is usable
+   */
+  static validate(chunk) {
+    if (!chunk || typeof chunk.id !== 'string') return 'missing id';
+    if (!CHUNK_DIFFICULTIES.includes(chunk.difficulty)) {
+      return `unknown difficulty "${chunk.difficulty}"`;
+    }
+
+    const entries = [...(chunk.obstacles || []), ...(chunk.coins || []), ...(chunk.powerUps || [])];
+    for (const entry of entries) {
+      if (!(entry.offset >= 0 && entry.offset <= CHUNK_LENGTH)) {
+        return `offset ${entry.offset} outside 0-${CHUNK_LENGTH}`;
+      }
+      const lane = entry.lane ?? 1;
+      if (!Number.isInteger(lane) || lane < 0 || lane >= LANE_COUNT) {
+        return `lane ${entry.lane} out of range`;
+      }
+    }
+    if ((chunk.obstacles || []).some((o) => typeof o.type !== 'string')) {
+      return 'obstacle without a type';
+    }
+    for (const line of chunk.coins || []) {
+      if (line.formation !== undefined && !COIN_FORMATION_NAMES.includes(line.formation)) {
+        return `unknown coin formation "${line.formation}"`;
+      }
+      const toLane = line.toLane ?? 0;
+      if (!Number.isInteger(toLane) || toLane < 0 || toLane >= LANE_COUNT) {
+        return `coin toLane ${line.toLane} out of range`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Chunks with a difficulty tag
+   * @param {string} difficulty - 'easy', 'medium' or 'hard'
+   * @returns {Object[]}
+   */
+  getChunks(difficulty) {
+    return this.chunks.filter((chunk) => chunk.difficulty === difficulty);
+  }
+
+  /**
+   * Draw a chunk, weighting each by its own weight times the weight of its difficulty
+   * @param {SeededRandom} rng - Stream to draw from (always consumes one number)
+   * @param {Object} difficultyWeights - e.g. { easy: 1, medium: 0.5, hard: 0 }
+   * @param {Function} isUsable - Optional filter, e.g. to skip chunks with locked obstacles
+   * @returns {Object|null}
+   */
+  pick(rng, difficultyWeights, isUsable = () => true) {
+    const candidates = this.chunks.filter(isUsable);
+    return rng.pickWeighted(
+      candidates,
+      (chunk) => chunk.weight * (difficultyWeights[chunk.difficulty] || 0)
+    );
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Coin Formations Module
+ * Parametric coin shapes. Each builder lays a formation out relative to where it is placed:
+ * every point is { offset, lane, lift } with offset along the track, a lane position that
+ * may fall between lanes (zigzags and diagonals cross them) and a height gain above the
+ * usual coin height. CoinManager turns the points into coins.
+ */
+
+/**
+ * Position along a triangle wave: 0 at t=0, 1 at t=0.5, back to 0 at t=1
+ * @param {number} t - Phase, any real number
+ * @returns {number}
+ */
+function triangle(t) {
+  const phase = t - Math.floor(t);
+  return phase < 0.5 ? phase * 2 : 2 - phase * 2;
+}
+
+export const COIN_FORMATIONS = {
+  /**
+   * Line in one lane, optionally rising into a sine arc `arc` high
+   */
+  straight({ lane, count = 5, spacing = 2, arc = 0 }) {
+    return Array.from({ length: count }, (x, i) => ({
+      offset: i * spacing,
+      lane,
+      lift: count > 1 ? arc * Math.sin((Math.PI * i) / (count - 1)) : 0,
+    }));
+  },
+
+  /**
+   * Weave between `lane` and `toLane`, reaching toLane every `period` coins
+   */
+  zigzag({ lane, toLane, count = 8, spacing = 2, period = 2 }) {
+    return Array.from({ length: count }, (x, i) => ({
+      offset: i * spacing,
+      lane: lane + (toLane - lane) * triangle(i / (period * 2)),
+      lift: 0,
+    }));
+  },
+
+  /**
+   * Straight line drifting from `lane` to `toLane`
+   */
+  diagonal({ lane, toLane, count = 6, spacing = 2 }) {
+    return Array.from({ length: count }, (x, i) => ({
+      offset: i * spacing,
+      lane: count > 1 ? lane + ((toLane - lane) * i) / (count - 1) : lane,
+      lift: 0,
+    }));
+  },
+
+  /**
+   * The runner's jump curve: `length` metres long and `height` high, centred on where the
+   * formation is placed (the obstacle to jump), so a jump on the first coin collects them all
+   */
+  arc({ lane, count = 7, height = 2.5, length = 8 }) {
+    return Array.from({ length: count }, (x, i) => {
+      const t = count > 1 ? i / (count - 1) : 0.5;
+      return { offset: (t - 0.5) * length, lane, lift: height * Math.sin(Math.PI * t) };
+    });
+  },
+};
+
+export const COIN_FORMATION_NAMES = Object.keys(COIN_FORMATIONS);
+
+/**
+ * Lay out a formation
+ * @param {string} name - Formation name (a key of COIN_FORMATIONS)
+ * @param {Object} options - Builder options; `lane` is required
+ * @returns {Array<{offset: number, lane: number, lift: number}>}
+ */
+export function buildFormation(name, options) {
+  if (!COIN_FORMATION_NAMES.includes(name)) {
+    throw new Error(`Unknown coin formation "${name}"`);
+  }
+  return COIN_FORMATIONS[name](options);
+}
@@ -1,27 +1,91 @@
 /**
  * Coin Manager Module
- * Handles coin spawning, collection, and pooling
+ * Handles coin spawning, collection, and pooling for gold, red and blue coins and gems
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
+import { RandomService } from '../utils/random.js';
+import { TrackPath } from './trackPath.js';
+import { buildFormation } from './coinFormations.js';
+import { GameEvents } from '../utils/gameEvents.js';
+
+// Collectible tiers. `value` is what one adds to the coin total and `points` its score
+// before the multiplier. A formation's tier is drawn by `rarity`: its weight moves from
+// `start` at `minDistance` to `end` RARITY_RAMP metres later. A gem takes the place of one
+// coin in an otherwise gold formation and counts separately from coins.
+export const COIN_TYPES = {
+  gold: {
+    label: 'Gold',
+    value: 1,
+    points: 10,
+    color: [1, 0.84, 0],
+    poolSize: 80, // Ambient groups plus chunk formations for the tiles ahead
+    rarity: { start: 1, end: 0.7, minDistance: 0 },
+  },
+  red: {
+    label: 'Red',
+    value: 2,
+    points: 20,
+    material: 'coin_red',
+    color: [1, 0.25, 0.2],
+    poolSize: 24,
+    rarity: { start: 0.12, end: 0.25, minDistance: 0 },
+  },
+  blue: {
+    label: 'Blue',
+    value: 5,
+    points: 50,
+    material: 'coin_blue',
+    color: [0.3, 0.55, 1],
+    poolSize: 16,
+    rarity: { start: 0.02, end: 0.1, minDistance: 300 },
+  },
+  gem: {
+    label: 'Gems',
+    value: 0,
+    points: 250,
+    material: 'gem',
+    color: [0.4, 1, 0.75],
+    poolSize: 4,
+    gem: true,
+    rarity: { start: 0.01, end: 0.04, minDistance: 500 },
+  },
+};
+
+const RARITY_RAMP = 2000;
 
 export class CoinManager {
-  constructor(scene, assetManager) {
+  constructor(scene, assetManager, random = new RandomService(), track = new TrackPath()) {
     this.scene = scene;
     this.assetManager = assetManager;
+    this.rng = random.stream('coins');
+    this.track = track; // Spawn distances are measured along the track
     this.coins = [];
     this.coinPool = [];
-    this.collectedCoins = 0;
+    this.collectedCoins = 0; // Coin value collected (a blue coin counts 5)
+    this.collectedByType = this.createCounters();
     this.totalCoins = 0;
 
     // Spawn parameters
     this.spawnDistance = 50;
-    this.lastSpawnZ = 0;
+    this.lastSpawnDistance = 0;
     this.coinsPerGroup = 5;
+    // Relative odds of each ambient formation; arcs are saved for obstacles to jump
+    this.formationWeights = { straight: 3, zigzag: 1, diagonal: 1 };
+    this.coinHeight = 0.4; // Above the path surface
+    this.obstacleClearance = 0.5; // Coins closer than this to an obstacle collider are dropped
 
     // Lane positions matching player controller
     this.lanes = [-2, 0, 2];
 
+    // Optional, set with setPlayerController() / setObstacleManager(): the jump curve
+    // that arcs follow and the obstacles formations are fitted around
+    this.playerController = null;
+    this.obstacleManager = null;
+
+    // Emits coinCollected; replaced with the game's bus by setEvents()
+    this.events = new GameEvents();
+
     // Visual properties
     this.coinRotationSpeed = 0; // spinning disabled; use gentle bobbing instead
     this._time = 0;
@@ -38,7 +102,7 @@ export class CoinManager {
    * Create a pool of reusable coins
    */
   createCoinPool() {
-    const poolSize = 50;
+    const poolSize = COIN_TYPES.gold.poolSize;
 
     for (let i = 0; i < poolSize; i++) {
       // Try to use temple coin GLB model, fallback to procedural
@@ -129,75 +193,292 @@ export class CoinManager {
 
       // Store coin data
       coin.coinData = {
+        type: 'gold',
         active: false,
         collected: false,
         lane: null,
+        distance: 0,
       };
 
       this.coinPool.push(coin);
     }
+
+    for (const type of Object.keys(COIN_TYPES)) {
+      if (type !== 'gold') this.createTierPool(type);
+    }
+  }
+
+  /**
+   * Create pooled red/blue coins or gems: procedural meshes in their AssetManager material
+   * @param {string} type - Key of COIN_TYPES
+   */
+  createTierPool(type) {
+    const definition = COIN_TYPES[type];
+    const material =
+      this.assetManager?.materials?.[definition.material] || this.createTierMaterial(type);
+
+    for (let i = 0; i < definition.poolSize; i++) {
+      let coin;
+      if (definition.gem) {
+        coin = BABYLON.MeshBuilder.CreatePolyhedron(
+          `${type}_${i}`,
+          { type: 1, size: 0.35 }, // Octahedron
+          this.scene
+        );
+      } else {
+        coin = BABYLON.MeshBuilder.CreateCylinder(
+          `coin_${type}_${i}`,
+          { height: 0.1, diameter: 0.8 },
+          this.scene
+        );
+        coin.rotation.x = Math.PI / 2; // Rotate to face forward
+        coin.scaling = new BABYLON.Vector3(0.6, 0.6, 0.6);
+      }
+      coin.material = material;
+      coin.setEnabled(false);
+
+      coin.coinData = { type, active: false, collected: false, lane: null, distance: 0 };
+      this.coinPool.push(coin);
+    }
+  }
+
+  /**
+   * Plain material in a tier's colour, for when AssetManager didn't provide one
+   * @param {string} type - Key of COIN_TYPES
+   * @returns {BABYLON.StandardMaterial}
+   */
+  createTierMaterial(type) {
+    const color = BABYLON.Color3.FromArray(COIN_TYPES[type].color);
+    const material = new BABYLON.StandardMaterial(`coin_${type}_mat`, this.scene);
+    material.diffuseColor = color;
+    material.emissiveColor = color.scale(0.3);
+    return material;
+  }
+
+  /**
+   * Zeroed per-type counters
+   * @returns {Object} Type -> count
+   */
+  createCounters() {
+    return Object.fromEntries(Object.keys(COIN_TYPES).map((type) => [type, 0]));
+  }
+
+  /**
+   * Draw the tier of a formation from the rarity curves
+   * @param {SeededRandom} rng - Stream to draw from (always consumes one number)
+   * @param {number} distance - Track distance of the formation
+   * @returns {string} Key of COIN_TYPES
+   */
+  pickCoinType(rng, distance) {
+    const type = rng.pickWeighted(Object.keys(COIN_TYPES), (key) => {
+      const { start, end, minDistance } = COIN_TYPES[key].rarity;
+      if (distance < minDistance) return 0;
+      const progress = Math.min(1, (distance - minDistance) / RARITY_RAMP);
+      return start + (end - start) * progress;
+    });
+    return type || 'gold';
   }
 
   /**
    * Update coins and spawn new ones
    * @param {number} deltaTime - Time since last update
-   * @param {BABYLON.Vector3} playerPosition - Current player position
+   * @param {number} playerDistance - Player's distance along the track
    */
-  update(deltaTime, playerPosition) {
+  update(deltaTime, playerDistance) {
     // Check if we need to spawn new coins
-    if (playerPosition && playerPosition.z > this.lastSpawnZ - this.spawnDistance) {
-      this.spawnCoinGroup(playerPosition.z + this.spawnDistance);
+    const spawnThreshold = this.lastSpawnDistance - this.spawnDistance;
+    if (playerDistance !== undefined && playerDistance > spawnThreshold) {
+      // Chain groups from the previous one so placement does not depend on frame timing
+      const startDistance = Math.max(this.lastSpawnDistance, this.spawnDistance);
+      this.lastSpawnDistance = this.spawnCoinGroup(startDistance) + 2;
     }
 
     // Update active coins
-    this.updateCoins(deltaTime, playerPosition);
+    this.updateCoins(deltaTime, playerDistance);
+  }
+
+  /**
+   * Spawn a group of coins: a jump arc over an obstacle in the rolled lane if there is
+   * one, otherwise a formation drawn by formationWeights
+   * @param {number} startDistance - Track distance of the first coin in the group
+   * @param {SeededRandom} rng - Stream to draw the lane from (defaults to this manager's)
+   * @returns {number} Track distance of the last coin
+   */
+  spawnCoinGroup(startDistance, rng = this.rng) {
+    // Roll everything up front so the stream advances the same whatever gets spawned
+    const lane = rng.int(this.lanes.length);
+    const side = rng.chance(0.5) ? 1 : -1;
+    const toLane = this.lanes[lane + side] === undefined ? lane - side : lane + side;
+    const name = rng.pickWeighted(
+      Object.keys(this.formationWeights),
+      (key) => this.formationWeights[key]
+    );
+
+    // Arcs are centred on the obstacle; keep them clear of the previous group
+    const { length } = this.getJumpArc();
+    const groupEnd = startDistance + this.coinsPerGroup * 2;
+    const jumpable = this.obstacleManager?.findJumpable(startDistance + length / 2, groupEnd, lane);
+    if (jumpable) {
+      return this.spawnFormation('arc', jumpable.obstacleData.distance, lane, {}, rng);
+    }
+    return this.spawnFormation(
+      name || 'straight',
+      startDistance,
+      lane,
+      { count: this.coinsPerGroup, toLane },
+      rng
+    );
   }
 
   /**
-   * Spawn a group of coins
-   * @param {number} startZ - Starting Z position for the coin group
+   * Spawn a line of coins in a lane, optionally rising into an arc (e.g. over a jump)
+   * @param {number} startDistance - Track distance of the first coin
+   * @param {number} lane - Lane index
+   * @param {Object} options - { count, spacing, arc } where arc is the peak height gain
+   * @param {SeededRandom} rng - Stream to draw bob phases from (defaults to this manager's)
+   * @returns {number} Track distance of the last coin
    */
-  spawnCoinGroup(startZ) {
-    // Random lane selection
-    const lane = Math.floor(Math.random() * this.lanes.length);
-    const xPos = this.lanes[lane];
+  spawnCoinLine(
+    startDistance,
+    lane,
+    { count = this.coinsPerGroup, spacing = 2, arc = 0 } = {},
+    rng = this.rng
+  ) {
+    return this.spawnFormation('straight', startDistance, lane, { count, spacing, arc }, rng);
+  }
 
-    // Spawn coins in a line
-    for (let i = 0; i < this.coinsPerGroup; i++) {
-      const coin = this.getFromPool();
+  /**
+   * Spawn a coin formation (see coinFormations.js). Coins that would sit inside an
+   * obstacle collider are left out, and an arc snaps onto an obstacle to jump within
+   * half a jump of where it was asked for.
+   * @param {string} name - 'straight', 'zigzag', 'diagonal' or 'arc'
+   * @param {number} distance - Track distance of the first coin (an arc's peak)
+   * @param {number} lane - Lane index the formation starts in
+   * @param {Object} options - Formation options, e.g. { count, spacing, toLane }; a
+   *   `coinType` fixes the tier instead of drawing it
+   * @param {SeededRandom} rng - Stream to draw bob phases from (defaults to this manager's)
+   * @returns {number} Track distance of the last coin
+   */
+  spawnFormation(name, distance, lane, options = {}, rng = this.rng) {
+    const { height, length } = this.getJumpArc();
+    let anchor = distance;
+    if (name === 'arc' && this.obstacleManager) {
+      const jumpable = this.obstacleManager.findJumpable(
+        distance - length / 2,
+        distance + length / 2,
+        lane
+      );
+      if (jumpable) anchor = jumpable.obstacleData.distance;
+    }
 
+    const points = buildFormation(name, {
+      height,
+      length,
+      ...options,
+      lane,
+      toLane: options.toLane ?? (lane === 0 ? 1 : lane - 1),
+    });
+
+    // Draw the tier even when it is fixed so the stream advances the same either way
+    const rolled = this.pickCoinType(rng, anchor);
+    const tier = options.coinType ?? rolled;
+    const gemIndex = COIN_TYPES[tier]?.gem ? Math.floor(points.length / 2) : -1;
+
+    let end = anchor;
+    for (const [index, point] of points.entries()) {
+      const bobPhase = rng.range(0, Math.PI * 2);
+      // A formation that reaches a corner follows it round
+      const coinDistance = anchor + point.offset;
+      const lateral = this.getLateral(point.lane);
+      const coinHeight = this.coinHeight + point.lift;
+      end = Math.max(end, coinDistance);
+
+      // Never bury a coin in an obstacle
+      const clearance = this.obstacleClearance;
+      if (this.obstacleManager?.isBlocked(coinDistance, lateral, coinHeight, clearance)) continue;
+
+      // A gem formation is gold apart from the gem in the middle
+      const type = gemIndex >= 0 && index !== gemIndex ? 'gold' : tier;
+      const coin = this.getFromPool(type) || this.getFromPool('gold');
       if (coin) {
-        coin.position.x = xPos;
-        coin.position.y = 0.4; // Just above the path surface
-        coin.position.z = startZ + i * 2; // Space coins apart
+        coin.position.copyFrom(this.track.getPosition(coinDistance, lateral, coinHeight));
+        coin.coinData.distance = coinDistance;
+        coin.coinData.lateral = lateral;
+        coin.coinData.height = coinHeight;
 
         coin.coinData.active = true;
         coin.coinData.collected = false;
-        coin.coinData.lane = lane;
-        coin.coinData.baseY = 0.4; // Base height above path
-        coin.coinData.bobPhase = Math.random() * Math.PI * 2;
+        coin.coinData.lane = Math.round(point.lane);
+        coin.coinData.baseY = coin.position.y; // Bob around the sampled surface height
+        coin.coinData.bobPhase = bobPhase;
 
         coin.setEnabled(true);
         this.coins.push(coin);
         this.totalCoins++;
       }
     }
+    return end;
+  }
 
-    this.lastSpawnZ = startZ + this.coinsPerGroup * 2;
+  /**
+   * Offset across the track of a lane position, which may fall between lanes
+   * @param {number} lane - Lane index, possibly fractional
+   * @returns {number}
+   */
+  getLateral(lane) {
+    const i = Math.max(0, Math.min(this.lanes.length - 2, Math.floor(lane)));
+    return this.lanes[i] + (this.lanes[i + 1] - this.lanes[i]) * (lane - i);
+  }
+
+  /**
+   * Height and length of the runner's jump at its current speed
+   * @returns {{height: number, length: number}}
+   */
+  getJumpArc() {
+    const pc = this.playerController;
+    if (!pc) return { height: 2.5, length: 8 };
+    return { height: pc.jumpHeight, length: pc.forwardSpeed * pc.jumpDuration };
+  }
+
+  /**
+   * Remove uncollected coins that ended up inside an obstacle placed after them
+   * @param {BABYLON.TransformNode} obstacle - Newly placed obstacle
+   */
+  removeCoinsInside(obstacle) {
+    if (!this.obstacleManager) return;
+
+    for (let i = this.coins.length - 1; i >= 0; i--) {
+      const coin = this.coins[i];
+      const { collected, distance, lateral, height } = coin.coinData;
+      if (collected) continue;
+      if (
+        this.obstacleManager.obstacleContains(
+          obstacle,
+          distance,
+          lateral,
+          height,
+          this.obstacleClearance
+        )
+      ) {
+        this.returnToPool(coin);
+        this.coins.splice(i, 1);
+        this.totalCoins--;
+      }
+    }
   }
 
   /**
    * Update coin animations and check for collection
    * @param {number} deltaTime - Time since last update
-   * @param {BABYLON.Vector3} playerPosition - Current player position
+   * @param {number} playerDistance - Player's distance along the track
    */
-  updateCoins(deltaTime, playerPosition) {
-    if (!playerPosition) return;
+  updateCoins(deltaTime, playerDistance) {
+    if (playerDistance === undefined) return;
 
     this._time += deltaTime;
     for (let i = this.coins.length - 1; i >= 0; i--) {
       const coin = this.coins[i];
-      const dz = coin.position.z - playerPosition.z;
+      const dz = coin.coinData.distance - playerDistance;
 
       // Distance-based culling to reduce draw calls
       if (dz > 80) {
@@ -206,32 +487,55 @@ export class CoinManager {
         coin.setEnabled(true);
       }
 
-      // Gentle vertical bobbing for feedback (no spinning)
-      if (coin.isEnabled()) {
+      // Gentle vertical bobbing for feedback (no spinning); magnet-pulled coins fly straight
+      if (coin.isEnabled() && !coin.coinData.magnetized) {
         const a = 0.12; // amplitude
         const w = 2.4;  // speed
         const baseY = coin.coinData.baseY ?? 0.4;
         const phase = coin.coinData.bobPhase ?? 0;
         coin.position.y = baseY + Math.sin(this._time * w + phase) * a;
       }
+      // Gems turn slowly so their facets catch the light
+      if (coin.isEnabled() && COIN_TYPES[coin.coinData.type].gem) {
+        coin.rotation.y += deltaTime * 1.5;
+      }
 
       // Check if coin is far behind the player
-      if (coin.position.z < playerPosition.z - 10) {
+      if (dz < -10) {
         this.returnToPool(coin);
         this.coins.splice(i, 1);
       }
     }
   }
 
+  /**
+   * Pull nearby coins toward a point (magnet power-up)
+   * @param {BABYLON.Vector3} target - Where coins are pulled to
+   * @param {number} radius - Only coins this close are affected
+   * @param {number} step - How far each coin moves this update
+   */
+  attractCoins(target, radius, step) {
+    for (const coin of this.coins) {
+      if (!coin.coinData.active || coin.coinData.collected) continue;
+
+      const offset = target.subtract(coin.position);
+      const distance = offset.length();
+      if (distance > radius || distance < 1e-3) continue;
+
+      coin.coinData.magnetized = true;
+      coin.position.addInPlace(offset.scaleInPlace(Math.min(1, step / distance)));
+    }
+  }
+
   /**
    * Check and handle coin collection
    * @param {BABYLON.Mesh} playerMesh - The player mesh
-   * @returns {number} Number of coins collected in this check
+   * @returns {string[]} Types (keys of COIN_TYPES) of the coins and gems collected
    */
   checkCollection(playerMesh) {
-    if (!playerMesh) return 0;
+    if (!playerMesh) return [];
 
-    let coinsCollectedThisFrame = 0;
+    const collected = [];
 
     for (let i = this.coins.length - 1; i >= 0; i--) {
       const coin = this.coins[i];
@@ -242,9 +546,11 @@ export class CoinManager {
 
         if (distance < 1.5) {
           // Collect the coin
+          const type = coin.coinData.type;
           coin.coinData.collected = true;
-          this.collectedCoins++;
-          coinsCollectedThisFrame++;
+          this.collectedCoins += COIN_TYPES[type].value;
+          this.collectedByType[type]++;
+          collected.push(type);
 
           // Play collection animation
           this.playCollectionAnimation(coin);
@@ -261,7 +567,24 @@ export class CoinManager {
       }
     }
 
-    return coinsCollectedThisFrame;
+    if (collected.length > 0) {
+      this.events.emit('coinCollected', {
+        count: collected.length,
+        types: collected,
+        points: this.getPoints(collected),
+        position: playerMesh.position.clone(),
+      });
+    }
+    return collected;
+  }
+
+  /**
+   * Score for a set of collected coins and gems, before any multiplier
+   * @param {string[]} types - From checkCollection()
+   * @returns {number}
+   */
+  getPoints(types) {
+    return types.reduce((sum, type) => sum + COIN_TYPES[type].points, 0);
   }
 
   /**
@@ -324,28 +647,31 @@ export class CoinManager {
     animationGroup.addTargetedAnimation(moveAnimation, coin);
     animationGroup.addTargetedAnimation(spinAnimation, coin);
 
-    // Create golden particle burst effect
-    this.createCoinParticles(coin.position);
+    // Particle burst in the coin's colour
+    this.createCoinParticles(coin.position, COIN_TYPES[coin.coinData.type].color);
 
     // Play animation group
     animationGroup.play(false);
   }
 
   /**
-   * Create golden particle burst effect for coin collection
+   * Create particle burst effect for coin collection
    * @param {BABYLON.Vector3} position - Position to create particles
+   * @param {number[]} color - RGB of the collected coin or gem
    */
-  createCoinParticles(position) {
-    // Create particle system for golden sparkles
+  createCoinParticles(position, color = COIN_TYPES.gold.color) {
+    if (this.scene.headless) return;
+
+    // Create particle system for sparkles
     const particleSystem = new BABYLON.ParticleSystem("coinParticles", 20, this.scene);
 
-    // Create simple golden sphere for particle texture
+    // Create simple white sphere for particle texture; the colours below tint it
     const particleTexture = new BABYLON.DynamicTexture("particleTexture", 64, this.scene);
     const ctx = particleTexture.getContext();
     const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
-    gradient.addColorStop(0, "rgba(255, 215, 0, 1)");
-    gradient.addColorStop(0.5, "rgba(255, 165, 0, 0.8)");
-    gradient.addColorStop(1, "rgba(255, 215, 0, 0)");
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.8)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, 64, 64);
     particleTexture.update(false);
@@ -358,9 +684,10 @@ export class CoinManager {
     particleSystem.maxEmitBox = new BABYLON.Vector3(0.2, 0.2, 0.2);
 
     // Particle behavior
-    particleSystem.color1 = new BABYLON.Color4(1, 0.84, 0, 1);
-    particleSystem.color2 = new BABYLON.Color4(1, 0.65, 0, 1);
-    particleSystem.colorDead = new BABYLON.Color4(1, 1, 0, 0);
+    const [r, g, b] = color;
+    particleSystem.color1 = new BABYLON.Color4(r, g, b, 1);
+    particleSystem.color2 = new BABYLON.Color4(r, g * 0.8, b * 0.8, 1);
+    particleSystem.colorDead = new BABYLON.Color4(r, g, b, 0);
 
     particleSystem.minSize = 0.1;
     particleSystem.maxSize = 0.3;
@@ -396,11 +723,12 @@ export class CoinManager {
 
   /**
    * Get an inactive coin from the pool
+   * @param {string} type - Key of COIN_TYPES
    * @returns {BABYLON.Mesh|null} An available coin or null
    */
-  getFromPool() {
+  getFromPool(type = 'gold') {
     for (const coin of this.coinPool) {
-      if (!coin.coinData.active) {
+      if (!coin.coinData.active && coin.coinData.type === type) {
         return coin;
       }
     }
@@ -416,6 +744,7 @@ export class CoinManager {
     coin.coinData.active = false;
     coin.coinData.collected = false;
     coin.coinData.lane = null;
+    coin.coinData.magnetized = false;
     // keep scaling as normalized when created
 
     // Remove from LOD tracking
@@ -435,18 +764,66 @@ export class CoinManager {
 
     this.coins = [];
     this.collectedCoins = 0;
+    this.collectedByType = this.createCounters();
     this.totalCoins = 0;
-    this.lastSpawnZ = 0;
+    this.lastSpawnDistance = 0;
+    // Coin height feeds collection, so the bob starts over with each run for replays to match
+    this._time = 0;
   }
 
   /**
    * Get the current coin count
-   * @returns {number} Number of collected coins
+   * @returns {number} Value of collected coins (gems not included)
    */
   getCollectedCoins() {
     return this.collectedCoins;
   }
 
+  /**
+   * Get how many of each coin type and gems were collected
+   * @returns {Object} Type -> count
+   */
+  getCollectedByType() {
+    return { ...this.collectedByType };
+  }
+
+  /**
+   * Collected counts with display labels and colours, for the run summary
+   * @returns {Array<{type: string, label: string, count: number, color: number[]}>}
+   */
+  getSummary() {
+    return Object.entries(COIN_TYPES).map(([type, definition]) => ({
+      type,
+      label: definition.label,
+      count: this.collectedByType[type],
+      color: definition.color,
+    }));
+  }
+
+  /**
+   * Follow this runner's jump curve when laying out arcs
+   * @param {PlayerController} playerController - Source of jump height, duration and speed
+   */
+  setPlayerController(playerController) {
+    this.playerController = playerController;
+  }
+
+  /**
+   * Fit formations around this manager's obstacles
+   * @param {ObstacleManager} obstacleManager - Obstacles to avoid and jump
+   */
+  setObstacleManager(obstacleManager) {
+    this.obstacleManager = obstacleManager;
+  }
+
+  /**
+   * Use the game's event bus
+   * @param {GameEvents} events - Shared event bus
+   */
+  setEvents(events) {
+    this.events = events;
+  }
+
   /**
    * Set coin spawn parameters
    * @param {number} coinsPerGroup - Number of coins to spawn in a group
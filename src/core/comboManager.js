@@ -0,0 +1,150 @@
+/**
+ * Combo Manager Module
+ * A score multiplier built from risky play. Each near miss (passing close beside an
+ * obstacle, or jumping or sliding through it at the last moment) and each streak of coins
+ * raises it; it holds for a few seconds after the last raise, then drains back to 1x, and a
+ * stumble breaks it outright. Points earned while it is above 1x add a combo bonus to the
+ * score. It is simulation state, fed from the fixed step, so replays reproduce it.
+ */
+
+// How much each near miss kind raises the multiplier
+export const NEAR_MISS_BONUS = {
+  pass: 0.5, // Close beside an obstacle in the next lane
+  jump: 0.5, // Jumped over it at the last moment
+  slide: 0.5, // Slid under it at the last moment
+};
+
+export class ComboManager {
+  constructor() {
+    this.maxMultiplier = 5;
+    this.holdTime = 3; // Seconds the multiplier holds after a raise before draining
+    this.decayRate = 0.5; // Multiplier lost per second once draining
+    this.coinStreakLength = 10; // Coins in a row that raise the multiplier
+    this.coinStreakBonus = 0.25;
+    this.coinStreakGap = 1; // Seconds without a coin that end a streak
+
+    this.reset();
+  }
+
+  /**
+   * Start a new run at 1x
+   */
+  reset() {
+    this.multiplier = 1;
+    this.chain = 0; // Near misses since the combo last started
+    this.coinStreak = 0; // Coins towards the next streak raise
+    this.sinceRaise = 0;
+    this.sinceCoin = 0;
+    this.bonus = 0; // Extra points earned through the multiplier
+
+    // Run summary for the game over breakdown
+    this.bestMultiplier = 1;
+    this.bestChain = 0;
+    this.nearMisses = { pass: 0, jump: 0, slide: 0 };
+    this.coinStreaks = 0;
+  }
+
+  /**
+   * Hold, then drain the multiplier, and end a coin streak that has gone cold
+   * @param {number} deltaTime - Fixed step in seconds
+   */
+  update(deltaTime) {
+    this.sinceRaise += deltaTime;
+    if (this.sinceRaise > this.holdTime && this.multiplier > 1) {
+      this.multiplier = Math.max(1, this.multiplier - this.decayRate * deltaTime);
+      if (this.multiplier === 1) this.chain = 0;
+    }
+
+    this.sinceCoin += deltaTime;
+    if (this.sinceCoin > this.coinStreakGap) this.coinStreak = 0;
+  }
+
+  /**
+   * Count a near miss
+   * @param {string} kind - Key of NEAR_MISS_BONUS
+   */
+  nearMiss(kind) {
+    this.nearMisses[kind] = (this.nearMisses[kind] || 0) + 1;
+    this.chain++;
+    this.bestChain = Math.max(this.bestChain, this.chain);
+    this.raise(NEAR_MISS_BONUS[kind] ?? 0);
+  }
+
+  /**
+   * Count picked-up coins towards a streak
+   * @param {number} count - Coins and gems picked up this step
+   */
+  collectCoins(count) {
+    if (count <= 0) return;
+    this.sinceCoin = 0;
+    this.coinStreak += count;
+    while (this.coinStreak >= this.coinStreakLength) {
+      this.coinStreak -= this.coinStreakLength;
+      this.coinStreaks++;
+      this.raise(this.coinStreakBonus);
+    }
+  }
+
+  /**
+   * Raise the multiplier and restart its hold
+   * @param {number} amount - Added to the multiplier
+   */
+  raise(amount) {
+    this.multiplier = Math.min(this.maxMultiplier, this.multiplier + amount);
+    this.bestMultiplier = Math.max(this.bestMultiplier, this.multiplier);
+    this.sinceRaise = 0;
+  }
+
+  /**
+   * Drop straight back to 1x (a stumble or a revive)
+   */
+  breakCombo() {
+    this.multiplier = 1;
+    this.chain = 0;
+    this.coinStreak = 0;
+  }
+
+  /**
+   * Add the multiplier's share of points just earned to the bonus
+   * @param {number} points - Distance and coin points earned this step
+   */
+  addPoints(points) {
+    this.bonus += points * (this.multiplier - 1);
+  }
+
+  /**
+   * Combo bonus points so far
+   * @returns {number}
+   */
+  getBonus() {
+    return Math.floor(this.bonus);
+  }
+
+  /**
+   * Current combo for the HUD
+   * @returns {{multiplier: number, chain: number, hold: number}} hold runs from 1 after a
+   *   raise down to 0 when the multiplier starts draining
+   */
+  getState() {
+    return {
+      multiplier: this.multiplier,
+      chain: this.chain,
+      hold: Math.max(0, 1 - this.sinceRaise / this.holdTime),
+    };
+  }
+
+  /**
+   * What the combo earned this run, for the game over breakdown
+   * @returns {{bonus: number, bestMultiplier: number, bestChain: number,
+   *   nearMisses: Object, coinStreaks: number}}
+   */
+  getSummary() {
+    return {
+      bonus: this.getBonus(),
+      bestMultiplier: this.bestMultiplier,
+      bestChain: this.bestChain,
+      nearMisses: { ...this.nearMisses },
+      coinStreaks: this.coinStreaks,
+    };
+  }
+}
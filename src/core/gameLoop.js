@@ -1,6 +1,7 @@
 /**
  * Game Loop Module
- * Manages the main game update cycle and coordinates all game systems
+ * Manages the main game update cycle and coordinates all game systems.
+ * The simulation advances in fixed steps; rendering interpolates between them.
  */
 
 export class GameLoop {
@@ -12,10 +13,28 @@ export class GameLoop {
     this.deltaTime = 0;
     this.lastTime = 0;
     this.systems = [];
+
+    // Fixed-timestep simulation
+    this.fixedTimeStep = 1 / 60; // Seconds of simulation per step
+    this.maxFrameTime = 0.25; // Longest frame we try to catch up on (e.g. after a hitch)
+    this.maxStepsPerFrame = 8; // Hard cap so a slow device cannot spiral
+    this.accumulator = 0;
+    this.alpha = 0; // Interpolation factor between the last two steps, in [0, 1)
+    this.tick = 0; // Steps simulated since start()
+    this.simulationTime = 0; // Scaled seconds simulated since start()
+
+    // One render hook for the loop's whole life; start/stop/pause only flip the flags
+    this.onBeforeRender = () => {
+      if (this.isRunning && !this.isPaused) {
+        this.update();
+      }
+    };
+    this.scene.registerBeforeRender(this.onBeforeRender);
   }
 
   /**
-   * Register a system to be updated in the game loop
+   * Register a system to be updated in the game loop.
+   * Systems may also define interpolate(alpha), called once per rendered frame.
    * @param {Object} system - System with an update method
    */
   registerSystem(system) {
@@ -31,13 +50,10 @@ export class GameLoop {
     this.isRunning = true;
     this.isPaused = false;
     this.lastTime = performance.now();
-    
-    // Register the main render loop with Babylon.js
-    this.scene.registerBeforeRender(() => {
-      if (this.isRunning && !this.isPaused) {
-        this.update();
-      }
-    });
+    this.accumulator = 0;
+    this.alpha = 0;
+    this.tick = 0;
+    this.simulationTime = 0;
   }
 
   /**
@@ -60,6 +76,7 @@ export class GameLoop {
   resume() {
     this.isPaused = false;
     this.lastTime = performance.now();
+    this.accumulator = 0;
   }
 
   /**
@@ -67,15 +84,72 @@ export class GameLoop {
    */
   update() {
     const currentTime = performance.now();
-    this.deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
+    const frameTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
     this.lastTime = currentTime;
 
+    this.advance(frameTime);
+  }
+
+  /**
+   * Advance the simulation by a frame's worth of real time
+   * @param {number} frameTime - Real seconds since the previous frame
+   */
+  advance(frameTime) {
+    // Game speed scales how much simulated time a frame covers, not the step size,
+    // so faster play takes more steps instead of longer (tunnelling) ones
+    this.accumulator += Math.min(Math.max(frameTime, 0), this.maxFrameTime) * this.gameSpeed;
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedTimeStep && this.isRunning && !this.isPaused) {
+      if (steps >= this.maxStepsPerFrame) {
+        // Too far behind: drop the backlog rather than freezing the frame
+        this.accumulator %= this.fixedTimeStep;
+        break;
+      }
+      this.step();
+      this.accumulator -= this.fixedTimeStep;
+      steps++;
+    }
+
+    this.alpha = this.accumulator / this.fixedTimeStep;
+    this.interpolate(this.alpha);
+  }
+
+  /**
+   * Simulate exactly one fixed step
+   */
+  step() {
+    this.deltaTime = this.fixedTimeStep;
+
     // Update all registered systems
     for (const system of this.systems) {
-      system.update(this.deltaTime * this.gameSpeed);
+      system.update(this.fixedTimeStep);
+    }
+
+    this.tick++;
+    this.simulationTime = this.tick * this.fixedTimeStep;
+  }
+
+  /**
+   * Let systems place their visuals between the last two simulated steps
+   * @param {number} alpha - Interpolation factor in [0, 1)
+   */
+  interpolate(alpha) {
+    for (const system of this.systems) {
+      if (typeof system.interpolate === 'function') {
+        system.interpolate(alpha);
+      }
     }
   }
 
+  /**
+   * Get the interpolation factor of the current render frame
+   * @returns {number} Alpha in [0, 1)
+   */
+  getAlpha() {
+    return this.alpha;
+  }
+
   /**
    * Set the game speed multiplier
    * @param {number} speed - Speed multiplier (1.0 = normal, 2.0 = double speed)
@@ -84,6 +158,14 @@ export class GameLoop {
     this.gameSpeed = Math.max(0.1, Math.min(5.0, speed));
   }
 
+  /**
+   * Detach the loop from the scene's render hook
+   */
+  dispose() {
+    this.isRunning = false;
+    this.scene.unregisterBeforeRender(this.onBeforeRender);
+  }
+
   /**
    * Reset the game loop
    */
@@ -91,7 +173,11 @@ export class GameLoop {
     this.gameSpeed = 1.0;
     this.deltaTime = 0;
     this.lastTime = performance.now();
-    
+    this.accumulator = 0;
+    this.alpha = 0;
+    this.tick = 0;
+    this.simulationTime = 0;
+
     // Reset all systems if they have a reset method
     for (const system of this.systems) {
       if (typeof system.reset === 'function') {
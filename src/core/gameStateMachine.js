@@ -0,0 +1,149 @@
+/**
+ * Game State Machine Module
+ * The run's top-level state (menu, countdown, playing, paused, dying, revive offer, game
+ * over) and the transitions allowed between them. Each state registers enter/exit hooks
+ * that own what changes with it (input, the game loop, UI screens), plus an optional
+ * per-frame update for states that run on real time, such as the countdown.
+ */
+
+export const GAME_STATES = {
+  MENU: 'menu',
+  COUNTDOWN: 'countdown',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  DYING: 'dying',
+  REVIVE: 'revive',
+  GAME_OVER: 'gameOver',
+};
+
+const { MENU, COUNTDOWN, PLAYING, PAUSED, DYING, REVIVE, GAME_OVER } = GAME_STATES;
+
+// State -> states it may move to
+export const GAME_STATE_TRANSITIONS = {
+  [MENU]: [COUNTDOWN, PLAYING],
+  [COUNTDOWN]: [PLAYING, PAUSED, MENU],
+  [PLAYING]: [PAUSED, DYING],
+  [PAUSED]: [PLAYING, COUNTDOWN, MENU],
+  [DYING]: [REVIVE, GAME_OVER],
+  [REVIVE]: [COUNTDOWN, PLAYING, GAME_OVER],
+  [GAME_OVER]: [COUNTDOWN, PLAYING, MENU],
+};
+
+export class GameStateMachine {
+  /**
+   * @param {Object} transitions - State -> allowed next states
+   */
+  constructor(transitions = GAME_STATE_TRANSITIONS) {
+    this.transitions = transitions;
+    this.handlers = {}; // State -> { enter, exit, update }
+    this.state = null;
+    this.previous = null;
+    this.data = {}; // What the current state was entered with
+    this.timeInState = 0; // Real seconds since the current state was entered
+    this.changing = false;
+
+    // Optional hook called with (state, previous) after every transition
+    this.onChange = null;
+  }
+
+  /**
+   * Register what happens on entering, leaving and staying in a state
+   * @param {string} state - One of GAME_STATES
+   * @param {Object} handlers - { enter(data, from), exit(to), update(deltaTime, data) }
+   * @returns {GameStateMachine} this, for chaining
+   */
+  addState(state, handlers) {
+    if (!this.transitions[state]) {
+      throw new Error(`Unknown game state "${state}"`);
+    }
+    this.handlers[state] = handlers;
+    return this;
+  }
+
+  /**
+   * Enter the first state without a transition check
+   * @param {string} state - One of GAME_STATES
+   * @param {Object} data - Passed to the state's enter hook
+   */
+  start(state, data = {}) {
+    this.state = null;
+    this.enter(state, data);
+  }
+
+  /**
+   * Whether the machine is in any of the given states
+   * @param {...string} states - States to test
+   * @returns {boolean}
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * Whether a transition to this state is allowed from the current one
+   * @param {string} state - Target state
+   * @returns {boolean}
+   */
+  can(state) {
+    return !!this.state && this.transitions[this.state].includes(state);
+  }
+
+  /**
+   * Leave the current state for another
+   * @param {string} state - Target state
+   * @param {Object} data - Passed to the target's enter hook
+   */
+  transition(state, data = {}) {
+    if (this.changing) {
+      throw new Error(`Can't enter "${state}" while entering or leaving "${this.state}"`);
+    }
+    if (!this.can(state)) {
+      throw new Error(`Can't go from game state "${this.state}" to "${state}"`);
+    }
+
+    this.changing = true;
+    try {
+      this.handlers[this.state]?.exit?.(state);
+    } finally {
+      this.changing = false;
+    }
+    this.enter(state, data);
+  }
+
+  /**
+   * Switch state and run its enter hook
+   */
+  enter(state, data) {
+    const from = this.state;
+    this.previous = from;
+    this.state = state;
+    this.data = data;
+    this.timeInState = 0;
+
+    this.changing = true;
+    try {
+      this.handlers[state]?.enter?.(data, from);
+    } finally {
+      this.changing = false;
+    }
+    if (this.onChange) this.onChange(state, from);
+  }
+
+  /**
+   * Advance the current state's real-time update (call once per rendered frame)
+   * @param {number} deltaTime - Real seconds since the last frame
+   */
+  update(deltaTime) {
+    if (!this.state) return;
+    this.timeInState += deltaTime;
+    this.handlers[this.state]?.update?.(deltaTime, this.data);
+  }
+
+  /**
+   * Set the transition hook
+   * @param {Function} callback - Called with (state, previous)
+   */
+  setOnChange(callback) {
+    this.onChange = callback;
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Layout Validator Module
+ * Checks that the obstacles ahead leave the runner a way through before another one is
+ * added. Obstacles are grouped into rows along the track; each row leaves some lanes open,
+ * some that need a jump or slide and some that are blocked. A search over lanes and
+ * actions then uses PlayerController's lane-change speed, jump and slide timing at the
+ * current forward speed to decide whether every row can be passed.
+ */
+
+const MAX_REPORTED = 50;
+
+export class LayoutValidator {
+  /**
+   * @param {PlayerController} playerController - Source of movement timing and speed
+   */
+  constructor(playerController) {
+    this.playerController = playerController;
+
+    this.rowSpan = 1.5; // Obstacles closer than this along the track are passed together
+    this.window = 40; // Track distance either side of a new obstacle that is checked
+    this.speedMargin = 1.1; // The runner speeds up before reaching what spawns ahead
+    this.reactionTime = 0.15; // Time to start a lane change after passing a row
+    this.jumpCover = 0.6; // Fraction of a jump high enough to clear a low obstacle
+    this.slideDuck = 0.2; // Time a slide takes to get low
+
+    this.debug = false;
+    this.rejections = []; // Most recent rejected layouts, newest last
+    this.rejectedCount = 0;
+  }
+
+  /**
+   * Whether an obstacle can be added without making the stretch around it impassable
+   * @param {Object} candidate - { distance, definition, lane }
+   * @param {Object[]} existing - Obstacles already placed, same shape as candidate
+   * @returns {boolean}
+   */
+  canPlace(candidate, existing) {
+    const nearby = existing.filter((o) => Math.abs(o.distance - candidate.distance) <= this.window);
+    const rows = this.buildRows([...nearby, candidate]);
+    const speed = this.getSpeed();
+    const reason = this.findBlockage(rows, speed);
+    if (!reason) return true;
+
+    this.reject(candidate, rows, reason, speed);
+    return false;
+  }
+
+  /**
+   * Forward speed used for timing (boosts are ignored; the runner is invulnerable then)
+   * @returns {number}
+   */
+  getSpeed() {
+    return this.playerController.forwardSpeed * this.speedMargin;
+  }
+
+  /**
+   * Lanes an obstacle occupies
+   * @param {Object} obstacle - { definition, lane }
+   * @returns {number[]}
+   */
+  getBlockedLanes(obstacle) {
+    const lanes = this.playerController.lanes.map((x, i) => i);
+    switch (obstacle.definition.placement) {
+      case 'full':
+        return lanes;
+      case 'gap':
+        return lanes.filter((i) => i !== obstacle.lane);
+      default:
+        return [obstacle.lane];
+    }
+  }
+
+  /**
+   * Group obstacles into rows and work out what each lane needs in every row
+   * @param {Object[]} obstacles - { distance, definition, lane }
+   * @returns {Array<{distance: number, lanes: Array<string|null|false>, obstacles: Object[]}>}
+   *   Per lane: null when open, 'jump'/'slide' when that action is needed, false if blocked
+   */
+  buildRows(obstacles) {
+    const laneCount = this.playerController.lanes.length;
+    const sorted = [...obstacles].sort((a, b) => a.distance - b.distance);
+    const rows = [];
+
+    for (const obstacle of sorted) {
+      let row = rows[rows.length - 1];
+      if (!row || obstacle.distance - row.distance > this.rowSpan) {
+        row = {
+          distance: obstacle.distance,
+          lanes: new Array(laneCount).fill(null),
+          obstacles: [],
+        };
+        rows.push(row);
+      }
+      row.obstacles.push(obstacle);
+
+      const action = obstacle.definition.action;
+      for (const lane of this.getBlockedLanes(obstacle)) {
+        const need = row.lanes[lane];
+        if (need === false) continue;
+        if (action === 'dodge' || (need && need !== action)) {
+          row.lanes[lane] = false; // Can't stand here, or needs a jump and a slide at once
+        } else {
+          row.lanes[lane] = action;
+        }
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Search for a way through the rows
+   * @param {Object[]} rows - From buildRows()
+   * @param {number} speed - Forward speed in m/s
+   * @returns {string|null} Why the rows can't be passed, or null if they can
+   */
+  findBlockage(rows, speed) {
+    const pc = this.playerController;
+    const laneTime = Math.abs(pc.lanes[1] - pc.lanes[0]) / pc.laneChangeSpeed;
+    const duration = { jump: pc.jumpDuration, slide: pc.maxSlideTime };
+    const cover = {
+      jump: pc.jumpDuration * this.jumpCover,
+      slide: pc.maxSlideTime - this.slideDuck,
+    };
+
+    // Runner states: lane, plus the last action taken and where it started
+    let states = pc.lanes.map((x, lane) => ({ lane, action: null, at: -Infinity }));
+    let previous = null;
+
+    for (const row of rows) {
+      const next = new Map();
+      const gap = previous ? (row.distance - previous.distance) / speed : Infinity;
+
+      row.lanes.forEach((need, lane) => {
+        if (need === false) return;
+        for (const state of states) {
+          // Time to move across, reacting after the last row
+          const moves = Math.abs(lane - state.lane);
+          if (moves > 0 && moves * laneTime + this.reactionTime > gap) continue;
+
+          let action = state.action;
+          let at = state.at;
+          if (need) {
+            const since = (row.distance - state.at) / speed;
+            if (need === state.action && since <= cover[need]) {
+              // Still in the air (or low) from the previous action
+            } else if (!state.action || since >= duration[state.action]) {
+              action = need;
+              at = row.distance;
+            } else {
+              continue; // Busy finishing the previous jump/slide
+            }
+          }
+          next.set(`${lane}|${action}|${at}`, { lane, action, at });
+        }
+      });
+
+      if (next.size === 0) {
+        return row.lanes.every((need) => need === false)
+          ? `no passable lane at ${row.distance.toFixed(1)}m`
+          : `no time to get through at ${row.distance.toFixed(1)}m (${speed.toFixed(1)} m/s)`;
+      }
+      states = Array.from(next.values());
+      previous = row;
+    }
+    return null;
+  }
+
+  /**
+   * Remember a rejected layout for the debug report
+   */
+  reject(candidate, rows, reason, speed) {
+    this.rejectedCount++;
+    const entry = {
+      type: candidate.definition.name,
+      lane: candidate.lane,
+      distance: candidate.distance,
+      speed,
+      reason,
+      layout: this.formatRows(rows),
+    };
+    this.rejections.push(entry);
+    if (this.rejections.length > MAX_REPORTED) this.rejections.shift();
+
+    if (this.debug) {
+      console.warn(
+        `🚧 Rejected ${entry.type} (lane ${entry.lane}) at ${entry.distance.toFixed(1)}m: ` +
+          `${reason}\n${entry.layout}`
+      );
+    }
+  }
+
+  /**
+   * Draw rows as text: '.' open, 'J' jump, 'S' slide, '#' blocked
+   * @param {Object[]} rows - From buildRows()
+   * @returns {string}
+   */
+  formatRows(rows) {
+    const symbol = (need) => (need === false ? '#' : need === null ? '.' : need[0].toUpperCase());
+    return rows
+      .map((row) => {
+        const lanes = row.lanes.map(symbol).join(' ');
+        const names = row.obstacles.map((o) => o.definition.name).join(', ');
+        return `${row.distance.toFixed(1).padStart(8)}m  ${lanes}  ${names}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Summary of rejected layouts, for debugging generation
+   * @returns {{rejected: number, recent: Object[]}}
+   */
+  getReport() {
+    return { rejected: this.rejectedCount, recent: [...this.rejections] };
+  }
+
+  /**
+   * Clear the report for a new run
+   */
+  reset() {
+    this.rejections = [];
+    this.rejectedCount = 0;
+  }
+}
@@ -2,34 +2,63 @@
  * Obstacle Manager Module - Handles obstacle spawning, pooling, and management
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
 import { AssetManager } from './assetManager.js';
+import { RandomService } from '../utils/random.js';
+import { TrackPath } from './trackPath.js';
+import { ObstacleRegistry } from './obstacleRegistry.js';
+import { GameEvents } from '../utils/gameEvents.js';
 
 export class ObstacleManager {
-  constructor(scene, assetManager) {
+  constructor(
+    scene,
+    assetManager,
+    random = new RandomService(),
+    track = new TrackPath(),
+    registry = new ObstacleRegistry()
+  ) {
     this.scene = scene;
     this.assetManager = assetManager;
+    this.rng = random.stream('obstacles');
+    this.track = track; // Spawn distances are measured along the track
     this.obstacles = [];
     this.obstaclePool = [];
     this.spawnDistance = 50;
-    this.lastSpawnZ = 0;
+    this.lastSpawnDistance = 0;
     this.minSpacing = 10;
     this.maxSpacing = 20;
+    this.cornerClearance = 8; // Keep this much track either side of a corner free
 
-    // Temple obstacle types mapped to GLB models
-    this.obstacleTypes = ['log', 'rock', 'spike'];
-    this.obstacleModelMap = {
-      log: 'logObstacle',
-      rock: 'rockObstacle',
-      spike: 'spikeObstacle',
-    };
+    // Obstacle types (model, material, collider, action, spawn weight) are data;
+    // register more at runtime through this.registry
+    this.registry = registry;
+
+    // Optional LayoutValidator that vetoes obstacles which would leave no way through
+    this.validator = null;
+    this.maxRerolls = 3; // Random spawns try another type/lane this many times
+
+    // Optional callback(obstacle) after an obstacle is placed, e.g. to clear coins inside it
+    this.onObstacleSpawned = null;
 
     // Lane positions matching player controller
     this.lanes = [-2, 0, 2];
 
+    // Passing this close beside an obstacle without touching it counts as a near miss
+    this.nearMissMargin = 0.6;
+    // So does jumping or sliding through it when the move started at most this far before it
+    this.lateMoveWindow = 2.5;
+
+    // A hit overlapping an obstacle across the track by less than this only clips its
+    // side: the runner stumbles instead of crashing
+    this.grazeDepth = 0.4;
+
+    // Emits hit and nearMiss; replaced with the game's bus by setEvents()
+    this.events = new GameEvents();
+
     // Debug
     this.debugColliders = false;
     this._debugMats = {};
+    this._proceduralMats = {}; // Per-type materials for model-less obstacles
   }
 
   init() {
@@ -45,220 +74,407 @@ export class ObstacleManager {
 
       obstacle.obstacleData = {
         type: null,
+        definition: null,
         lane: null,
+        distance: 0,
         active: false,
-        mesh: null
+        passed: false, // The runner has gone by it (near misses are judged once)
+        hit: false, // The runner has touched it ('hit' is emitted once)
+        grazed: false, // The runner clipped its side and stumbled; no longer collides
+        mesh: null, // First collider
+        colliders: [],
+        instanceRoots: [], // Visual roots, one per part
       };
 
       this.obstaclePool.push(obstacle);
     }
   }
 
-  update(deltaTime, playerPosition) {
-    if (playerPosition && playerPosition.z > this.lastSpawnZ - this.spawnDistance) {
-      this.spawnObstacle(playerPosition.z + this.spawnDistance);
+  /**
+   * Spawn ambient obstacles ahead of the player and recycle passed ones
+   * @param {number} deltaTime - Time since last update
+   * @param {number} playerDistance - Player's distance along the track
+   */
+  update(deltaTime, playerDistance) {
+    const spawnThreshold = this.lastSpawnDistance - this.spawnDistance;
+    if (playerDistance !== undefined && playerDistance > spawnThreshold) {
+      // Space ambient spawns from the previous one rather than from the player so the
+      // layout depends only on the seed, not on frame timing
+      const spawnAt =
+        Math.max(this.lastSpawnDistance, this.spawnDistance) +
+        this.rng.range(this.minSpacing, this.maxSpacing);
+      // Never block a corner (canPlace would refuse it too; skipping here saves the rolls)
+      if (!this.track.isNearTurn(spawnAt, this.cornerClearance)) {
+        this.spawnObstacle(spawnAt);
+      }
+      this.lastSpawnDistance = spawnAt;
     }
 
-    this.updateObstacles(playerPosition);
+    this.updateObstacles(playerDistance);
   }
 
-  spawnObstacle(spawnZ) {
-    const obstacle = this.getFromPool();
+  /**
+   * Spawn an obstacle. 'lane' types sit in a random lane, 'full' types span the track and
+   * 'gap' types block every lane except the random one.
+   * @param {number} distance - Distance along the track
+   * @param {SeededRandom} rng - Stream to draw lane/type from (defaults to this manager's)
+   */
+  spawnObstacle(distance, rng = this.rng) {
+    // Roll before touching the pool so an exhausted pool cannot shift the sequence;
+    // rerolls depend only on the layout, so they keep runs reproducible
+    for (let attempt = 0; attempt <= this.maxRerolls; attempt++) {
+      const lane = rng.int(this.lanes.length);
+      const definition = this.registry.pick(rng, distance);
+      if (!definition) return;
+      if (this.canPlace(distance, definition, lane)) {
+        this.spawnObstacleAt(distance, definition, lane);
+        return;
+      }
+    }
+    // Nothing fits here; leave the spot empty
+  }
 
-    if (obstacle) {
-      const lane = Math.floor(Math.random() * this.lanes.length);
-      const type = this.obstacleTypes[Math.floor(Math.random() * this.obstacleTypes.length)];
+  /**
+   * Whether an obstacle fits here: never within cornerClearance of a corner, which the
+   * runner needs clear to turn; off any ledge if it spans lanes, which need to be level;
+   * and the validator must agree it still leaves a way through
+   * @param {number} distance - Distance along the track
+   * @param {Object} definition - Registered obstacle type
+   * @param {number} lane - Lane index
+   * @returns {boolean}
+   */
+  canPlace(distance, definition, lane) {
+    if (this.track.isNearTurn(distance, this.cornerClearance)) return false;
+    if (definition.placement !== 'lane' && this.track.hasLedgeAt(distance)) return false;
+    if (!this.validator) return true;
+
+    const existing = this.obstacles.map((obstacle) => ({
+      distance: obstacle.obstacleData.distance,
+      definition: obstacle.obstacleData.definition,
+      lane: obstacle.obstacleData.lane,
+    }));
+    return this.validator.canPlace({ distance, definition, lane }, existing);
+  }
 
-      obstacle.position.x = this.lanes[lane];
-      obstacle.position.y = 0;
-      obstacle.position.z = spawnZ;
+  /**
+   * Spawn an obstacle of a given type
+   * @param {number} distance - Distance along the track
+   * @param {Object|string} type - Registered obstacle type or its name
+   * @param {number} lane - Lane index ('gap' types leave this lane open; 'full' ignore it)
+   * @returns {BABYLON.TransformNode|null} The obstacle, or null if none could be spawned
+   */
+  spawnObstacleAt(distance, type, lane = 1) {
+    const definition = typeof type === 'string' ? this.registry.get(type) : type;
+    if (!definition) {
+      console.warn(`Unknown obstacle type: ${type}`);
+      return null;
+    }
+    // Authored layouts can still clash with what is around them or sit by a corner; drop
+    // the obstacle then
+    if (!this.canPlace(distance, definition, lane)) return null;
+    const obstacle = this.getFromPool();
 
-      obstacle.obstacleData.type = type;
+    if (obstacle) {
+      // Lanes are offsets across the track, which may run along any heading; wide
+      // obstacles are centred on the track and lay their parts out across it
+      const lateral = definition.placement === 'lane' ? this.lanes[lane] : 0;
+      obstacle.position.copyFrom(this.track.getPosition(distance, lateral, 0));
+      obstacle.rotation.y = this.track.getYaw(distance);
+
+      obstacle.obstacleData.type = definition.name;
+      obstacle.obstacleData.definition = definition;
       obstacle.obstacleData.lane = lane;
+      obstacle.obstacleData.distance = distance;
       obstacle.obstacleData.active = true;
+      obstacle.obstacleData.passed = false;
+      obstacle.obstacleData.hit = false;
+      obstacle.obstacleData.grazed = false;
 
       obstacle.setEnabled(true);
       this.obstacles.push(obstacle);
 
-      this.lastSpawnZ = spawnZ;
+      // Pooled obstacles can move without a render in between (several fixed steps per
+      // frame, headless runs), so refresh the world matrix the new collider inherits
+      obstacle.computeWorldMatrix(true);
 
-      this.configureObstacleAppearance(obstacle, type);
+      this.configureObstacleAppearance(obstacle, definition);
+      if (this.onObstacleSpawned) this.onObstacleSpawned(obstacle);
     }
+    return obstacle;
   }
 
-  configureObstacleAppearance(obstacle, type) {
-    const modelName = this.obstacleModelMap[type];
-    const obstacleModel = this.assetManager?.getModel(modelName);
-
-    if (obstacleModel) {
-      console.log(`Creating visual for obstacle ${type} at position:`, `x:${obstacle.position.x} y:${obstacle.position.y} z:${obstacle.position.z}`);
-      console.log(`Obstacle model structure:`, obstacleModel.name, obstacleModel.constructor.name);
-
-      // Debug: log the structure
-      if (typeof obstacleModel.getChildMeshes === 'function') {
-        const meshes = obstacleModel.getChildMeshes(true); // Include descendants
-        console.log(`Obstacle model has ${meshes.length} child meshes:`, meshes.map(m => ({
-          name: m.name,
-          type: m.constructor.name,
-          vertices: m.getTotalVertices ? m.getTotalVertices() : 'N/A',
-          enabled: m.isEnabled(),
-          visible: m.isVisible
-        })));
-      }
-
-      // Try using the AssetManager's createLODInstance method
-      let visual = this.assetManager.createLODInstance(modelName, `${obstacle.name}_${type}`, obstacle.position.clone());
-
-      if (!visual) {
-        console.log(`LOD instance failed, trying direct cloning for ${type}`);
-
-        if (typeof obstacleModel.getChildMeshes === 'function') {
-          const meshes = obstacleModel.getChildMeshes(true);
-          if (meshes.length > 0) {
-            // Create a container for all the cloned meshes
-            visual = new BABYLON.TransformNode(`${obstacle.name}_${type}`, this.scene);
-
-            for (const mesh of meshes) {
-              if (mesh && mesh.getTotalVertices && mesh.getTotalVertices() > 0) {
-                const clonedMesh = mesh.clone(`${visual.name}_${mesh.name}`);
-                clonedMesh.parent = visual;
-                clonedMesh.setEnabled(true);
-                clonedMesh.isVisible = true;
-              }
-            }
-            visual.position = obstacle.position.clone();
-            console.log(`Obstacle ${type} created via mesh cloning: SUCCESS`);
-          }
-        }
-
-        if (!visual && typeof obstacleModel.clone === 'function') {
-          visual = obstacleModel.clone(`${obstacle.name}_${type}`);
-          visual.setEnabled(true);
-          visual.isVisible = true;
-          visual.position = obstacle.position.clone();
-          console.log(`Obstacle ${type} created via direct clone: SUCCESS`);
-        }
-      } else {
-        console.log(`Obstacle ${type} created via LOD instance: SUCCESS`);
-      }
+  /**
+   * Whether a point in track space lies inside an obstacle's collider
+   * @param {BABYLON.TransformNode} obstacle - Active obstacle
+   * @param {number} distance - Track distance
+   * @param {number} lateral - Offset across the track
+   * @param {number} height - Height above the path surface
+   * @param {number} margin - Extra clearance around the collider
+   * @returns {boolean}
+   */
+  obstacleContains(obstacle, distance, lateral, height, margin = 0) {
+    const data = obstacle.obstacleData;
+    if (!data.active || !data.definition) return false;
+
+    const { size, offsetY } = data.definition.collider;
+    if (Math.abs(distance - data.distance) > size[2] / 2 + margin) return false;
+    if (Math.abs(height - offsetY) > size[1] / 2 + margin) return false;
+
+    const centre = data.definition.placement === 'lane' ? this.lanes[data.lane] : 0;
+    return this.getPartOffsets(data.definition, data.lane).some(
+      (x) => Math.abs(lateral - centre - x) <= size[0] / 2 + margin
+    );
+  }
 
-      if (visual) {
-        if (this.assetManager && typeof this.assetManager.centerInstance === 'function') {
-          this.assetManager.centerInstance(visual);
-        }
-        obstacle.obstacleData.instanceRoot = visual;
+  /**
+   * Whether a point in track space lies inside any active obstacle's collider
+   * @param {number} distance - Track distance
+   * @param {number} lateral - Offset across the track
+   * @param {number} height - Height above the path surface
+   * @param {number} margin - Extra clearance around each collider
+   * @returns {boolean}
+   */
+  isBlocked(distance, lateral, height, margin = 0) {
+    return this.obstacles.some((obstacle) =>
+      this.obstacleContains(obstacle, distance, lateral, height, margin)
+    );
+  }
 
-        visual.setEnabled(true);
+  /**
+   * Nearest obstacle to jump in a lane within a stretch of track
+   * @param {number} from - Start of the stretch
+   * @param {number} to - End of the stretch
+   * @param {number} lane - Lane index the runner would be in
+   * @returns {BABYLON.TransformNode|null}
+   */
+  findJumpable(from, to, lane) {
+    let found = null;
+    for (const obstacle of this.obstacles) {
+      const data = obstacle.obstacleData;
+      if (!data.active || data.definition?.action !== 'jump') continue;
+      if (data.distance < from || data.distance > to) continue;
+      if (data.definition.placement === 'lane' && data.lane !== lane) continue;
+      if (data.definition.placement === 'gap' && data.lane === lane) continue;
+      if (!found || data.distance < found.obstacleData.distance) found = obstacle;
+    }
+    return found;
+  }
 
-        // Configure visual scaling and positioning based on type
-        switch (type) {
-          case 'log':
-            visual.scaling = new BABYLON.Vector3(1.2, 1, 1.2);
-            visual.position.y += 0.3;
-            break;
-          case 'rock':
-            visual.scaling = new BABYLON.Vector3(1, 1, 1);
-            visual.position.y += 0;
-            break;
-          case 'spike':
-            visual.scaling = new BABYLON.Vector3(0.8, 1, 0.8);
-            visual.position.y += 0;
-            break;
-        }
+  /**
+   * Lateral offsets (from the obstacle root) of the parts an obstacle is made of
+   * @param {Object} definition - Registered obstacle type
+   * @param {number} lane - Rolled lane index (the open lane for 'gap' types)
+   * @returns {number[]}
+   */
+  getPartOffsets(definition, lane) {
+    if (definition.placement === 'gap') {
+      return this.lanes.filter((x, i) => i !== lane);
+    }
+    return [0];
+  }
 
-        // Apply material
-        const materialName = type === 'log' ? 'bark_brown' :
-                            type === 'rock' ? 'castle_wall_slates' : 'metal_plate';
-        const material = this.assetManager?.getMaterial(materialName);
-        if (material) {
-          const applyToMeshOrSource = (m) => {
-            const target = m && m.sourceMesh ? m.sourceMesh : m;
-            if (target && target.material !== undefined) target.material = material;
-          };
-          if (typeof visual.getChildMeshes === 'function') {
-            for (const m of visual.getChildMeshes(false)) applyToMeshOrSource(m);
-          } else {
-            applyToMeshOrSource(visual);
-          }
+  /**
+   * Build an obstacle's visuals and colliders from its type definition
+   * @param {BABYLON.TransformNode} obstacle - Pooled obstacle root
+   * @param {Object} definition - Registered obstacle type
+   */
+  configureObstacleAppearance(obstacle, definition) {
+    const type = definition.name;
+    const offsets = this.getPartOffsets(definition, obstacle.obstacleData.lane);
+    const modelName = definition.model;
+    const obstacleModel = modelName ? this.assetManager?.getModel(modelName) : null;
+
+    obstacle.obstacleData.colliders = [];
+    obstacle.obstacleData.instanceRoots = [];
+
+    offsets.forEach((x, part) => {
+      const name = offsets.length > 1 ? `${obstacle.name}_${part}` : obstacle.name;
+
+      if (obstacleModel) {
+        const visual = this.createModelVisual(obstacle, definition, name);
+        if (visual) {
+          visual.position.x = x;
+          obstacle.obstacleData.instanceRoots.push(visual);
         }
+      } else if (!modelName) {
+        this.createProceduralVisual(obstacle, definition, name, x);
       }
+      // A type whose model failed to load is only its collider (see the collider debug view)
 
-      // Create collider
+      // Colliders are plain boxes shaped by the definition
       const collider = BABYLON.MeshBuilder.CreateBox(
-        `${obstacle.name}_${type}_collider`,
+        `${name}_${type}_collider`,
         { size: 1 },
         this.scene
       );
       collider.isVisible = this.debugColliders;
       collider.parent = obstacle;
       collider.isPickable = false;
-
-      switch (type) {
-        case 'log':
-          collider.scaling = new BABYLON.Vector3(3, 0.6, 0.6);
-          collider.position.y = 0.3;
-          break;
-        case 'rock':
-          collider.scaling = new BABYLON.Vector3(1.2, 1.2, 1.2);
-          collider.position.y = 0.6;
-          break;
-        case 'spike':
-          collider.scaling = new BABYLON.Vector3(0.8, 1.6, 0.8);
-          collider.position.y = 0.8;
-          break;
-      }
+      collider.checkCollisions = false;
+      collider.scaling = BABYLON.Vector3.FromArray(definition.collider.size);
+      collider.position.set(x, definition.collider.offsetY, 0);
 
       if (this.debugColliders) {
-        collider.material = this._getColliderMat(type);
+        collider.material = this._getColliderMat(definition);
         collider.visibility = 0.5;
       }
-      obstacle.obstacleData.mesh = collider;
-    } else {
-      // Fallback to procedural geometry
-      const mesh = BABYLON.MeshBuilder.CreateBox(
-        `${obstacle.name}_${type}`,
-        { size: 1 },
-        this.scene
-      );
-      mesh.parent = obstacle;
-      mesh.checkCollisions = false;
-      mesh.isVisible = this.debugColliders;
+      obstacle.obstacleData.colliders.push(collider);
+    });
 
-      if (this.debugColliders) {
-        mesh.material = this._getColliderMat(type);
-        mesh.visibility = 0.5;
+    obstacle.obstacleData.mesh = obstacle.obstacleData.colliders[0];
+    obstacle.obstacleData.instanceRoot = obstacle.obstacleData.instanceRoots[0] || null;
+  }
+
+  /**
+   * Instance an obstacle's GLB model
+   * @param {BABYLON.TransformNode} obstacle - Pooled obstacle root
+   * @param {Object} definition - Registered obstacle type
+   * @param {string} name - Name for the instance
+   * @returns {BABYLON.TransformNode|null} Visual parented to the obstacle
+   */
+  createModelVisual(obstacle, definition, name) {
+    const type = definition.name;
+    const modelName = definition.model;
+    const obstacleModel = this.assetManager.getModel(modelName);
+
+    console.log(`Creating visual for obstacle ${type} at position:`, `x:${obstacle.position.x} y:${obstacle.position.y} z:${obstacle.position.z}`);
+    console.log(`Obstacle model structure:`, obstacleModel.name, obstacleModel.constructor.name);
+
+    // Debug: log the structure
+    if (typeof obstacleModel.getChildMeshes === 'function') {
+      const meshes = obstacleModel.getChildMeshes(true); // Include descendants
+      console.log(`Obstacle model has ${meshes.length} child meshes:`, meshes.map(m => ({
+        name: m.name,
+        type: m.constructor.name,
+        vertices: m.getTotalVertices ? m.getTotalVertices() : 'N/A',
+        enabled: m.isEnabled(),
+        visible: m.isVisible
+      })));
+    }
+
+    // Try using the AssetManager's createLODInstance method
+    let visual = this.assetManager.createLODInstance(modelName, `${name}_${type}`, obstacle.position.clone());
+
+    if (!visual) {
+      console.log(`LOD instance failed, trying direct cloning for ${type}`);
+
+      if (typeof obstacleModel.getChildMeshes === 'function') {
+        const meshes = obstacleModel.getChildMeshes(true);
+        if (meshes.length > 0) {
+          // Create a container for all the cloned meshes
+          visual = new BABYLON.TransformNode(`${name}_${type}`, this.scene);
+
+          for (const mesh of meshes) {
+            if (mesh && mesh.getTotalVertices && mesh.getTotalVertices() > 0) {
+              const clonedMesh = mesh.clone(`${visual.name}_${mesh.name}`);
+              clonedMesh.parent = visual;
+              clonedMesh.setEnabled(true);
+              clonedMesh.isVisible = true;
+            }
+          }
+          visual.position = obstacle.position.clone();
+          console.log(`Obstacle ${type} created via mesh cloning: SUCCESS`);
+        }
       }
-      obstacle.obstacleData.mesh = mesh;
-
-      const material = new BABYLON.StandardMaterial(`${type}_mat`, this.scene);
-
-      switch (type) {
-        case 'log':
-          mesh.scaling = new BABYLON.Vector3(3, 0.5, 0.5);
-          material.diffuseColor = new BABYLON.Color3(0.4, 0.2, 0.1);
-          break;
-        case 'rock':
-          mesh.scaling = new BABYLON.Vector3(1, 1.5, 1);
-          material.diffuseColor = new BABYLON.Color3(0.5, 0.5, 0.5);
-          break;
-        case 'spike':
-          mesh.scaling = new BABYLON.Vector3(0.5, 2, 0.5);
-          material.diffuseColor = new BABYLON.Color3(0.7, 0.7, 0.7);
-          break;
+
+      if (!visual && typeof obstacleModel.clone === 'function') {
+        visual = obstacleModel.clone(`${name}_${type}`);
+        visual.setEnabled(true);
+        visual.isVisible = true;
+        visual.position = obstacle.position.clone();
+        console.log(`Obstacle ${type} created via direct clone: SUCCESS`);
+      }
+    } else {
+      console.log(`Obstacle ${type} created via LOD instance: SUCCESS`);
+    }
+
+    if (!visual) return null;
+
+    if (this.assetManager && typeof this.assetManager.centerInstance === 'function') {
+      this.assetManager.centerInstance(visual);
+    }
+
+    visual.setEnabled(true);
+
+    // Configure visual scaling and positioning from the type definition
+    visual.scaling = BABYLON.Vector3.FromArray(definition.visual.scale);
+    visual.position.y += definition.visual.offsetY;
+
+    // Apply material
+    const material = definition.material
+      ? this.assetManager?.getMaterial(definition.material)
+      : null;
+    if (material) {
+      const applyToMeshOrSource = (m) => {
+        const target = m && m.sourceMesh ? m.sourceMesh : m;
+        if (target && target.material !== undefined) target.material = material;
+      };
+      if (typeof visual.getChildMeshes === 'function') {
+        for (const m of visual.getChildMeshes(false)) applyToMeshOrSource(m);
+      } else {
+        applyToMeshOrSource(visual);
       }
+    }
+
+    // Hang the visual off the obstacle so it faces along the track's heading
+    visual.parent = obstacle;
+    visual.position.x = 0;
+    visual.position.z = 0;
+    return visual;
+  }
 
-      mesh.material = material;
+  /**
+   * Build the visual of a type without a model from boxes
+   * @param {BABYLON.TransformNode} obstacle - Pooled obstacle root
+   * @param {Object} definition - Registered obstacle type
+   * @param {string} name - Name for the meshes
+   * @param {number} x - Lateral offset from the obstacle root
+   */
+  createProceduralVisual(obstacle, definition, name, x) {
+    const type = definition.name;
+    const shape = definition.fallback;
+    const material = this._getProceduralMat(definition);
+
+    // Swinging parts hang from a pivot high above the path
+    const root = new BABYLON.TransformNode(`${name}_${type}_root`, this.scene);
+    root.parent = obstacle;
+    root.position.set(x, shape.pivotY || 0, 0);
+    obstacle.obstacleData.instanceRoots.push(root);
+
+    const mesh = BABYLON.MeshBuilder.CreateBox(`${name}_${type}`, { size: 1 }, this.scene);
+    mesh.parent = root;
+    mesh.checkCollisions = false;
+    mesh.isPickable = false;
+    mesh.scaling = BABYLON.Vector3.FromArray(shape.size);
+    mesh.position.y = shape.pivotY ? -shape.size[1] / 2 : shape.offsetY || 0;
+    mesh.material = material;
+
+    // Overhead beams rest on a post at each side of the path
+    if (shape.posts) {
+      const top = (shape.offsetY || 0) + shape.size[1] / 2;
+      for (const side of [-1, 1]) {
+        const post = BABYLON.MeshBuilder.CreateBox(
+          `${name}_${type}_post${side}`,
+          { size: 1 },
+          this.scene
+        );
+        post.parent = root;
+        post.isPickable = false;
+        post.scaling = new BABYLON.Vector3(0.3, top, 0.3);
+        post.position.set((side * shape.size[0]) / 2, top / 2, 0);
+        post.material = material;
+      }
     }
   }
 
-  updateObstacles(playerPosition) {
-    if (!playerPosition) return;
+  updateObstacles(playerDistance) {
+    if (playerDistance === undefined) return;
 
     for (let i = this.obstacles.length - 1; i >= 0; i--) {
       const obstacle = this.obstacles[i];
-      const dz = obstacle.position.z - playerPosition.z;
+      const dz = obstacle.obstacleData.distance - playerDistance;
 
-      if (obstacle.position.z < playerPosition.z - 10) {
+      if (dz < -10) {
         this.returnToPool(obstacle);
         this.obstacles.splice(i, 1);
         continue;
@@ -269,6 +485,16 @@ export class ObstacleManager {
       } else if (dz > -10) {
         obstacle.setEnabled(true);
       }
+
+      // Swinging blades are phased by track distance, so they swing the same way every run
+      const swing = obstacle.obstacleData.definition.swing;
+      if (swing) {
+        const phase = playerDistance * swing.rate + obstacle.obstacleData.distance;
+        const angle = swing.amplitude * Math.sin(phase);
+        for (const root of obstacle.obstacleData.instanceRoots) {
+          root.rotation.z = angle;
+        }
+      }
     }
   }
 
@@ -285,58 +511,178 @@ export class ObstacleManager {
     obstacle.setEnabled(false);
     obstacle.obstacleData.active = false;
     obstacle.obstacleData.type = null;
+    obstacle.obstacleData.definition = null;
     obstacle.obstacleData.lane = null;
 
-    if (obstacle.obstacleData.mesh) {
-      if (this.assetManager) {
-        const root = obstacle.obstacleData.instanceRoot || obstacle.obstacleData.mesh;
-        this.assetManager.removeLODInstance(root);
-      }
-      if (obstacle.obstacleData.mesh.dispose) obstacle.obstacleData.mesh.dispose();
-      if (obstacle.obstacleData.instanceRoot && obstacle.obstacleData.instanceRoot !== obstacle.obstacleData.mesh && obstacle.obstacleData.instanceRoot.dispose) {
-        obstacle.obstacleData.instanceRoot.dispose();
-      }
-      obstacle.obstacleData.mesh = null;
-      obstacle.obstacleData.instanceRoot = null;
+    for (const root of obstacle.obstacleData.instanceRoots) {
+      if (this.assetManager) this.assetManager.removeLODInstance(root);
+      if (root.dispose) root.dispose();
+    }
+    for (const collider of obstacle.obstacleData.colliders) {
+      if (collider.dispose) collider.dispose();
     }
+    obstacle.obstacleData.colliders = [];
+    obstacle.obstacleData.instanceRoots = [];
+    obstacle.obstacleData.mesh = null;
+    obstacle.obstacleData.instanceRoot = null;
+  }
+
+  /**
+   * Remove every obstacle overlapping a stretch of track, e.g. to give a revived
+   * runner a safe start
+   * @param {number} from - Track distance where the stretch starts
+   * @param {number} to - Track distance where it ends
+   * @returns {number} How many obstacles were removed
+   */
+  clearObstacles(from, to) {
+    let removed = 0;
+    for (let i = this.obstacles.length - 1; i >= 0; i--) {
+      const obstacle = this.obstacles[i];
+      const data = obstacle.obstacleData;
+      const halfDepth = data.definition ? data.definition.collider.size[2] / 2 : 0;
+      if (data.distance + halfDepth < from || data.distance - halfDepth > to) continue;
+
+      this.returnToPool(obstacle);
+      this.obstacles.splice(i, 1);
+      removed++;
+    }
+    return removed;
   }
 
   checkCollision(playerMesh) {
-    if (!playerMesh) return false;
+    return this.getHitObstacle(playerMesh) !== null;
+  }
+
+  /**
+   * Find the obstacle the player is touching, emitting 'hit' on first contact
+   * @param {BABYLON.Mesh} playerMesh - Player collider
+   * @returns {BABYLON.TransformNode|null}
+   */
+  getHitObstacle(playerMesh) {
+    if (!playerMesh) return null;
 
     const playerPos = playerMesh.getAbsolutePosition();
 
     for (const obstacle of this.obstacles) {
-      if (!obstacle.obstacleData.active) continue;
-      const collider = obstacle.obstacleData.mesh;
-      if (!collider || collider.isDisposed()) continue;
-
-      const colPos = collider.getAbsolutePosition();
-
-      const dz = colPos.z - playerPos.z;
-      if (dz < -0.5 || dz > 1.5) continue;
-
-      const dx = colPos.x - playerPos.x;
-      if (Math.abs(dx) > 0.9) continue;
-
-      if (collider.isEnabled(true) && playerMesh.isEnabled(true)) {
-        if (collider.intersectsMesh(playerMesh, true)) {
-          if (this.debugColliders) {
-            collider.isVisible = true;
-            const mat = new BABYLON.StandardMaterial('collider_hit_mat', this.scene);
-            mat.diffuseColor = new BABYLON.Color3(1, 0, 0);
-            mat.alpha = 0.4;
-            collider.material = mat;
-            console.log('[Collision] with', obstacle.name, {
-              type: obstacle.obstacleData.type,
-              colliderPos: colPos.clone(),
-              playerPos: playerPos.clone(),
-              dz,
-              dx,
-            });
-          }
-          return true;
+      const data = obstacle.obstacleData;
+      if (!data.active || data.grazed) continue;
+      for (const collider of data.colliders) {
+        if (!this.collidesWith(obstacle, collider, playerMesh, playerPos)) continue;
+
+        if (!data.hit) {
+          data.hit = true;
+          this.events.emit('hit', { type: data.type });
+        }
+        return obstacle;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a hit only clips the side of an obstacle: the runner's collider reaches
+   * less than grazeDepth into it across the track. Full-width obstacles are never grazed.
+   * @param {BABYLON.TransformNode} obstacle - Obstacle that was hit
+   * @param {number} lateral - Runner's offset across the track
+   * @param {number} halfWidth - Half the width of the runner's collider
+   * @returns {boolean}
+   */
+  isGraze(obstacle, lateral, halfWidth) {
+    const data = obstacle.obstacleData;
+    if (!data.active || !data.definition) return false;
+
+    const { size } = data.definition.collider;
+    const centre = data.definition.placement === 'lane' ? this.lanes[data.lane] : 0;
+    const depth = Math.max(
+      ...this.getPartOffsets(data.definition, data.lane).map(
+        (x) => size[0] / 2 + halfWidth - Math.abs(lateral - centre - x)
+      )
+    );
+    return depth < this.grazeDepth;
+  }
+
+  /**
+   * Stop an obstacle colliding after the runner has stumbled off its side
+   * @param {BABYLON.TransformNode} obstacle - Obstacle that was grazed
+   */
+  markGrazed(obstacle) {
+    obstacle.obstacleData.grazed = true;
+  }
+
+  /**
+   * Find obstacles the runner has just gone past without touching, emitting 'nearMiss' for
+   * each: close beside it, within nearMissMargin of the collider ('pass'), or through its
+   * lane by a jump or slide started within lateMoveWindow of it ('jump', 'slide').
+   * Obstacles cleared by an earlier jump or slide don't count.
+   * @param {number} playerDistance - Player's distance along the track
+   * @param {number} lateral - Player's offset across the track
+   * @param {{action: string, from: number}|null} maneuver - Jump or slide in progress
+   *   (see PlayerController.getManeuver)
+   * @returns {Array<{obstacle: BABYLON.TransformNode, kind: string}>}
+   */
+  checkNearMisses(playerDistance, lateral, maneuver = null) {
+    const missed = [];
+    for (const obstacle of this.obstacles) {
+      const data = obstacle.obstacleData;
+      if (!data.active || data.passed || data.hit || data.grazed) continue;
+      const { size, offsetY } = data.definition.collider;
+      if (playerDistance < data.distance + size[2] / 2) continue;
+
+      data.passed = true;
+      const at = data.distance;
+      let kind = null;
+      if (this.obstacleContains(obstacle, at, lateral, offsetY)) {
+        const front = at - size[2] / 2;
+        if (maneuver && front - maneuver.from <= this.lateMoveWindow) kind = maneuver.action;
+      } else if (this.obstacleContains(obstacle, at, lateral, offsetY, this.nearMissMargin)) {
+        kind = 'pass';
+      }
+      if (kind) {
+        missed.push({ obstacle, kind });
+        this.events.emit('nearMiss', { type: data.type, kind });
+      }
+    }
+    return missed;
+  }
+
+  /**
+   * Test one obstacle collider against the player
+   * @param {BABYLON.TransformNode} obstacle - Obstacle the collider belongs to
+   * @param {BABYLON.Mesh} collider - Obstacle collider
+   * @param {BABYLON.Mesh} playerMesh - Player collider
+   * @param {BABYLON.Vector3} playerPos - Player collider world position
+   * @returns {boolean}
+   */
+  collidesWith(obstacle, collider, playerMesh, playerPos) {
+    if (collider.isDisposed()) return false;
+
+    const colPos = collider.getAbsolutePosition();
+
+    // Cheap reject before the mesh test; the track can run along any axis and wide
+    // colliders reach across several lanes
+    const dz = colPos.z - playerPos.z;
+    const dx = colPos.x - playerPos.x;
+    const reach = 1.5 + Math.max(collider.scaling.x, collider.scaling.z) / 2;
+    if (dx * dx + dz * dz > reach * reach) return false;
+
+    if (collider.isEnabled(true) && playerMesh.isEnabled(true)) {
+      if (collider.intersectsMesh(playerMesh, true)) {
+        if (this.debugColliders) {
+          collider.isVisible = true;
+          const mat = new BABYLON.StandardMaterial('collider_hit_mat', this.scene);
+          mat.diffuseColor = new BABYLON.Color3(1, 0, 0);
+          mat.alpha = 0.4;
+          collider.material = mat;
+          console.log('[Collision] with', obstacle.name, {
+            type: obstacle.obstacleData.type,
+            colliderPos: colPos.clone(),
+            playerPos: playerPos.clone(),
+            dz,
+            dx,
+          });
         }
+        return true;
       }
     }
 
@@ -346,30 +692,34 @@ export class ObstacleManager {
   setDebugColliders(enabled) {
     this.debugColliders = !!enabled;
     for (const obstacle of this.obstacles) {
-      const collider = obstacle.obstacleData?.mesh;
-      if (!collider || collider.isDisposed?.()) continue;
-      collider.isVisible = this.debugColliders;
-      if (this.debugColliders) {
-        collider.material = this._getColliderMat(obstacle.obstacleData?.type || 'default');
-        collider.visibility = 0.5;
-      } else {
-        collider.visibility = 0;
+      for (const collider of obstacle.obstacleData?.colliders || []) {
+        if (collider.isDisposed?.()) continue;
+        collider.isVisible = this.debugColliders;
+        if (this.debugColliders) {
+          collider.material = this._getColliderMat(obstacle.obstacleData?.definition);
+          collider.visibility = 0.5;
+        } else {
+          collider.visibility = 0;
+        }
       }
     }
   }
 
-  _getColliderMat(type) {
-    const key = `collider_${type}`;
+  _getProceduralMat(definition) {
+    const key = `procedural_${definition.name}`;
+    if (this._proceduralMats[key]) return this._proceduralMats[key];
+    const mat = new BABYLON.StandardMaterial(key, this.scene);
+    mat.diffuseColor = BABYLON.Color3.FromArray(definition.fallback.color);
+    mat.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+    this._proceduralMats[key] = mat;
+    return mat;
+  }
+
+  _getColliderMat(definition) {
+    const key = `collider_${definition?.name || 'default'}`;
     if (this._debugMats[key]) return this._debugMats[key];
     const mat = new BABYLON.StandardMaterial(key, this.scene);
-    let color;
-    switch (type) {
-      case 'log': color = new BABYLON.Color3(1, 0.6, 0); break;
-      case 'rock': color = new BABYLON.Color3(0.5, 0.7, 1); break;
-      case 'spike': color = new BABYLON.Color3(1, 0, 1); break;
-      default: color = new BABYLON.Color3(0, 1, 0.5); break;
-    }
-    mat.diffuseColor = color;
+    mat.diffuseColor = BABYLON.Color3.FromArray(definition?.debugColor || [0, 1, 0.5]);
     mat.specularColor = new BABYLON.Color3(0, 0, 0);
     mat.alpha = 0.4;
     this._debugMats[key] = mat;
@@ -382,7 +732,32 @@ export class ObstacleManager {
     }
 
     this.obstacles = [];
-    this.lastSpawnZ = 0;
+    this.lastSpawnDistance = 0;
+    if (this.validator) this.validator.reset();
+  }
+
+  /**
+   * Check every new obstacle for a way through before spawning it
+   * @param {LayoutValidator} validator - Validator to consult
+   */
+  setValidator(validator) {
+    this.validator = validator;
+  }
+
+  /**
+   * Set the callback run after each obstacle is placed
+   * @param {Function} callback - Called with the new obstacle
+   */
+  setOnObstacleSpawned(callback) {
+    this.onObstacleSpawned = callback;
+  }
+
+  /**
+   * Use the game's event bus
+   * @param {GameEvents} events - Shared event bus
+   */
+  setEvents(events) {
+    this.events = events;
   }
 
   setSpawnParameters(minSpacing, maxSpacing) {
@@ -0,0 +1,203 @@
+/**
+ * Obstacle Registry Module
+ * Obstacle types declared as data: the model and material they look like, how the visual
+ * and collider are sized, which player action gets past them and how often they spawn.
+ * ObstacleManager builds every obstacle from these definitions, so new types can be
+ * registered at runtime without touching it.
+ */
+
+// Player actions an obstacle can demand
+export const OBSTACLE_ACTIONS = ['jump', 'slide', 'dodge'];
+
+// How an obstacle sits across the track: in one lane, across the whole path, or across
+// every lane but one (the gap)
+export const OBSTACLE_PLACEMENTS = ['lane', 'full', 'gap'];
+
+// Built-in temple obstacles. Sizes are [width, height, depth] in track space (width runs
+// across the lanes); offsets lift the shape above the path surface. `fallback` draws types
+// without a model from boxes: an optional `pivotY` hangs the box from a pivot (for `swing`)
+// and `posts` props it up at both ends.
+export const DEFAULT_OBSTACLE_TYPES = {
+  log: {
+    model: 'logObstacle',
+    material: 'bark_brown',
+    visual: { scale: [1.2, 1, 1.2], offsetY: 0.3 },
+    collider: { size: [3, 0.6, 0.6], offsetY: 0.3 },
+    fallback: { size: [3, 0.5, 0.5], color: [0.4, 0.2, 0.1] },
+    action: 'jump',
+    weight: 1,
+    minDistance: 0,
+    debugColor: [1, 0.6, 0],
+  },
+  rock: {
+    model: 'rockObstacle',
+    material: 'castle_wall_slates',
+    visual: { scale: [1, 1, 1], offsetY: 0 },
+    collider: { size: [1.2, 1.2, 1.2], offsetY: 0.6 },
+    fallback: { size: [1, 1.5, 1], color: [0.5, 0.5, 0.5] },
+    action: 'dodge',
+    weight: 1,
+    minDistance: 0,
+    debugColor: [0.5, 0.7, 1],
+  },
+  spike: {
+    model: 'spikeObstacle',
+    material: 'metal_plate',
+    visual: { scale: [0.8, 1, 0.8], offsetY: 0 },
+    collider: { size: [0.8, 1.6, 0.8], offsetY: 0.8 },
+    fallback: { size: [0.5, 2, 0.5], color: [0.7, 0.7, 0.7] },
+    action: 'dodge',
+    weight: 1,
+    minDistance: 0,
+    debugColor: [1, 0, 1],
+  },
+  barrier: {
+    // Low stone wall across the whole path
+    placement: 'full',
+    collider: { size: [5.6, 0.7, 0.5], offsetY: 0.35 },
+    fallback: { size: [5.6, 0.7, 0.5], offsetY: 0.35, color: [0.45, 0.4, 0.35] },
+    action: 'jump',
+    weight: 0.5,
+    minDistance: 150,
+    debugColor: [1, 0.3, 0],
+  },
+  beam: {
+    // Overhead beam: clears a sliding runner (0.8 tall) but not a standing one (1.8)
+    placement: 'full',
+    collider: { size: [5.6, 0.6, 0.5], offsetY: 1.5 },
+    fallback: { size: [5.6, 0.6, 0.5], offsetY: 1.5, color: [0.35, 0.22, 0.1], posts: true },
+    action: 'slide',
+    weight: 0.5,
+    minDistance: 200,
+    debugColor: [1, 1, 0],
+  },
+  blade: {
+    // Blade swinging across the path; its collider covers the whole sweep
+    placement: 'full',
+    collider: { size: [5.6, 0.8, 0.4], offsetY: 1.6 },
+    fallback: { size: [0.9, 3.8, 0.1], pivotY: 5, color: [0.75, 0.75, 0.8] },
+    swing: { amplitude: 0.5, rate: 0.6 },
+    action: 'slide',
+    weight: 0.3,
+    minDistance: 350,
+    debugColor: [1, 0, 0.3],
+  },
+  wall: {
+    // Wall across the path with one lane left open
+    placement: 'gap',
+    collider: { size: [1.8, 2.4, 0.6], offsetY: 1.2 },
+    fallback: { size: [1.8, 2.4, 0.6], offsetY: 1.2, color: [0.5, 0.47, 0.4] },
+    action: 'dodge',
+    weight: 0.4,
+    minDistance: 250,
+    debugColor: [0.3, 1, 0.3],
+  },
+};
+
+export class ObstacleRegistry {
+  /**
+   * @param {Object} types - Definitions to start with, keyed by type name
+   */
+  constructor(types = DEFAULT_OBSTACLE_TYPES) {
+    this.types = new Map();
+    for (const [name, definition] of Object.entries(types)) {
+      this.register(name, definition);
+    }
+  }
+
+  /**
+   * Add or replace an obstacle type
+   * @param {string} name - Type name
+   * @param {Object} definition - Type data (see DEFAULT_OBSTACLE_TYPES); a collider is required
+   * @returns {Object} The stored definition, with defaults filled in
+   */
+  register(name, definition) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Obstacle type needs a name');
+    }
+    if (!definition?.collider?.size) {
+      throw new Error(`Obstacle type "${name}" has no collider size`);
+    }
+    const action = definition.action || 'dodge';
+    if (!OBSTACLE_ACTIONS.includes(action)) {
+      throw new Error(`Obstacle type "${name}" has unknown action "${action}"`);
+    }
+    const placement = definition.placement || 'lane';
+    if (!OBSTACLE_PLACEMENTS.includes(placement)) {
+      throw new Error(`Obstacle type "${name}" has unknown placement "${placement}"`);
+    }
+
+    const type = {
+      model: null,
+      material: null,
+      visual: { scale: [1, 1, 1], offsetY: 0 },
+      fallback: { size: definition.collider.size, color: [0.5, 0.5, 0.5] },
+      swing: null,
+      weight: 1,
+      minDistance: 0,
+      debugColor: [0, 1, 0.5],
+      ...definition,
+      collider: { offsetY: 0, ...definition.collider },
+      action,
+      placement,
+      name,
+    };
+    this.types.set(name, type);
+    return type;
+  }
+
+  /**
+   * Remove an obstacle type; obstacles already on the track keep their definition
+   * @param {string} name - Type name
+   */
+  unregister(name) {
+    this.types.delete(name);
+  }
+
+  /**
+   * Get a type definition
+   * @param {string} name - Type name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.types.get(name) || null;
+  }
+
+  /**
+   * Whether a type is registered
+   * @param {string} name - Type name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * Names of all registered types, in registration order
+   * @returns {string[]}
+   */
+  getTypeNames() {
+    return Array.from(this.types.keys());
+  }
+
+  /**
+   * Types allowed at a track distance
+   * @param {number} distance - Track distance
+   * @returns {Object[]}
+   */
+  getAvailable(distance = Infinity) {
+    return Array.from(this.types.values()).filter(
+      (type) => type.weight > 0 && distance >= type.minDistance
+    );
+  }
+
+  /**
+   * Draw a type by spawn weight from those allowed at a distance
+   * @param {SeededRandom} rng - Stream to draw from (always consumes one number)
+   * @param {number} distance - Track distance
+   * @returns {Object|null} Definition, or null when nothing can spawn there
+   */
+  pick(rng, distance = Infinity) {
+    return rng.pickWeighted(this.getAvailable(distance), (type) => type.weight);
+  }
+}
@@ -3,13 +3,16 @@
  * Handles particle effects for coins, collisions, and other visual feedback
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
+import { COIN_TYPES } from './coinManager.js';
 
 export class ParticleEffects {
   constructor(scene) {
     this.scene = scene;
     this.particleSystems = [];
     this.activeEffects = [];
+    this.paused = false;
+    this.pausedSpeeds = new Map(); // Particle system -> updateSpeed to restore on resume
   }
 
   /**
@@ -22,6 +25,14 @@ export class ParticleEffects {
     this.createCollisionParticleSystem();
     this.createSparkleParticleSystem();
     this.createWaterSplashParticleSystem();
+
+    this.particleSystems = [
+      this.coinParticleSystem,
+      this.dustParticleSystem,
+      this.collisionParticleSystem,
+      this.sparkleParticleSystem,
+      this.waterSplash,
+    ];
   }
 
   /**
@@ -314,8 +325,19 @@ export class ParticleEffects {
 
   /**
    * Play coin collection effect
+   * @param {BABYLON.Vector3} position - Where to burst
+   * @param {number[]} color - RGB of the coin or gem (gold by default)
    */
-  playCoinEffect(position) {
+  playCoinEffect(position, color = [1, 0.84, 0]) {
+    const [r, g, b] = color;
+    this.coinParticleSystem.color1 = new BABYLON.Color4(r, g, b, 1);
+    this.coinParticleSystem.color2 = new BABYLON.Color4(
+      Math.min(1, r + 0.3),
+      Math.min(1, g + 0.3),
+      Math.min(1, b + 0.3),
+      1
+    );
+    this.coinParticleSystem.colorDead = new BABYLON.Color4(r, g, b, 0);
     this.coinParticleSystem.emitter = position.clone();
     this.coinParticleSystem.start();
     
@@ -367,6 +389,36 @@ export class ParticleEffects {
     }, 1000);
   }
 
+  /**
+   * Play effects for gameplay events: swamp splashes and gem pickups
+   * @param {GameEvents} events - Game event bus
+   */
+  bindEvents(events) {
+    events.on('splash', ({ position }) => this.playWaterSplash(position));
+    events.on('coinCollected', ({ types, position }) => {
+      if (types.includes('gem')) this.playCoinEffect(position, COIN_TYPES.gem.color);
+    });
+  }
+
+  /**
+   * Freeze or unfreeze every particle in place (game paused)
+   * @param {boolean} paused - Whether the game is paused
+   */
+  setPaused(paused) {
+    if (paused === this.paused) return;
+    this.paused = paused;
+
+    for (const system of this.particleSystems) {
+      if (paused) {
+        this.pausedSpeeds.set(system, system.updateSpeed);
+        system.updateSpeed = 0;
+      } else {
+        system.updateSpeed = this.pausedSpeeds.get(system) ?? system.updateSpeed;
+      }
+    }
+    if (!paused) this.pausedSpeeds.clear();
+  }
+
   /**
    * Update all active particle systems
    */
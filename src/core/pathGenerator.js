@@ -2,7 +2,7 @@
  * Path Generator Module - Handles creation of textured temple paths from scratch
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
 
 export class PathGenerator {
   constructor(scene, assetManager) {
@@ -69,6 +69,8 @@ export class PathGenerator {
    * Create procedural stone texture
    */
   createProceduralStoneTexture(name) {
+    if (this.scene.headless) return null; // no 2D canvas to paint on
+
     const texture = new BABYLON.DynamicTexture(name, 512, this.scene);
     const ctx = texture.getContext();
 
@@ -125,6 +127,8 @@ export class PathGenerator {
    * Create procedural cobblestone texture
    */
   createProceduralCobbleTexture() {
+    if (this.scene.headless) return null; // no 2D canvas to paint on
+
     const texture = new BABYLON.DynamicTexture('cobbleTexture', 512, this.scene);
     const ctx = texture.getContext();
 
@@ -171,6 +175,8 @@ export class PathGenerator {
    * Create procedural brick texture
    */
   createProceduralBrickTexture() {
+    if (this.scene.headless) return null; // no 2D canvas to paint on
+
     const texture = new BABYLON.DynamicTexture('brickTexture', 512, this.scene);
     const ctx = texture.getContext();
 
@@ -257,6 +263,222 @@ export class PathGenerator {
     return segment;
   }
 
+  /**
+   * Create a sloped segment that climbs (or drops) `rise` over its length. Built from its
+   * foot: local y=0 at the near end, y=rise at the far end.
+   */
+  createSlopeSegment(name, rise) {
+    const segment = new BABYLON.TransformNode(`pathSegment_${name}`, this.scene);
+
+    // Tilt a regular deck about its centre so both ends meet the neighbouring tiles
+    const deck = new BABYLON.TransformNode(`${name}_deck`, this.scene);
+    deck.parent = segment;
+    deck.position.y = rise / 2;
+    deck.rotation.x = -Math.atan2(rise, this.pathLength);
+
+    const pathMesh = BABYLON.MeshBuilder.CreateBox(
+      `${name}_path`,
+      {
+        width: this.pathWidth,
+        height: this.pathHeight,
+        depth: Math.hypot(this.pathLength, rise),
+      },
+      this.scene
+    );
+    pathMesh.position.y = this.pathHeight / 2;
+    pathMesh.parent = deck;
+    pathMesh.receiveShadows = true;
+    this.applyPathMaterial(pathMesh, 'straight');
+
+    this.addLaneMarkers(deck, name);
+    this.addPathEdges(deck, name);
+
+    segment.segmentData = {
+      type: rise > 0 ? 'incline' : 'decline',
+      rise,
+      pathMesh: pathMesh,
+      lanes: this.lanePositions.slice(),
+      length: this.pathLength,
+      width: this.pathWidth,
+    };
+
+    return segment;
+  }
+
+  /**
+   * Create a flight of stairs that climbs (or drops) `rise` in `steps` level treads.
+   * Built from its foot like createSlopeSegment; the first tread is already one step up.
+   */
+  createStairsSegment(name, rise, steps) {
+    const segment = new BABYLON.TransformNode(`pathSegment_${name}`, this.scene);
+    const treadDepth = this.pathLength / steps;
+    const bottom = Math.min(0, rise); // Fill down to the lower landing so there are no gaps
+
+    const treads = [];
+    for (let i = 0; i < steps; i++) {
+      const top = (rise * (i + 1)) / steps + this.pathHeight;
+      const tread = BABYLON.MeshBuilder.CreateBox(
+        `${name}_step_${i}`,
+        { width: this.pathWidth, height: top - bottom, depth: treadDepth },
+        this.scene
+      );
+      tread.position.set(0, (top + bottom) / 2, -this.pathLength / 2 + treadDepth * (i + 0.5));
+      tread.parent = segment;
+      tread.receiveShadows = true;
+      this.applyPathMaterial(tread, 'stairs');
+      treads.push(tread);
+    }
+
+    segment.segmentData = {
+      type: rise > 0 ? 'stairsUp' : 'stairsDown',
+      rise,
+      steps,
+      pathMesh: treads[0],
+      treads,
+      lanes: this.lanePositions.slice(),
+      length: this.pathLength,
+      width: this.pathWidth,
+    };
+
+    return segment;
+  }
+
+  /**
+   * Create a level segment with one lane raised `rise` above it: a ramp up over the first
+   * quarter, a level top and a ramp back down over the last quarter, matching
+   * TrackPath.addLedge(). The raised lane is `lateral` across and a lane wide.
+   */
+  createLedgeSegment(name, rise, lateral) {
+    const segment = this.createPathSegment(name, BABYLON.Vector3.Zero(), 'straight');
+    const width = this.pathWidth / this.lanePositions.length;
+    const slope = this.pathLength / 4;
+    const top = this.pathLength - slope * 2;
+
+    // Level top, filled down to the path so its sides read as a wall
+    const block = BABYLON.MeshBuilder.CreateBox(
+      `${name}_ledge`,
+      { width, height: rise, depth: top },
+      this.scene
+    );
+    block.position.set(lateral, this.pathHeight + rise / 2, 0);
+    block.parent = segment;
+    block.receiveShadows = true;
+    this.applyPathMaterial(block, 'platform');
+
+    // Ramps tilted about their centres, climbing toward the top from either end
+    const ramps = [-1, 1].map((side) => {
+      const ramp = BABYLON.MeshBuilder.CreateBox(
+        `${name}_ledgeRamp_${side < 0 ? 'in' : 'out'}`,
+        { width, height: this.pathHeight, depth: Math.hypot(slope, rise) },
+        this.scene
+      );
+      ramp.position.set(lateral, this.pathHeight + rise / 2, (side * (top + slope)) / 2);
+      ramp.rotation.x = side * Math.atan2(rise, slope);
+      ramp.parent = segment;
+      ramp.receiveShadows = true;
+      this.applyPathMaterial(ramp, 'straight');
+      return ramp;
+    });
+
+    segment.segmentData = {
+      ...segment.segmentData,
+      type: 'ledge',
+      rise,
+      lateral,
+      ledge: [ramps[0], block, ramps[1]],
+    };
+
+    return segment;
+  }
+
+  /**
+   * Create a corner segment: a straight run-in ending in a square where the track turns 90°
+   * toward `direction`. Same footprint as a regular segment, so it pools and places like one.
+   */
+  createCornerSegment(name, direction) {
+    const segment = new BABYLON.TransformNode(`pathSegment_${name}`, this.scene);
+    const halfLength = this.pathLength / 2;
+    const runIn = this.pathLength - this.pathWidth; // Length before the corner square
+    const runInCenter = -halfLength + runIn / 2;
+    const squareCenter = halfLength - this.pathWidth / 2;
+    const side = direction === 'right' ? 1 : -1;
+
+    const pathMesh = BABYLON.MeshBuilder.CreateBox(
+      `${name}_path`,
+      {
+        width: this.pathWidth,
+        height: this.pathHeight,
+        depth: this.pathLength,
+      },
+      this.scene
+    );
+    pathMesh.position.y = this.pathHeight / 2;
+    pathMesh.parent = segment;
+    pathMesh.receiveShadows = true;
+    this.applyPathMaterial(pathMesh, 'platform');
+
+    // Lane markers stop where the corner square begins
+    const markerMaterial = new BABYLON.StandardMaterial(`${name}_markerMat`, this.scene);
+    markerMaterial.diffuseColor = new BABYLON.Color3(0.9, 0.85, 0.7);
+    markerMaterial.emissiveColor = new BABYLON.Color3(0.1, 0.08, 0.06);
+    for (let i = 0; i < this.lanePositions.length - 1; i++) {
+      const marker = BABYLON.MeshBuilder.CreateBox(
+        `${name}_marker_${i}`,
+        { width: 0.1, height: 0.02, depth: runIn * 0.8 },
+        this.scene
+      );
+      marker.position.x = (this.lanePositions[i] + this.lanePositions[i + 1]) / 2;
+      marker.position.y = this.pathHeight + 0.01;
+      marker.position.z = runInCenter;
+      marker.parent = segment;
+      marker.material = markerMaterial;
+    }
+
+    // Edges: the outer side and the far end are closed, the turn side opens onto the next leg
+    const edgeMaterial = new BABYLON.StandardMaterial(`${name}_edgeMat`, this.scene);
+    edgeMaterial.diffuseColor = new BABYLON.Color3(0.6, 0.5, 0.4);
+    edgeMaterial.specularColor = new BABYLON.Color3(0.1, 0.08, 0.06);
+    const edgeX = this.pathWidth / 2 + 0.1;
+    const edges = [
+      { id: 'outerEdge', x: -side * edgeX, z: 0, w: 0.2, d: this.pathLength },
+      { id: 'innerEdge', x: side * edgeX, z: runInCenter, w: 0.2, d: runIn },
+      { id: 'endEdge', x: 0, z: halfLength + 0.1, w: this.pathWidth + 0.4, d: 0.2 },
+    ];
+    for (const e of edges) {
+      const edge = BABYLON.MeshBuilder.CreateBox(
+        `${name}_${e.id}`,
+        { width: e.w, height: this.pathHeight * 2, depth: e.d },
+        this.scene
+      );
+      edge.position.set(e.x, this.pathHeight, e.z);
+      edge.parent = segment;
+      edge.material = edgeMaterial;
+      edge.receiveShadows = true;
+    }
+
+    // Dress the corner square with the curved pathway model when it loaded
+    const curve = this.assetManager
+      ? this.assetManager.createLODInstance('curvedPath', `${name}_curve`)
+      : null;
+    if (curve) {
+      curve.parent = segment;
+      curve.position.set(0, this.pathHeight, squareCenter);
+      curve.rotation = curve.rotation || new BABYLON.Vector3(0, 0, 0);
+      curve.rotation.y = direction === 'right' ? 0 : Math.PI / 2;
+    }
+
+    segment.segmentData = {
+      type: 'corner',
+      turn: direction,
+      pathMesh: pathMesh,
+      lanes: this.lanePositions.slice(),
+      length: this.pathLength,
+      width: this.pathWidth,
+    };
+
+    return segment;
+  }
+
   /**
    * Apply material to path mesh based on segment type
    */
@@ -3,46 +3,103 @@
  * Handles player input, movement, and animations
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
+import { TrackPath } from './trackPath.js';
+import { AnimationController } from './animationController.js';
+import { GameEvents } from '../utils/gameEvents.js';
 
 export class PlayerController {
-  constructor(scene) {
+  constructor(scene, track = new TrackPath()) {
     this.scene = scene;
+    this.track = track;
     this.player = null;
     this.playerMesh = null; // Visual mesh
     this.collider = null; // Collision box
     this.isJumping = false;
+    this.isFalling = false; // Off the edge of a drop without jumping
     this.isSliding = false;
     this.isDead = false;
+    this.moveStartDistance = 0; // Track distance the current jump or slide started at
     
     // Lane positions
     this.lanes = [-2, 0, 2]; // Left, Middle, Right
     this.currentLane = 1; // Start in middle lane
     this.targetLane = 1;
     this.laneChangeSpeed = 10;
+
+    // Track-space position: the world position is derived from the leg being run
+    this.leg = null;
+    this.distance = 0; // Distance along the track
+    this.lateral = 0; // Offset to the right of the track centre line
+    this.turnWindow = 5; // How far before a corner centre a turn is accepted
+    this.missedTurn = false; // Ran off the end of a corner
+    this.turnTime = 0; // Seconds left of the lean into the last corner
+    this.turnDuration = 0.35;
+    this.turnDirection = null;
+    this.bumpedEdge = false; // Tried to change lane off the edge of the path (a stumble)
+    this.baseYaw = 0; // Model orientation before the heading is applied
+    this.baseQuaternion = null;
+    this.modelOrientations = new Map(); // Model -> its own orientation, kept across swaps
+    this.modelScale = 1; // Uniform scale that sizes the current model
     
     // Movement parameters
+    this.startSpeed = 10; // Forward speed at the start of a run
     this.forwardSpeed = 10;
+    this.baseForwardSpeed = 10; // Last speed set, before the character's modifier
+    this.speedBoost = null; // Temporary speed that overrides forwardSpeed (boost power-up)
     this.baseY = 2.0; // Fully elevate Pikachu above the path
+    this.groundHeight = 0; // Path surface height under the runner
+    this.jumpGroundHeight = 0; // Surface height at take-off
     this.jumpHeight = 2.5;
+    this.baseJumpHeight = 2.5;
+    this.baseLaneChangeSpeed = 10;
+    this.stats = { forwardSpeed: 1, jumpHeight: 1, laneChangeSpeed: 1 }; // Character modifiers
     this.jumpDuration = 0.8;
     this.jumpTime = 0;
     this.slideTime = 0;
     this.maxSlideTime = 0.8;
-    this.verticalVelocity = 0;
-    this.gravity = -20;
-    
-    // Animation states
-    this.animations = {
-      idle: null,
-      run: null,
-      jump: null,
-      slide: null,
-      death: null
-    };
+
+    // Ground that drops away by more than a step (off the side of a ledge) is fallen from,
+    // coming down like the back half of a jump. For a moment after leaving the edge a jump
+    // still takes off, as it would have a step earlier.
+    this.stepDown = 0.3; // Biggest drop in one step the runner just steps down
+    this.fallTime = 0;
+    this.fallFrom = 0; // Feet height where the ground dropped away
+    this.coyoteTime = 0.1; // Seconds into a fall a jump is still allowed
+
+    // Presses that can't act yet wait for a moment instead of being dropped: a jump
+    // pressed just before landing, or a lane change while another is under way
+    this.inputQueue = []; // { action, timeLeft }, oldest first
+    this.inputBufferWindows = { jump: 0.15, left: 0.5, right: 0.5 }; // Seconds each waits
+    this.fastFalling = false; // Slide pressed mid-air: dropping fast to slide on landing
+    this.fastFallRate = 3; // How much faster the rest of the jump arc plays
+
+    // Collision box, measured up from the runner's feet; it ducks while sliding so
+    // overhead obstacles can be slid under, and rises with the jump arc
+    this.colliderWidth = 0.8;
+    this.colliderHeight = 1.8;
+    this.slideColliderHeight = 0.8;
+
+    // A stumble knocks the runner back to the lane they came from and slows them
+    this.stumbleTime = 0; // Seconds of stumble left
+    this.stumbleDuration = 0.6;
+    this.stumbleSlowdown = 0.7; // Speed factor while stumbling
+
+    // After a revive obstacles can't kill the runner for a moment; the model blinks
+    this.invulnerableTime = 0; // Seconds of invulnerability left
+    this.reviveInvulnerability = 2;
     
-    this.currentAnimation = 'run';
-    this.animationSpeed = 1.0;
+    // Plays the model's clips for what the runner is doing, or poses it procedurally
+    this.animator = new AnimationController();
+    this.animationNames = {}; // State -> animation group name in the current model
+
+    // Simulated poses of the last two steps; the rendered pose is blended between them
+    this.previousPosition = new BABYLON.Vector3(0, this.baseY, 0);
+    this.simPosition = new BABYLON.Vector3(0, this.baseY, 0);
+
+    // Emits jump, slide, land and laneChange (and animationMarker through the animator);
+    // replaced with the game's bus by setEvents()
+    this.events = new GameEvents();
   }
 
   /**
@@ -50,31 +107,74 @@ export class PlayerController {
    * @param {BABYLON.Mesh} mesh - The player mesh
    */
   init(mesh) {
-    this.player = mesh;
-    this.playerMesh = mesh;
-    if (this.player && this.player.setEnabled) {
-      // Ensure the visual is enabled in case a procedural fallback was created disabled
-      this.player.setEnabled(true);
-    }
-    this.player.position = new BABYLON.Vector3(0, this.baseY, 0);
-    
-    // Create collision box (slightly smaller than visual)
+    this.setModel(mesh);
+
+    // Create collision box (slightly smaller than visual). It is placed from the simulated
+    // pose rather than parented, so model scale and the slide squash don't distort it
     this.collider = BABYLON.MeshBuilder.CreateBox(
       'playerCollider',
-      { width: 0.8, height: 1.8, depth: 0.8 },
+      { width: this.colliderWidth, height: 1, depth: this.colliderWidth },
       this.scene
     );
     this.collider.isVisible = false;
-    this.collider.parent = this.player;
-    
+    this.collider.isPickable = false;
+    this.updateCollider();
+  }
+
+  /**
+   * Show a model as the runner, in place of the current one
+   * @param {BABYLON.TransformNode} mesh - Model root
+   * @param {number} scale - Uniform scale that sizes it
+   * @param {Object} animationNames - State (run, jump, ...) -> its animation group name
+   */
+  setModel(mesh, scale = 1, animationNames = {}) {
+    const previous = this.player;
+    if (previous && previous !== mesh) previous.setEnabled(false);
+
+    this.player = mesh;
+    this.playerMesh = mesh;
+    this.modelScale = scale;
+    this.animationNames = animationNames;
+    if (this.player.setEnabled) {
+      // Ensure the visual is enabled in case a procedural fallback was created disabled
+      this.player.setEnabled(true);
+    }
+    this.player.scaling = new BABYLON.Vector3(scale, scale, scale);
+    this.player.position = previous
+      ? previous.position.clone()
+      : new BABYLON.Vector3(0, this.baseY, 0);
+    if (!previous) this.syncSimulatedPosition();
+
+    // Remember the model's own orientation so headings are applied on top of it
+    if (!this.modelOrientations.has(mesh)) {
+      this.modelOrientations.set(mesh, {
+        yaw: mesh.rotation ? mesh.rotation.y : 0,
+        quaternion: mesh.rotationQuaternion ? mesh.rotationQuaternion.clone() : null,
+      });
+    }
+    const orientation = this.modelOrientations.get(mesh);
+    this.baseYaw = orientation.yaw;
+    this.baseQuaternion = orientation.quaternion;
+    this.applyHeading();
+
     this.setupAnimations();
   }
 
   /**
-   * Setup animations for the player
+   * Apply a character's stat modifiers
+   * @param {Object} stats - Field -> factor (see CHARACTER_STATS in characterRegistry.js)
+   */
+  setStats(stats) {
+    this.stats = { ...this.stats, ...stats };
+    this.jumpHeight = this.baseJumpHeight * this.stats.jumpHeight;
+    this.laneChangeSpeed = this.baseLaneChangeSpeed * this.stats.laneChangeSpeed;
+    this.setForwardSpeed(this.baseForwardSpeed);
+  }
+
+  /**
+   * Hand the animation groups that animate the current model to the animator
    */
   setupAnimations() {
-    // Try to locate an AnimationGroup targeting the player's skeleton
     const groups = this.scene.animationGroups || [];
     const playerRoot = this.player;
     const isDescendant = (node) => {
@@ -89,29 +189,7 @@ export class PlayerController {
     const candidateGroups = groups.filter((g) =>
       g.targetedAnimations && g.targetedAnimations.some((ta) => ta.target && isDescendant(ta.target))
     );
-
-    // Prefer a group named like "Run"; fall back to first candidate
-    let runGroup = candidateGroups.find((g) => /run/i.test(g.name));
-    if (!runGroup && candidateGroups.length > 0) {
-      runGroup = candidateGroups[0];
-    }
-
-    if (runGroup) {
-      // Stop any existing to avoid duplicates
-      candidateGroups.forEach((g) => g.stop());
-      runGroup.reset();
-      runGroup.start(true); // loop
-      this.animations.run = runGroup;
-      this.currentAnimation = 'run';
-    } else {
-      // Fallback: body bob via a light up-down motion
-      this.scene.onBeforeRenderObservable.add(() => {
-        if (this.currentAnimation === 'run' && this.player) {
-          const t = performance.now() * 0.005;
-          this.player.position.y = this.baseY + Math.sin(t * 2.5) * 0.05;
-        }
-      });
-    }
+    this.animator.bind(candidateGroups, this.animationNames);
   }
 
   /**
@@ -121,22 +199,159 @@ export class PlayerController {
   update(deltaTime) {
     if (!this.player || this.isDead) return;
 
-    // Forward movement
-    this.player.position.z += this.forwardSpeed * deltaTime;
+    // Continue from the simulated pose rather than the interpolated one last rendered
+    this.player.position.copyFrom(this.simPosition);
+    this.previousPosition.copyFrom(this.simPosition);
 
-    // Tie animation speed to forward speed if possible
-    if (this.animations.run && this.animations.run.speedRatio !== undefined) {
-      this.animations.run.speedRatio = Math.min(2.0, 0.7 + this.forwardSpeed * 0.06);
+    if (!this.leg) {
+      this.leg = this.track.getLegAt(this.distance);
     }
 
+    this.updateInputQueue(deltaTime);
+
+    // Forward movement along the current heading
+    const speed = this.getSpeed();
+    this.distance += speed * deltaTime;
+
     // Lane switching
     this.updateLanePosition(deltaTime);
 
+    // Follow the path surface in the runner's lane, up ramps, stairs and ledges, or fall
+    // where it drops away; jumps and slides offset from it
+    this.groundHeight = this.track.getHeight(this.distance, this.lateral);
+    if (!this.isJumping && !this.isSliding && !this.isFalling) {
+      const feet = this.player.position.y - this.baseY;
+      if (feet - this.groundHeight > this.stepDown) {
+        this.isFalling = true;
+        this.fallTime = 0;
+        this.fallFrom = feet;
+      } else {
+        this.player.position.y = this.groundHeight + this.baseY;
+      }
+    }
+    this.updateFall(deltaTime);
+
     // Jump logic
     this.updateJump(deltaTime);
 
+    this.updateStumble(deltaTime);
+    this.updateInvulnerability(deltaTime);
+
     // Slide logic
     this.updateSlide(deltaTime);
+
+    // Place the runner in the world from its track-space position
+    this.track.pointOnLeg(
+      this.leg,
+      this.distance,
+      this.lateral,
+      this.player.position.y,
+      this.player.position
+    );
+
+    // Boosting is too fast to react, so corners are taken automatically
+    if (this.speedBoost !== null && this.leg.turn && this.distance >= this.leg.end) {
+      this.turn(this.leg.turn);
+    }
+
+    // Past the corner without turning: the runner has run off the end of the track
+    if (this.leg.turn && this.distance > this.leg.end + this.track.halfWidth) {
+      this.missedTurn = true;
+    }
+
+    this.simPosition.copyFrom(this.player.position);
+    this.updateAnimation(deltaTime, speed);
+
+    // Several steps can run within one rendered frame, so refresh the cached world
+    // matrices for collision checks made later in this step
+    this.player.computeWorldMatrix(true);
+    this.updateCollider();
+  }
+
+  /**
+   * Pick the animation state from what the runner is doing and advance it
+   * @param {number} deltaTime - Time since last update
+   * @param {number} speed - Forward speed this step
+   */
+  updateAnimation(deltaTime, speed) {
+    this.turnTime = Math.max(0, this.turnTime - deltaTime);
+    this.animator.setState(this.getAnimationState(), { direction: this.turnDirection });
+    this.animator.update(deltaTime, speed);
+  }
+
+  /**
+   * Animation state for the runner's current movement
+   * @returns {string} Key of ANIMATION_STATES in animationController.js
+   */
+  getAnimationState() {
+    if (this.isDead) return 'death';
+    if (this.isJumping) return this.jumpTime < this.jumpDuration / 2 ? 'jump' : 'fall';
+    if (this.isFalling) return 'fall';
+    if (this.isSliding) return 'slide';
+    if (this.stumbleTime > 0) return 'stumble';
+    if (this.turnTime > 0) return 'turn';
+    return 'run';
+  }
+
+  /**
+   * Advance the animation outside the simulation (the slow-motion death)
+   * @param {number} deltaTime - Seconds to advance
+   */
+  animate(deltaTime) {
+    this.animator.update(deltaTime);
+    this.applyPose(this.player.position);
+  }
+
+  /**
+   * Show the animator's procedural pose on the model. It only touches the rendered model,
+   * never the simulated position, so collisions don't depend on it.
+   * @param {BABYLON.Vector3} position - Rendered position to offset
+   */
+  applyPose(position) {
+    if (!this.player) return;
+
+    const pose = this.animator.pose;
+    position.y += pose.y;
+    this.playerMesh.scaling.y = this.modelScale * pose.scaleY;
+    this.applyHeading();
+  }
+
+  /**
+   * Fit the collision box to the simulated pose: standing, sliding or in the air
+   */
+  updateCollider() {
+    if (!this.collider || !this.player) return;
+
+    // The model floats baseY above its feet; in the air the feet follow the arc
+    const airborne = this.isJumping || this.isFalling;
+    const feet = airborne ? this.player.position.y - this.baseY : this.groundHeight;
+    const height = this.isSliding ? this.slideColliderHeight : this.colliderHeight;
+    const position = this.player.position;
+
+    this.collider.scaling.y = height;
+    this.collider.position.set(position.x, feet + height / 2, position.z);
+    this.collider.rotation.y = this.getHeading();
+    this.collider.computeWorldMatrix(true);
+  }
+
+  /**
+   * Place the rendered player between the last two simulated steps
+   * @param {number} alpha - Interpolation factor in [0, 1)
+   */
+  interpolate(alpha) {
+    if (!this.player || this.isDead) return;
+
+    BABYLON.Vector3.LerpToRef(this.previousPosition, this.simPosition, alpha, this.player.position);
+    this.applyPose(this.player.position);
+    this.player.computeWorldMatrix(true);
+  }
+
+  /**
+   * Snap both simulated poses to the player's current position (after teleports/resets)
+   */
+  syncSimulatedPosition() {
+    this.previousPosition.copyFrom(this.player.position);
+    this.simPosition.copyFrom(this.player.position);
   }
 
   /**
@@ -145,19 +360,88 @@ export class PlayerController {
    */
   updateLanePosition(deltaTime) {
     const targetX = this.lanes[this.targetLane];
-    const currentX = this.player.position.x;
+    const currentX = this.lateral;
     
     if (Math.abs(targetX - currentX) > 0.01) {
       const direction = Math.sign(targetX - currentX);
       const moveDistance = this.laneChangeSpeed * deltaTime;
       
       if (Math.abs(targetX - currentX) < moveDistance) {
-        this.player.position.x = targetX;
+        this.lateral = targetX;
         this.currentLane = this.targetLane;
       } else {
-        this.player.position.x += direction * moveDistance;
+        this.lateral += direction * moveDistance;
       }
     }
+
+    // Once a lane change is done, start the next one queued
+    if (this.currentLane === this.targetLane) {
+      const next = this.takeInput('left', 'right');
+      if (next) this.changeLane(next === 'left' ? -1 : 1);
+    }
+  }
+
+  /**
+   * Whether a turn in this direction would be taken right now
+   * @param {string} direction - 'left' or 'right'
+   * @returns {boolean}
+   */
+  canTurn(direction) {
+    const leg = this.leg;
+    if (!leg || leg.turn !== direction || this.isDead) return false;
+
+    const offset = this.distance - leg.end;
+    return offset >= -this.turnWindow && offset <= this.track.halfWidth;
+  }
+
+  /**
+   * Turn onto the next leg at a corner
+   * @param {string} direction - 'left' or 'right'
+   * @returns {boolean} Whether the turn was taken
+   */
+  turn(direction) {
+    if (!this.canTurn(direction)) return false;
+
+    // Re-express the runner's spot relative to the corner centre on the new leg, so the
+    // turn doesn't teleport them; lane steering then eases them onto the new lanes
+    const leg = this.leg;
+    const next = leg.next;
+    const offset = leg.forward
+      .scale(this.distance - leg.end)
+      .addInPlace(leg.right.scale(this.lateral));
+    this.distance = next.start + BABYLON.Vector3.Dot(offset, next.forward);
+    this.lateral = BABYLON.Vector3.Dot(offset, next.right);
+
+    this.leg = next;
+    this.turnTime = this.turnDuration;
+    this.turnDirection = direction;
+    this.applyHeading();
+    return true;
+  }
+
+  /**
+   * Get the world yaw the runner is heading along
+   * @returns {number} Radians
+   */
+  getHeading() {
+    return this.leg ? this.leg.yaw : 0;
+  }
+
+  /**
+   * Face the model along the current heading, leaning as the animator's pose says
+   */
+  applyHeading() {
+    if (!this.player) return;
+
+    const yaw = this.getHeading();
+    const { pitch, roll } = this.animator.pose;
+    const base =
+      this.baseQuaternion || BABYLON.Quaternion.RotationAxis(BABYLON.Axis.Y, this.baseYaw);
+    this.player.rotationQuaternion = BABYLON.Quaternion.RotationYawPitchRoll(
+      yaw,
+      pitch,
+      roll
+    ).multiply(base);
   }
 
   /**
@@ -166,27 +450,63 @@ export class PlayerController {
    */
   updateJump(deltaTime) {
     if (this.isJumping) {
-      this.jumpTime += deltaTime;
+      this.jumpTime += deltaTime * (this.fastFalling ? this.fastFallRate : 1);
       
       // Parabolic jump curve
       const progress = this.jumpTime / this.jumpDuration;
       
       if (progress >= 1) {
-        // End jump
-        this.player.position.y = this.baseY;
+        // End jump on whatever surface is underneath now
+        this.player.position.y = this.groundHeight + this.baseY;
         this.isJumping = false;
         this.jumpTime = 0;
-        if (!this.isDead && !this.isSliding) {
-          this.playAnimation('run');
+        this.emitMove('land');
+
+        // Act on what was pressed in the air: a slide, then a jump (which cancels it)
+        if (this.fastFalling) {
+          this.fastFalling = false;
+          this.slide();
         }
+        if (this.takeInput('jump')) this.jump();
       } else {
-        // Calculate jump height using sine curve for smooth motion
+        // Calculate jump height using sine curve for smooth motion, measured from a floor
+        // that blends from the take-off height to the ground below so the landing meets it
         const jumpCurve = Math.sin(progress * Math.PI);
-        this.player.position.y = this.baseY + (this.jumpHeight * jumpCurve);
+        const floor =
+          this.jumpGroundHeight + (this.groundHeight - this.jumpGroundHeight) * progress;
+        this.player.position.y = floor + this.baseY + this.jumpHeight * jumpCurve;
       }
     }
   }
 
+  /**
+   * Update fall state: the feet come down the way a jump does from its peak until they
+   * meet the ground
+   * @param {number} deltaTime - Time since last update
+   */
+  updateFall(deltaTime) {
+    if (!this.isFalling) return;
+
+    this.fallTime += deltaTime * (this.fastFalling ? this.fastFallRate : 1);
+    const progress = Math.min(this.fallTime / (this.jumpDuration / 2), 1);
+    const feet = this.fallFrom - this.jumpHeight * (1 - Math.cos((progress * Math.PI) / 2));
+    if (progress < 1 && feet > this.groundHeight) {
+      this.player.position.y = feet + this.baseY;
+      return;
+    }
+
+    // Landed; act on what was pressed on the way down, as after a jump
+    this.player.position.y = this.groundHeight + this.baseY;
+    this.isFalling = false;
+    this.fallTime = 0;
+    this.emitMove('land');
+    if (this.fastFalling) {
+      this.fastFalling = false;
+      this.slide();
+    }
+    if (this.takeInput('jump')) this.jump();
+  }
+
   /**
    * Update slide state
    * @param {number} deltaTime - Time since last update
@@ -197,13 +517,8 @@ export class PlayerController {
       
       // Lower the player during slide
       const slideProgress = Math.min(this.slideTime / 0.2, 1);
-      this.player.position.y = this.baseY * (1 - slideProgress * 0.5);
-      
-      // Scale player to show sliding
-      if (this.playerMesh) {
-        this.playerMesh.scaling.y = 1 - slideProgress * 0.4;
-      }
-      
+      this.player.position.y = this.groundHeight + this.baseY * (1 - slideProgress * 0.5);
+
       if (this.slideTime >= this.maxSlideTime) {
         this.endSlide();
       }
@@ -214,62 +529,136 @@ export class PlayerController {
    * Move player to the left lane
    */
   moveLeft() {
-    if (this.targetLane > 0 && !this.isDead) {
-      this.targetLane--;
-    }
+    this.changeLane(-1);
   }
 
   /**
    * Move player to the right lane
    */
   moveRight() {
-    if (this.targetLane < this.lanes.length - 1 && !this.isDead) {
-      this.targetLane++;
+    this.changeLane(1);
+  }
+
+  /**
+   * Step one lane over. A step the same way as a lane change under way waits for it to
+   * finish, so quick presses chain lane by lane; a step back reverses it at once.
+   * @param {number} direction - -1 for left, 1 for right
+   */
+  changeLane(direction) {
+    if (this.isDead) return;
+    if (Math.sign(this.targetLane - this.currentLane) === direction) {
+      this.bufferInput(direction < 0 ? 'left' : 'right');
+      return;
     }
+
+    // The latest press wins over steps still queued
+    this.dropInput('left', 'right');
+    const lane = this.targetLane + direction;
+    if (lane < 0 || lane >= this.lanes.length) {
+      this.bumpedEdge = true;
+      return;
+    }
+    this.targetLane = lane;
+    this.events.emit('laneChange', { from: lane - direction, to: lane });
   }
 
   /**
-   * Make player jump
+   * Make player jump. In the air the press is held for landing, unless the runner has only
+   * just dropped off an edge (coyoteTime); mid-slide it cancels the slide.
    */
   jump() {
-    if (!this.isJumping && !this.isSliding && !this.isDead) {
-      this.isJumping = true;
-      this.jumpTime = 0;
-      this.playAnimation('jump');
-      
-      // Add visual feedback
-      if (this.playerMesh) {
-        // Squash before jump
-        BABYLON.Animation.CreateAndStartAnimation(
-          'jumpSquash',
-          this.playerMesh,
-          'scaling.y',
-          30,
-          3,
-          this.playerMesh.scaling.y,
-          0.8,
-          BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
-        );
-        
-        // Then stretch
-        setTimeout(() => {
-          if (this.playerMesh) {
-            this.playerMesh.scaling.y = 1.1;
-          }
-        }, 100);
-      }
+    if (this.isDead) return;
+    if (this.isJumping || (this.isFalling && this.fallTime > this.coyoteTime)) {
+      this.bufferInput('jump');
+      return;
     }
+    if (this.isSliding) this.endSlide();
+
+    // Off an edge, take off from where the runner is; the later press wins over a slide
+    let takeOff = this.groundHeight;
+    if (this.isFalling) {
+      takeOff = this.player.position.y - this.baseY;
+      this.isFalling = false;
+      this.fallTime = 0;
+      this.fastFalling = false;
+    }
+
+    this.isJumping = true;
+    this.jumpTime = 0;
+    this.jumpGroundHeight = takeOff;
+    this.moveStartDistance = this.distance;
+    this.emitMove('jump');
   }
 
   /**
-   * Make player slide
+   * Make player slide. In the air it drops the runner fast to slide on landing; mid-slide
+   * it extends the slide to full length.
    */
   slide() {
-    if (!this.isJumping && !this.isSliding && !this.isDead) {
-      this.isSliding = true;
-      this.slideTime = 0;
-      this.playAnimation('slide');
+    if (this.isDead) return;
+    if (this.isJumping || this.isFalling) {
+      this.fastFall();
+      return;
+    }
+    if (this.isSliding) {
+      // Stay crouched (the crouch takes 0.2s) and run the slide's full time again
+      this.slideTime = Math.min(this.slideTime, 0.2);
+      return;
+    }
+
+    this.isSliding = true;
+    this.slideTime = 0;
+    this.moveStartDistance = this.distance;
+    this.emitMove('slide');
+  }
+
+  /**
+   * Cut a jump or fall short to slide on landing: the rest of the arc plays on its way down
+   * (a jump's mirrored if still rising, so the height doesn't jump) and faster
+   */
+  fastFall() {
+    if (!this.fastFalling && this.isJumping) {
+      this.jumpTime = Math.max(this.jumpTime, this.jumpDuration - this.jumpTime);
     }
+    this.fastFalling = true;
+    // The slide is the later press, so it replaces a jump held for landing
+    this.dropInput('jump');
+  }
+
+  /**
+   * Hold an action that can't act yet for its buffer window
+   * @param {string} action - Key of inputBufferWindows
+   */
+  bufferInput(action) {
+    this.inputQueue.push({ action, timeLeft: this.inputBufferWindows[action] });
+  }
+
+  /**
+   * Take the oldest waiting action of the given kinds
+   * @param {...string} actions - Actions to look for
+   * @returns {string|null} The action taken, or null if none is waiting
+   */
+  takeInput(...actions) {
+    const index = this.inputQueue.findIndex((entry) => actions.includes(entry.action));
+    if (index === -1) return null;
+    return this.inputQueue.splice(index, 1)[0].action;
+  }
+
+  /**
+   * Forget waiting actions of the given kinds
+   * @param {...string} actions - Actions to drop
+   */
+  dropInput(...actions) {
+    this.inputQueue = this.inputQueue.filter((entry) => !actions.includes(entry.action));
+  }
+
+  /**
+   * Age waiting actions, dropping those held past their window
+   * @param {number} deltaTime - Time since last update
+   */
+  updateInputQueue(deltaTime) {
+    for (const entry of this.inputQueue) entry.timeLeft -= deltaTime;
+    this.inputQueue = this.inputQueue.filter((entry) => entry.timeLeft > 0);
   }
 
   /**
@@ -279,15 +668,8 @@ export class PlayerController {
     this.isSliding = false;
     this.slideTime = 0;
     
-    // Reset player height and scale
-    this.player.position.y = this.baseY;
-    if (this.playerMesh) {
-      this.playerMesh.scaling.y = 1;
-    }
-    
-    if (!this.isDead) {
-      this.playAnimation('run');
-    }
+    // Reset player height
+    this.player.position.y = this.groundHeight + this.baseY;
   }
 
   /**
@@ -295,37 +677,176 @@ export class PlayerController {
    */
   die() {
     this.isDead = true;
-    this.playAnimation('death');
+    this.animator.setState('death');
+  }
+
+  /**
+   * Stumble: bounce back toward the lane being left and slow down for a moment
+   */
+  stumble() {
+    this.bumpedEdge = false;
+    this.dropInput('left', 'right');
+    if (this.targetLane !== this.currentLane) {
+      this.events.emit('laneChange', { from: this.targetLane, to: this.currentLane });
+      this.targetLane = this.currentLane;
+    }
+    this.stumbleTime = this.stumbleDuration;
   }
 
   /**
-   * Play specified animation
-   * @param {string} animationName - Name of the animation to play
+   * The jump or slide in progress, for judging how late it was started
+   * @returns {{action: string, from: number}|null}
    */
-  playAnimation(animationName) {
-    this.currentAnimation = animationName;
-    // Animation playback will be implemented with Babylon.js animation system
+  getManeuver() {
+    if (this.isJumping) return { action: 'jump', from: this.moveStartDistance };
+    if (this.isSliding) return { action: 'slide', from: this.moveStartDistance };
+    return null;
+  }
+
+  /**
+   * Count down a stumble
+   * @param {number} deltaTime - Time since last update
+   */
+  updateStumble(deltaTime) {
+    if (this.stumbleTime <= 0) return;
+
+    this.stumbleTime = Math.max(0, this.stumbleTime - deltaTime);
+  }
+
+  /**
+   * Stand the runner back up where they died, in the nearest lane and briefly
+   * invulnerable. A runner who missed a turn is put round the corner.
+   * @param {number} invulnerableTime - Seconds obstacles can't hit the runner
+   */
+  revive(invulnerableTime = this.reviveInvulnerability) {
+    if (!this.player) return;
+
+    if (!this.leg) this.leg = this.track.getLegAt(this.distance);
+    if (this.missedTurn && this.leg.next) {
+      this.leg = this.leg.next;
+      this.distance = this.leg.start;
+      this.applyHeading();
+    }
+    this.missedTurn = false;
+    this.bumpedEdge = false;
+    this.stumbleTime = 0;
+    this.inputQueue = [];
+    this.fastFalling = false;
+
+    // Snap to the nearest lane
+    let lane = 0;
+    this.lanes.forEach((x, i) => {
+      if (Math.abs(x - this.lateral) < Math.abs(this.lanes[lane] - this.lateral)) lane = i;
+    });
+    this.currentLane = lane;
+    this.targetLane = lane;
+    this.lateral = this.lanes[lane];
+
+    // Back on the ground, running
+    this.isDead = false;
+    this.isJumping = false;
+    this.isSliding = false;
+    this.isFalling = false;
+    this.jumpTime = 0;
+    this.fallTime = 0;
+    this.slideTime = 0;
+    this.turnTime = 0;
+    this.groundHeight = this.track.getHeight(this.distance, this.lateral);
+    this.track.pointOnLeg(
+      this.leg,
+      this.distance,
+      this.lateral,
+      this.groundHeight + this.baseY,
+      this.player.position
+    );
+    this.syncSimulatedPosition();
+    this.player.computeWorldMatrix(true);
+    this.updateCollider();
+
+    this.invulnerableTime = invulnerableTime;
+    this.animator.setState('run');
+    this.animator.snap();
+    this.applyPose(this.player.position);
+  }
+
+  /**
+   * Count down invulnerability, blinking the model while it lasts
+   * @param {number} deltaTime - Time since last update
+   */
+  updateInvulnerability(deltaTime) {
+    if (this.invulnerableTime <= 0) return;
+
+    this.invulnerableTime = Math.max(0, this.invulnerableTime - deltaTime);
+    const visible = this.invulnerableTime === 0 || Math.floor(this.invulnerableTime * 8) % 2 === 0;
+    if (this.playerMesh) this.playerMesh.setEnabled(visible);
+  }
+
+  /**
+   * Whether obstacles are currently ignored (just revived)
+   * @returns {boolean}
+   */
+  isInvulnerable() {
+    return this.invulnerableTime > 0;
   }
 
   /**
    * Reset player to initial state
    */
   reset() {
+    this.leg = null;
+    this.distance = 0;
+    this.lateral = this.lanes[1];
+    this.missedTurn = false;
+    this.bumpedEdge = false;
+    this.stumbleTime = 0;
+    this.setForwardSpeed(this.startSpeed);
+    this.speedBoost = null;
+    this.groundHeight = 0;
+    this.jumpGroundHeight = 0;
     if (this.player) {
       this.player.position = new BABYLON.Vector3(0, this.baseY, 0);
+      this.syncSimulatedPosition();
+      this.applyHeading();
     }
     if (this.playerMesh) {
-      this.playerMesh.scaling = new BABYLON.Vector3(1, 1, 1);
+      const scale = this.modelScale;
+      this.playerMesh.scaling = new BABYLON.Vector3(scale, scale, scale);
     }
     this.currentLane = 1;
     this.targetLane = 1;
     this.isJumping = false;
     this.isSliding = false;
     this.isDead = false;
+    this.isFalling = false;
     this.jumpTime = 0;
+    this.fallTime = 0;
     this.slideTime = 0;
-    this.verticalVelocity = 0;
-    this.playAnimation('run');
+    this.turnTime = 0;
+    this.inputQueue = [];
+    this.fastFalling = false;
+    this.invulnerableTime = 0;
+    if (this.playerMesh) this.playerMesh.setEnabled(true);
+    this.animator.setState('idle');
+    this.animator.snap();
+    if (this.player) this.applyPose(this.player.position);
+    this.updateCollider();
+  }
+
+  /**
+   * Emit a movement event with where the runner is
+   * @param {string} type - 'jump', 'slide' or 'land'
+   */
+  emitMove(type) {
+    this.events.emit(type, { distance: this.distance, position: this.player.position.clone() });
+  }
+
+  /**
+   * Use the game's event bus
+   * @param {GameEvents} events - Shared event bus
+   */
+  setEvents(events) {
+    this.events = events;
+    this.animator.setEvents(events);
   }
 
   /**
@@ -333,7 +854,25 @@ export class PlayerController {
    * @param {number} speed - New forward speed
    */
   setForwardSpeed(speed) {
-    this.forwardSpeed = Math.max(5, Math.min(30, speed));
+    this.baseForwardSpeed = Math.max(5, Math.min(30, speed));
+    this.forwardSpeed = this.baseForwardSpeed * this.stats.forwardSpeed;
+  }
+
+  /**
+   * Override the forward speed for a while
+   * @param {number|null} speed - Boost speed, or null to return to forwardSpeed
+   */
+  setSpeedBoost(speed) {
+    this.speedBoost = speed;
+  }
+
+  /**
+   * Get the speed the runner is actually moving at
+   * @returns {number}
+   */
+  getSpeed() {
+    const speed = this.speedBoost ?? this.forwardSpeed;
+    return this.stumbleTime > 0 ? speed * this.stumbleSlowdown : speed;
   }
 
   /**
@@ -0,0 +1,375 @@
+/**
+ * Power-Up Manager Module
+ * Spawns power-up pickups along the track and runs their timed effects: a coin magnet,
+ * a shield that absorbs one hit, a coin score multiplier and a speed boost
+ */
+
+import BABYLON from 'babylonjs';
+import { RandomService } from '../utils/random.js';
+import { TrackPath } from './trackPath.js';
+import { GameEvents } from '../utils/gameEvents.js';
+
+// Effect tuning; durations are in simulated seconds
+export const POWER_UP_TYPES = {
+  magnet: { label: 'Magnet', duration: 10, color: [0.9, 0.2, 0.2] },
+  shield: { label: 'Shield', duration: 15, color: [0.3, 0.6, 1.0] },
+  multiplier: { label: '2x Coins', duration: 12, color: [0.3, 0.9, 0.3] },
+  boost: { label: 'Boost', duration: 4, color: [1.0, 0.6, 0.1] },
+};
+
+export class PowerUpManager {
+  /**
+   * @param {BABYLON.Scene} scene - Scene to create pickups in
+   * @param {PlayerController} playerController - Runner the effects apply to
+   * @param {CoinManager} coinManager - Coins the magnet pulls in
+   * @param {RandomService} random - Run RNG service
+   * @param {TrackPath} track - Track pickups are placed along
+   */
+  constructor(
+    scene,
+    playerController,
+    coinManager,
+    random = new RandomService(),
+    track = new TrackPath()
+  ) {
+    this.scene = scene;
+    this.playerController = playerController;
+    this.coinManager = coinManager;
+    this.rng = random.stream('powerups');
+    this.track = track;
+
+    this.pickups = [];
+    this.pickupPool = [];
+    this.poolSizePerType = 3;
+    this.lanes = [-2, 0, 2];
+
+    // Active effects: type -> remaining seconds
+    this.active = {};
+
+    // Effect parameters
+    this.magnetRadius = 8;
+    this.magnetPullSpeed = 30;
+    this.coinMultiplier = 2;
+    this.boostSpeed = 30;
+    this.hitGraceTime = 1.0; // Invulnerability after the shield absorbs a hit
+    this.hitGrace = 0;
+
+    this._time = 0;
+
+    // Emits powerUpCollected; replaced with the game's bus by setEvents()
+    this.events = new GameEvents();
+  }
+
+  /**
+   * Initialize the power-up manager
+   */
+  init() {
+    this.createPickupPool();
+  }
+
+  /**
+   * Create a pool of reusable pickups, a few per type
+   */
+  createPickupPool() {
+    for (const type of Object.keys(POWER_UP_TYPES)) {
+      for (let i = 0; i < this.poolSizePerType; i++) {
+        const pickup = this.createPickupMesh(type, `powerUp_${type}_${i}`);
+        pickup.setEnabled(false);
+        pickup.powerUpData = {
+          type,
+          active: false,
+          distance: 0,
+          baseY: 0,
+          bobPhase: 0,
+        };
+        this.pickupPool.push(pickup);
+      }
+    }
+  }
+
+  /**
+   * Build the procedural pickup mesh for a type
+   * @param {string} type - Power-up type
+   * @param {string} name - Mesh name
+   * @returns {BABYLON.Mesh}
+   */
+  createPickupMesh(type, name) {
+    let mesh;
+    switch (type) {
+      case 'magnet':
+        mesh = BABYLON.MeshBuilder.CreateTorus(
+          name,
+          { diameter: 0.8, thickness: 0.2, tessellation: 16 },
+          this.scene
+        );
+        mesh.rotation.x = Math.PI / 2;
+        break;
+      case 'shield':
+        mesh = BABYLON.MeshBuilder.CreateSphere(name, { diameter: 0.9, segments: 12 }, this.scene);
+        break;
+      case 'multiplier':
+        mesh = BABYLON.MeshBuilder.CreateBox(name, { size: 0.6 }, this.scene);
+        mesh.rotation.z = Math.PI / 4;
+        break;
+      default:
+        mesh = BABYLON.MeshBuilder.CreateCylinder(
+          name,
+          { diameterTop: 0, diameterBottom: 0.7, height: 0.9, tessellation: 12 },
+          this.scene
+        );
+        break;
+    }
+
+    const [r, g, b] = POWER_UP_TYPES[type].color;
+    const material = new BABYLON.StandardMaterial(`${name}_mat`, this.scene);
+    material.diffuseColor = new BABYLON.Color3(r, g, b);
+    material.emissiveColor = new BABYLON.Color3(r * 0.6, g * 0.6, b * 0.6);
+    material.specularColor = new BABYLON.Color3(1, 1, 1);
+    if (type === 'shield') material.alpha = 0.7;
+    mesh.material = material;
+
+    if (this.scene.glowLayer && this.scene.glowLayer.addIncludedOnlyMesh) {
+      this.scene.glowLayer.addIncludedOnlyMesh(mesh);
+    }
+
+    return mesh;
+  }
+
+  /**
+   * Spawn a random power-up pickup
+   * @param {number} distance - Track distance
+   * @param {SeededRandom} rng - Stream to draw type/lane from (defaults to this manager's)
+   */
+  spawnPowerUp(distance, rng = this.rng) {
+    // Roll before touching the pool so an exhausted pool cannot shift the sequence
+    const type = rng.pick(Object.keys(POWER_UP_TYPES));
+    const lane = rng.int(this.lanes.length);
+    this.spawnPowerUpAt(distance, lane, type, rng);
+  }
+
+  /**
+   * Spawn a power-up pickup in a given lane
+   * @param {number} distance - Track distance
+   * @param {number} lane - Lane index
+   * @param {string|null} type - Power-up type, or null for a random one
+   * @param {SeededRandom} rng - Stream to draw the type/bob phase from (defaults to this manager's)
+   */
+  spawnPowerUpAt(distance, lane, type = null, rng = this.rng) {
+    const kind = type || rng.pick(Object.keys(POWER_UP_TYPES));
+    const bobPhase = rng.range(0, Math.PI * 2);
+    const pickup = this.getFromPool(kind);
+    if (!pickup) return;
+
+    pickup.position.copyFrom(this.track.getPosition(distance, this.lanes[lane], 1.0));
+    pickup.powerUpData.active = true;
+    pickup.powerUpData.distance = distance;
+    pickup.powerUpData.baseY = pickup.position.y;
+    pickup.powerUpData.bobPhase = bobPhase;
+
+    pickup.setEnabled(true);
+    this.pickups.push(pickup);
+  }
+
+  /**
+   * Animate pickups, recycle passed ones and run active effects
+   * @param {number} deltaTime - Time since last update
+   * @param {number} playerDistance - Player's distance along the track
+   */
+  update(deltaTime, playerDistance) {
+    if (playerDistance === undefined) return;
+
+    this._time += deltaTime;
+    for (let i = this.pickups.length - 1; i >= 0; i--) {
+      const pickup = this.pickups[i];
+      const data = pickup.powerUpData;
+
+      if (data.distance - playerDistance < -10) {
+        this.returnToPool(pickup);
+        this.pickups.splice(i, 1);
+        continue;
+      }
+
+      pickup.position.y = data.baseY + Math.sin(this._time * 3 + data.bobPhase) * 0.15;
+      pickup.rotation.y = this._time * 2;
+    }
+
+    this.updateEffects(deltaTime);
+  }
+
+  /**
+   * Tick effect timers and apply the ongoing ones
+   * @param {number} deltaTime - Time since last update
+   */
+  updateEffects(deltaTime) {
+    if (this.hitGrace > 0) {
+      this.hitGrace = Math.max(0, this.hitGrace - deltaTime);
+    }
+
+    for (const type of Object.keys(this.active)) {
+      this.active[type] -= deltaTime;
+      if (this.active[type] <= 0) {
+        this.deactivate(type);
+      }
+    }
+
+    const player = this.playerController?.player;
+    if (this.isActive('magnet') && player && this.coinManager) {
+      this.coinManager.attractCoins(
+        player.position,
+        this.magnetRadius,
+        this.magnetPullSpeed * deltaTime
+      );
+    }
+  }
+
+  /**
+   * Collect pickups the player touches
+   * @param {BABYLON.Mesh} playerMesh - The player mesh
+   * @returns {string[]} Types collected in this check
+   */
+  checkCollection(playerMesh) {
+    if (!playerMesh) return [];
+
+    const collected = [];
+    for (let i = this.pickups.length - 1; i >= 0; i--) {
+      const pickup = this.pickups[i];
+      if (BABYLON.Vector3.Distance(pickup.position, playerMesh.position) < 1.8) {
+        collected.push(pickup.powerUpData.type);
+        this.activate(pickup.powerUpData.type);
+        this.events.emit('powerUpCollected', { type: pickup.powerUpData.type });
+        this.returnToPool(pickup);
+        this.pickups.splice(i, 1);
+      }
+    }
+    return collected;
+  }
+
+  /**
+   * Start (or refresh) an effect
+   * @param {string} type - Power-up type
+   */
+  activate(type) {
+    const config = POWER_UP_TYPES[type];
+    if (!config) return;
+
+    this.active[type] = config.duration;
+    if (type === 'boost' && this.playerController) {
+      this.playerController.setSpeedBoost(this.boostSpeed);
+    }
+  }
+
+  /**
+   * End an effect
+   * @param {string} type - Power-up type
+   */
+  deactivate(type) {
+    if (!(type in this.active)) return;
+
+    delete this.active[type];
+    if (type === 'boost' && this.playerController) {
+      this.playerController.setSpeedBoost(null);
+    }
+  }
+
+  /**
+   * Whether an effect is running
+   * @param {string} type - Power-up type
+   * @returns {boolean}
+   */
+  isActive(type) {
+    return type in this.active;
+  }
+
+  /**
+   * Multiplier applied to coins collected right now
+   * @returns {number}
+   */
+  getCoinMultiplier() {
+    return this.isActive('multiplier') ? this.coinMultiplier : 1;
+  }
+
+  /**
+   * Whether obstacles currently pass through the runner
+   * @returns {boolean}
+   */
+  isInvulnerable() {
+    return this.isActive('boost') || this.hitGrace > 0;
+  }
+
+  /**
+   * Called on an obstacle hit; decides whether a power-up saves the run
+   * @returns {boolean} True if the hit was absorbed
+   */
+  absorbHit() {
+    if (this.isInvulnerable()) return true;
+
+    if (this.isActive('shield')) {
+      // Brief grace so the same obstacle doesn't hit again on the next step
+      this.deactivate('shield');
+      this.hitGrace = this.hitGraceTime;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Active effects with their remaining time, for the HUD
+   * @returns {Array<{type: string, label: string, remaining: number, duration: number}>}
+   */
+  getActiveEffects() {
+    return Object.keys(this.active).map((type) => ({
+      type,
+      label: POWER_UP_TYPES[type].label,
+      remaining: this.active[type],
+      duration: POWER_UP_TYPES[type].duration,
+    }));
+  }
+
+  /**
+   * Get an inactive pickup of a type from the pool
+   * @param {string} type - Power-up type
+   * @returns {BABYLON.Mesh|null}
+   */
+  getFromPool(type) {
+    for (const pickup of this.pickupPool) {
+      if (!pickup.powerUpData.active && pickup.powerUpData.type === type) {
+        return pickup;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Return a pickup to the pool
+   * @param {BABYLON.Mesh} pickup - The pickup to return
+   */
+  returnToPool(pickup) {
+    pickup.setEnabled(false);
+    pickup.powerUpData.active = false;
+  }
+
+  /**
+   * Reset the power-up manager
+   */
+  reset() {
+    for (const pickup of this.pickups) {
+      this.returnToPool(pickup);
+    }
+    this.pickups = [];
+
+    for (const type of Object.keys(this.active)) {
+      this.deactivate(type);
+    }
+    this.hitGrace = 0;
+    this._time = 0;
+  }
+
+  /**
+   * Use the game's event bus
+   * @param {GameEvents} events - Shared event bus
+   */
+  setEvents(events) {
+    this.events = events;
+  }
+}
@@ -0,0 +1,457 @@
+/**
+ * Profile Store Module
+ * The player's saved profile: lifetime totals, personal bests, settings, unlocks and stats.
+ * Profiles are versioned JSON kept in a storage backend (see utils/storage.js). Older
+ * versions, including the loose localStorage keys used before profiles existed, are
+ * migrated on load; an unreadable save is set aside and the last good copy restored.
+ */
+
+import { createDefaultBackend } from '../utils/storage.js';
+
+export const PROFILE_VERSION = 2;
+export const PROFILE_KEY = 'templeRunProfile';
+
+// Keys the game wrote before profiles existed; imported once, then removed
+const LEGACY_KEYS = {
+  highScore: 'templeRunHighScore',
+  settings: 'templeRunSettings',
+  muted: 'templeRunMuted',
+};
+
+/**
+ * A fresh profile
+ * @returns {Object}
+ */
+export function createDefaultProfile() {
+  const now = new Date().toISOString();
+  return {
+    version: PROFILE_VERSION,
+    createdAt: now,
+    updatedAt: now,
+    // coins is the spendable balance (rewards in, revives and unlocks out); coinsCollected
+    // only ever grows with coins picked up on runs
+    lifetime: { coins: 0, coinsCollected: 0, gems: 0, distance: 0, runs: 0 },
+    best: { score: 0, distance: 0, coins: 0 },
+    settings: { muted: false, soundVolume: 0.7, musicVolume: 0.5 },
+    unlocks: {}, // id -> ISO time it was unlocked
+    stats: {}, // Named lifetime counters, e.g. jumps, slides
+    missions: [], // Current mission set (see AchievementManager)
+    character: null, // Selected character id (null: the default character)
+  };
+}
+
+// Upgrades keyed by the version they start from; each returns the next version
+const MIGRATIONS = {
+  // 0: the legacy localStorage keys, gathered by readLegacy()
+  0: (legacy) => {
+    const profile = createDefaultProfile();
+    profile.version = 1;
+    profile.best.score = legacy.highScore ?? 0;
+    profile.settings = { ...profile.settings, ...legacy.settings };
+    return profile;
+  },
+  // 1: collected coins were only known through the balance, the closest figure there is
+  1: (profile) => ({
+    ...profile,
+    version: 2,
+    lifetime: { ...profile.lifetime, coinsCollected: profile.lifetime?.coins },
+  }),
+};
+
+/**
+ * Finite, non-negative number or a fallback
+ */
+function count(value, fallback = 0) {
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export class ProfileStore {
+  /**
+   * @param {Object} backend - Storage backend (read/write/remove, see utils/storage.js)
+   * @param {string} key - Key the profile is stored under
+   */
+  constructor(backend = createDefaultBackend(), key = PROFILE_KEY) {
+    this.backend = backend;
+    this.key = key;
+    this.profile = createDefaultProfile();
+    this.lastSaved = null; // Text of the last successful save, kept as the backup copy
+    this.saving = Promise.resolve();
+    this.recordingRun = true; // False while a replay plays back
+  }
+
+  /**
+   * Load the profile: the saved one, else its backup, else legacy keys, else a new one
+   * @returns {Promise<Object>} The profile
+   */
+  async load() {
+    let text = null;
+    try {
+      text = await this.backend.read(this.key);
+    } catch (e) {
+      console.warn('⚠️ Profile storage unavailable, playing without saves:', e);
+      return this.profile;
+    }
+
+    if (text === null) {
+      const legacy = await this.readLegacy();
+      this.profile = legacy ? ProfileStore.migrate(legacy) : createDefaultProfile();
+      await this.save();
+      if (legacy) {
+        await this.removeLegacy();
+        console.log('💾 Moved saved high score and settings into the player profile');
+      }
+      return this.profile;
+    }
+
+    try {
+      this.profile = ProfileStore.parse(text);
+      this.lastSaved = text;
+    } catch (e) {
+      console.warn(`⚠️ Saved profile is unreadable (${e.message}); restoring the backup`);
+      await this.backend.write(`${this.key}.corrupt`, text).catch(() => {});
+      this.profile = (await this.readBackup()) ?? createDefaultProfile();
+      await this.save();
+    }
+    return this.profile;
+  }
+
+  /**
+   * Parse, migrate and check profile JSON
+   * @param {string} text - Profile JSON
+   * @returns {Object} Profile at the current version
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Profile is not valid JSON: ${e.message}`);
+    }
+    return ProfileStore.migrate(data);
+  }
+
+  /**
+   * Bring profile data up to the current version and fill in anything missing
+   * @param {Object} data - Profile data at any known version
+   * @returns {Object} Profile at the current version
+   */
+  static migrate(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+      throw new Error('Profile has no version');
+    }
+    if (data.version > PROFILE_VERSION) {
+      throw new Error(`Profile is from a newer version (${data.version})`);
+    }
+
+    let profile = data;
+    while (profile.version < PROFILE_VERSION) {
+      const migration = MIGRATIONS[profile.version];
+      if (!migration) {
+        throw new Error(`No migration from profile version ${profile.version}`);
+      }
+      profile = migration(profile);
+    }
+    return ProfileStore.normalize(profile);
+  }
+
+  /**
+   * Copy the known fields of a current-version profile, replacing bad values with defaults
+   * @param {Object} data - Profile data
+   * @returns {Object}
+   */
+  static normalize(data) {
+    const profile = createDefaultProfile();
+    profile.createdAt = typeof data.createdAt === 'string' ? data.createdAt : profile.createdAt;
+    profile.updatedAt = typeof data.updatedAt === 'string' ? data.updatedAt : profile.updatedAt;
+
+    for (const section of ['lifetime', 'best']) {
+      for (const field of Object.keys(profile[section])) {
+        profile[section][field] = count(data[section]?.[field]);
+      }
+    }
+
+    const settings = data.settings || {};
+    profile.settings.muted = !!settings.muted;
+    for (const field of ['soundVolume', 'musicVolume']) {
+      const volume = count(settings[field], profile.settings[field]);
+      profile.settings[field] = Math.min(1, volume);
+    }
+
+    for (const [id, unlockedAt] of Object.entries(data.unlocks || {})) {
+      if (typeof unlockedAt === 'string') profile.unlocks[id] = unlockedAt;
+    }
+    for (const [name, value] of Object.entries(data.stats || {})) {
+      if (Number.isFinite(value)) profile.stats[name] = value;
+    }
+    profile.character = typeof data.character === 'string' ? data.character : null;
+    profile.missions = (Array.isArray(data.missions) ? data.missions : [])
+      .filter((m) => m && typeof m.id === 'string' && count(m.goal) > 0)
+      .map((m) => ({
+        id: m.id,
+        goal: m.goal,
+        reward: count(m.reward),
+        completedAt: typeof m.completedAt === 'string' ? m.completedAt : null,
+      }));
+    return profile;
+  }
+
+  /**
+   * Gather the pre-profile localStorage keys as a version 0 profile
+   * @returns {Promise<Object|null>} Legacy data, or null if there was none
+   */
+  async readLegacy() {
+    try {
+      const highScore = await this.backend.read(LEGACY_KEYS.highScore);
+      const settingsText = await this.backend.read(LEGACY_KEYS.settings);
+      const muted = await this.backend.read(LEGACY_KEYS.muted);
+      if (highScore === null && settingsText === null && muted === null) return null;
+
+      let settings = {};
+      try {
+        const parsed = JSON.parse(settingsText || '{}');
+        if (parsed && typeof parsed === 'object') settings = parsed;
+      } catch (e) {
+        console.warn('Ignoring unreadable legacy sound settings:', e);
+      }
+      // The mute-only key is older; the settings object decides mute once it records it
+      if (typeof settings.muted !== 'boolean' && muted !== null) {
+        settings.muted = muted === 'true';
+      }
+
+      return { version: 0, highScore: parseInt(highScore, 10) || 0, settings };
+    } catch (e) {
+      console.warn('Could not read legacy save keys:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Delete the pre-profile keys once they have been migrated
+   */
+  async removeLegacy() {
+    for (const key of Object.values(LEGACY_KEYS)) {
+      await this.backend.remove(key).catch(() => {});
+    }
+  }
+
+  /**
+   * Read the backup written alongside the last save
+   * @returns {Promise<Object|null>}
+   */
+  async readBackup() {
+    try {
+      const text = await this.backend.read(`${this.key}.backup`);
+      return text === null ? null : ProfileStore.parse(text);
+    } catch (e) {
+      console.warn('Profile backup is unreadable too; starting a new profile:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Write the profile, keeping the previous save as a backup. Saves are queued so they
+   * land in order; a failed save is logged and play continues.
+   * @returns {Promise<void>}
+   */
+  save() {
+    this.profile.updatedAt = new Date().toISOString();
+    const text = JSON.stringify(this.profile);
+    const previous = this.lastSaved;
+
+    this.saving = this.saving.then(async () => {
+      try {
+        if (previous) await this.backend.write(`${this.key}.backup`, previous);
+        await this.backend.write(this.key, text);
+        this.lastSaved = text;
+      } catch (e) {
+        console.warn('⚠️ Could not save profile:', e);
+      }
+    });
+    return this.saving;
+  }
+
+  /**
+   * Get the profile (treat as read-only; change it through the methods below)
+   * @returns {Object}
+   */
+  get() {
+    return this.profile;
+  }
+
+  /**
+   * Get the saved settings
+   * @returns {{muted: boolean, soundVolume: number, musicVolume: number}}
+   */
+  getSettings() {
+    return { ...this.profile.settings };
+  }
+
+  /**
+   * Change settings and save
+   * @param {Object} changes - Fields of settings to change
+   * @returns {Promise<void>}
+   */
+  updateSettings(changes) {
+    this.profile.settings = { ...this.profile.settings, ...changes };
+    return this.save();
+  }
+
+  /**
+   * Fold a finished run into lifetime totals and personal bests, and save
+   * @param {Object} result - { score, distance, coins, collectibles }
+   * @returns {{score: boolean, distance: boolean}} Which personal bests the run beat
+   */
+  recordRun({ score = 0, distance = 0, coins = 0, collectibles = {} }) {
+    const { lifetime, best } = this.profile;
+    lifetime.runs++;
+    lifetime.coins += coins;
+    lifetime.coinsCollected += coins;
+    lifetime.gems += collectibles.gem || 0;
+    lifetime.distance += distance;
+
+    const newBest = { score: score > best.score, distance: distance > best.distance };
+    best.score = Math.max(best.score, score);
+    best.distance = Math.max(best.distance, distance);
+    best.coins = Math.max(best.coins, coins);
+
+    this.save();
+    return newBest;
+  }
+
+  /**
+   * Add reward coins to the lifetime total and save
+   * @param {number} amount - Coins to add
+   * @returns {Promise<void>}
+   */
+  awardCoins(amount) {
+    this.profile.lifetime.coins += amount;
+    return this.save();
+  }
+
+  /**
+   * Take coins from the lifetime total (e.g. to pay for a revive) and save
+   * @param {number} amount - Coins to spend
+   * @returns {boolean} Whether there were enough; nothing is spent if not
+   */
+  spendCoins(amount) {
+    if (this.profile.lifetime.coins < amount) return false;
+    this.profile.lifetime.coins -= amount;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remember the character to run as and save
+   * @param {string} id - Character id
+   * @returns {Promise<void>}
+   */
+  selectCharacter(id) {
+    this.profile.character = id;
+    return this.save();
+  }
+
+  /**
+   * Add to a named lifetime counter (saved with the next save)
+   * @param {string} name - Stat name, e.g. 'jumps'
+   * @param {number} amount - How much to add
+   */
+  incrementStat(name, amount = 1) {
+    this.profile.stats[name] = (this.profile.stats[name] || 0) + amount;
+  }
+
+  /**
+   * Unlock something (a character, achievement, ...) and save
+   * @param {string} id - Unlock id
+   * @returns {boolean} True if it was newly unlocked
+   */
+  unlock(id) {
+    if (this.profile.unlocks[id]) return false;
+    this.profile.unlocks[id] = new Date().toISOString();
+    this.save();
+    return true;
+  }
+
+  /**
+   * Whether something has been unlocked
+   * @param {string} id - Unlock id
+   * @returns {boolean}
+   */
+  isUnlocked(id) {
+    return !!this.profile.unlocks[id];
+  }
+
+  /**
+   * Record each run when it ends. Replays are watched, not played, so they leave the
+   * profile alone. (Gameplay counters are added by AchievementManager.)
+   * @param {GameEvents} events - Game event bus
+   */
+  bindEvents(events) {
+    events.on('runStarted', ({ replay }) => {
+      this.recordingRun = !replay;
+    });
+    events.on('gameOver', (result) => {
+      if (this.recordingRun) this.recordRun(result);
+    });
+  }
+
+  /**
+   * Serialize the profile for moving it to another browser
+   * @returns {string}
+   */
+  exportJSON() {
+    return JSON.stringify(this.profile, null, 2);
+  }
+
+  /**
+   * Replace the profile with an exported one and save it
+   * @param {string} text - Exported profile JSON
+   * @returns {Promise<Object>} The imported profile
+   */
+  async importJSON(text) {
+    this.profile = ProfileStore.parse(text);
+    await this.save();
+    return this.profile;
+  }
+
+  /**
+   * Download the profile as a JSON file
+   */
+  download() {
+    const blob = new Blob([this.exportJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `temple-run-profile-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Let the player pick an exported profile and import it
+   * @returns {Promise<Object>} The imported profile
+   */
+  openFile() {
+    return new Promise((resolve, reject) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'application/json,.json';
+      input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        if (!file) {
+          reject(new Error('No profile file selected'));
+          return;
+        }
+        file
+          .text()
+          .then((text) => this.importJSON(text))
+          .then(resolve)
+          .catch(reject);
+      });
+      input.click();
+    });
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Pursuer Module
+ * The creature chasing the runner. A stumble (clipping the side of an obstacle, or
+ * bumping the path edge) brings it up close behind the runner for a while; stumbling
+ * again before it falls back is fatal. Its state is simulation state, updated in the
+ * fixed step, so replays reproduce it.
+ */
+
+import BABYLON from 'babylonjs';
+import { TrackPath } from './trackPath.js';
+import { GameEvents } from '../utils/gameEvents.js';
+
+export class Pursuer {
+  /**
+   * @param {BABYLON.Scene} scene - Scene to create the creature in
+   * @param {PlayerController} playerController - Runner being chased
+   * @param {TrackPath} track - Track the creature runs along
+   */
+  constructor(scene, playerController, track = new TrackPath()) {
+    this.scene = scene;
+    this.playerController = playerController;
+    this.track = track;
+    this.mesh = null;
+
+    this.stumbleWindow = 6; // Seconds a stumble keeps it close; stumbling again is fatal
+    this.timeLeft = 0; // Seconds until it falls back
+    this.closeGap = 2.5; // Track distance behind the runner while it is close
+    this.farGap = 14; // Where it appears from and falls back to (out of shot)
+    this.approachSpeed = 10; // Gap closed per second when it catches up
+    this.retreatSpeed = 3; // Gap opened per second when it falls back
+    this.gap = this.farGap;
+
+    // Simulated poses of the last two steps, blended for rendering like the runner's
+    this.previousPosition = new BABYLON.Vector3();
+    this.simPosition = new BABYLON.Vector3();
+
+    // Emits stumble; replaced with the game's bus by setEvents()
+    this.events = new GameEvents();
+  }
+
+  /**
+   * Create the creature
+   */
+  init() {
+    this.mesh = this.createMesh();
+    this.mesh.setEnabled(false);
+  }
+
+  /**
+   * Build a hunched, dark procedural creature with glowing eyes
+   * @returns {BABYLON.Mesh}
+   */
+  createMesh() {
+    const root = BABYLON.MeshBuilder.CreateSphere(
+      'pursuer',
+      { diameterX: 1.6, diameterY: 1.4, diameterZ: 2, segments: 12 },
+      this.scene
+    );
+    const skin = new BABYLON.StandardMaterial('pursuer_mat', this.scene);
+    skin.diffuseColor = new BABYLON.Color3(0.15, 0.12, 0.1);
+    skin.specularColor = new BABYLON.Color3(0.05, 0.05, 0.05);
+    root.material = skin;
+
+    const eyeMaterial = new BABYLON.StandardMaterial('pursuer_eye_mat', this.scene);
+    eyeMaterial.emissiveColor = new BABYLON.Color3(1, 0.2, 0.05);
+    for (const side of [-1, 1]) {
+      const eye = BABYLON.MeshBuilder.CreateSphere(
+        `pursuer_eye_${side}`,
+        { diameter: 0.18, segments: 6 },
+        this.scene
+      );
+      eye.material = eyeMaterial;
+      eye.parent = root;
+      eye.position.set(side * 0.3, 0.3, 0.9);
+    }
+
+    return root;
+  }
+
+  /**
+   * Register a stumble
+   * @param {string} cause - Obstacle type clipped, or 'rail' for the path edge
+   * @returns {boolean} Whether it was fatal (the pursuer was still close)
+   */
+  stumble(cause) {
+    const fatal = this.isClose();
+    this.timeLeft = this.stumbleWindow;
+    this.events.emit('stumble', { cause, fatal });
+    return fatal;
+  }
+
+  /**
+   * Whether a stumble now would be the second inside the window
+   * @returns {boolean}
+   */
+  isClose() {
+    return this.timeLeft > 0;
+  }
+
+  /**
+   * How far the creature has come into shot, for the camera to frame it
+   * @returns {number} 0 (out of shot) to 1 (right behind the runner)
+   */
+  getPresence() {
+    return (this.farGap - this.gap) / (this.farGap - this.closeGap);
+  }
+
+  /**
+   * Count down the window and move the creature toward its gap behind the runner
+   * @param {number} deltaTime - Fixed step in seconds
+   */
+  update(deltaTime) {
+    if (this.timeLeft > 0) this.timeLeft = Math.max(0, this.timeLeft - deltaTime);
+
+    if (this.isClose()) {
+      this.gap = Math.max(this.closeGap, this.gap - this.approachSpeed * deltaTime);
+    } else {
+      this.gap = Math.min(this.farGap, this.gap + this.retreatSpeed * deltaTime);
+    }
+
+    if (!this.mesh) return;
+    const wasVisible = this.mesh.isEnabled();
+    const visible = this.gap < this.farGap;
+    this.mesh.setEnabled(visible);
+    if (!visible) return;
+
+    // Runs along the track behind the runner, in their lane
+    const distance = this.playerController.distance - this.gap;
+    const { lateral } = this.playerController;
+    const height = this.track.getHeight(distance, lateral) + 0.8;
+    const leg = this.track.getLegAt(distance);
+    this.previousPosition.copyFrom(this.simPosition);
+    this.track.pointOnLeg(leg, distance, lateral, height, this.simPosition);
+    if (!wasVisible) this.previousPosition.copyFrom(this.simPosition);
+  }
+
+  /**
+   * Place the rendered creature between the last two simulated steps
+   * @param {number} alpha - Interpolation factor in [0, 1)
+   */
+  interpolate(alpha) {
+    if (!this.mesh || !this.mesh.isEnabled()) return;
+    BABYLON.Vector3.LerpToRef(this.previousPosition, this.simPosition, alpha, this.mesh.position);
+    this.mesh.rotation.y = this.track.getYaw(this.playerController.distance - this.gap);
+  }
+
+  /**
+   * Send the creature away (new run or revive)
+   */
+  reset() {
+    this.timeLeft = 0;
+    this.gap = this.farGap;
+    if (this.mesh) this.mesh.setEnabled(false);
+  }
+
+  /**
+   * Use the game's event bus
+   * @param {GameEvents} events - Shared event bus
+   */
+  setEvents(events) {
+    this.events = events;
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Replay Manager Module
+ * Records the seed and player actions of a run and plays them back through the
+ * same code path to reproduce the run exactly. The simulation advances in fixed
+ * steps, so an action's simulation time pins it to a step regardless of frame rate.
+ */
+
+export const REPLAY_VERSION = 2;
+
+// Input times are rounded to 1/10000 s to keep replay files compact
+const TIME_UNITS = 10000;
+
+const REPLAY_ACTIONS = [
+  'left',
+  'right',
+  'jump',
+  'slide',
+  'pause',
+  'turnLeft',
+  'turnRight',
+  'revive',
+];
+
+export class ReplayManager {
+  constructor(gameLoop) {
+    this.gameLoop = gameLoop;
+    this.mode = 'idle'; // 'idle' | 'recording' | 'playback'
+    this.replay = null; // replay currently being recorded or played
+    this.lastReplay = null; // last completed recording
+    this.inputIndex = 0;
+
+    this.onAction = null;
+    this.onPlaybackEnd = null;
+  }
+
+  /**
+   * Begin recording a new run
+   * @param {number} seed - Seed the run was generated from
+   * @param {string|null} character - Id of the character run as (its stats shape the run)
+   */
+  startRecording(seed, character = null) {
+    this.stop();
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed,
+      character,
+      timeStep: this.gameLoop.fixedTimeStep,
+      recordedAt: new Date().toISOString(),
+      inputs: [],
+    };
+    this.mode = 'recording';
+  }
+
+  /**
+   * Log a player action at the current simulation time
+   * @param {string} action - One of left/right/jump/slide/pause
+   */
+  recordInput(action) {
+    if (this.mode !== 'recording') return;
+    const time = Math.round(this.gameLoop.simulationTime * TIME_UNITS) / TIME_UNITS;
+    this.replay.inputs.push([time, action]);
+  }
+
+  /**
+   * Finish the current recording
+   * @param {Object} result - Outcome of the run ({ distance, score, coins })
+   * @returns {Object|null} The completed replay
+   */
+  stopRecording(result) {
+    if (this.mode !== 'recording') return null;
+    this.replay.result = { ...result, ticks: this.gameLoop.tick };
+    this.lastReplay = this.replay;
+    this.replay = null;
+    this.mode = 'idle';
+    return this.lastReplay;
+  }
+
+  /**
+   * Reopen the last recording, for a run that carries on after it ended (revive)
+   * @returns {boolean} Whether there was a recording to reopen
+   */
+  resumeRecording() {
+    if (this.mode !== 'idle' || !this.lastReplay) return false;
+    this.replay = this.lastReplay;
+    delete this.replay.result;
+    this.lastReplay = null;
+    this.mode = 'recording';
+    return true;
+  }
+
+  /**
+   * Start playing back a replay. Actions are handed to `onAction` at the
+   * simulation time they were recorded.
+   * @param {Object} replay - Parsed replay
+   */
+  startPlayback(replay) {
+    this.stop();
+    if (replay.timeStep !== this.gameLoop.fixedTimeStep) {
+      console.warn(
+        `Replay was recorded at ${replay.timeStep}s steps but the loop runs at ` +
+          `${this.gameLoop.fixedTimeStep}s; playback may diverge`
+      );
+    }
+    this.replay = replay;
+    this.inputIndex = 0;
+    this.mode = 'playback';
+  }
+
+  /**
+   * Dispatch actions that are due. Registered ahead of the other systems so
+   * actions land before the step that followed them in the recording.
+   */
+  update() {
+    if (this.mode !== 'playback') return;
+
+    const replay = this.replay;
+    const tick = this.gameLoop.tick;
+    if (tick > replay.result.ticks) {
+      // The recorded run ended before this step; anything still running has diverged
+      this.stop();
+      if (this.onPlaybackEnd) this.onPlaybackEnd(replay, false);
+      return;
+    }
+
+    const inputs = replay.inputs;
+    while (this.inputIndex < inputs.length) {
+      const [time, action] = inputs[this.inputIndex];
+      if (Math.round(time / replay.timeStep) > tick) break;
+      this.inputIndex++;
+      if (this.onAction) this.onAction(action);
+    }
+  }
+
+  /**
+   * During playback, consume the next recorded action if it is this one, whenever it
+   * was logged. Used for actions taken while the loop is stopped, such as a revive
+   * accepted on the death screen.
+   * @param {string} action - Action to look for
+   * @returns {boolean} Whether it was next
+   */
+  takeNextAction(action) {
+    if (this.mode !== 'playback') return false;
+    const next = this.replay.inputs[this.inputIndex];
+    if (!next || next[1] !== action) return false;
+    this.inputIndex++;
+    return true;
+  }
+
+  /**
+   * Stop recording or playback without keeping the data
+   */
+  stop() {
+    this.mode = 'idle';
+    this.replay = null;
+  }
+
+  /**
+   * Finish playback, comparing the reproduced outcome with the recorded one
+   * @param {Object} result - Outcome of the reproduced run
+   * @returns {boolean} Whether the playback matched the recording
+   */
+  finishPlayback(result) {
+    if (this.mode !== 'playback') return false;
+    const replay = this.replay;
+    const expected = replay.result;
+    const matched =
+      expected.ticks === this.gameLoop.tick &&
+      Math.abs((expected.distance ?? 0) - result.distance) < 1e-6 &&
+      expected.score === result.score &&
+      expected.coins === result.coins;
+    this.stop();
+    if (this.onPlaybackEnd) this.onPlaybackEnd(replay, matched);
+    return matched;
+  }
+
+  isRecording() {
+    return this.mode === 'recording';
+  }
+
+  isPlayingBack() {
+    return this.mode === 'playback';
+  }
+
+  /**
+   * Serialize a replay to compact JSON
+   * @param {Object} replay - Replay to serialize
+   * @returns {string}
+   */
+  static serialize(replay) {
+    return JSON.stringify(replay);
+  }
+
+  /**
+   * Parse and validate replay JSON
+   * @param {string} text - Replay file contents
+   * @returns {Object} Parsed replay
+   */
+  static parse(text) {
+    let replay;
+    try {
+      replay = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Replay is not valid JSON: ${e.message}`);
+    }
+
+    if (!replay || replay.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version: ${replay?.version}`);
+    }
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+      throw new Error('Replay has no valid seed');
+    }
+    if (replay.character != null && typeof replay.character !== 'string') {
+      throw new Error('Replay has an invalid character');
+    }
+    if (!(replay.timeStep > 0)) {
+      throw new Error('Replay has no valid time step');
+    }
+    if (!replay.result || !Number.isInteger(replay.result.ticks)) {
+      throw new Error('Replay has no recorded result');
+    }
+    const validInput = (input) =>
+      Array.isArray(input) && typeof input[0] === 'number' && REPLAY_ACTIONS.includes(input[1]);
+    if (!Array.isArray(replay.inputs) || !replay.inputs.every(validInput)) {
+      throw new Error('Replay input log is malformed');
+    }
+
+    return replay;
+  }
+
+  /**
+   * Download a replay as a JSON file
+   * @param {Object} replay - Replay to save (defaults to the last recording)
+   */
+  download(replay = this.lastReplay) {
+    if (!replay) {
+      console.warn('No replay recorded yet');
+      return;
+    }
+
+    const blob = new Blob([ReplayManager.serialize(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `temple-run-replay-${replay.seed}-${Date.now()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Let the player pick a replay file
+   * @returns {Promise<Object>} Parsed replay
+   */
+  openFile() {
+    return new Promise((resolve, reject) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'application/json,.json';
+      input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        if (!file) {
+          reject(new Error('No replay file selected'));
+          return;
+        }
+        file
+          .text()
+          .then((text) => resolve(ReplayManager.parse(text)))
+          .catch(reject);
+      });
+      input.click();
+    });
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Run Rules
+ * The per-step rules of a run, shared by the browser game (src/index.js) and the headless
+ * simulation (src/headless.js) so both advance a run identically: distance and score, coin
+ * and power-up pickups, the combo, obstacle hits and stumbles, near misses, missed turns,
+ * the speed-up and spawning. Each entry point adds only its own extras (UI, debug views)
+ * and decides what ending the run means for it.
+ */
+
+// Distance run before obstacles can hit, so a run can't end the moment it spawns
+export const SPAWN_GRACE_DISTANCE = 5;
+
+/**
+ * Register a run's fixed-step systems on the game loop, in the order replays rely on:
+ * recorded actions land first, then the runner and pursuer move, then the run's rules
+ * @param {Object} game - TempleRunGame or HeadlessGame
+ * @param {Object} system - The entry point's own system: update(deltaTime), which calls
+ *   updateRun(), and an optional per-frame interpolate(alpha)
+ */
+export function registerRunSystems(game, system) {
+  game.gameLoop.registerSystem(game.replayManager);
+  game.gameLoop.registerSystem(game.playerController);
+  game.gameLoop.registerSystem(game.pursuer);
+  game.gameLoop.registerSystem(system);
+}
+
+/**
+ * Advance a run by one fixed step. Called after the player and pursuer have moved.
+ * @param {Object} game - TempleRunGame or HeadlessGame: its gameplay systems, event bus
+ *   and run state (distanceTraveled, coinScore, score, gameSpeed, speedIncreaseRate,
+ *   maxSpeed)
+ * @param {number} deltaTime - Fixed step in seconds
+ * @returns {string|null} What ended the run this step (an obstacle type, 'pursuer' or
+ *   'missedTurn'), or null while it goes on
+ */
+export function updateRun(game, deltaTime) {
+  const { playerController, obstacleManager, coinManager, powerUpManager, comboManager } = game;
+
+  const travelled = playerController.getSpeed() * deltaTime;
+  game.distanceTraveled += travelled;
+  comboManager.update(deltaTime);
+
+  // Coin and gem pickups (the multiplier counts per pickup), then power-ups
+  const collected = coinManager.checkCollection(playerController.player);
+  const coinPoints = coinManager.getPoints(collected) * powerUpManager.getCoinMultiplier();
+  game.coinScore += coinPoints;
+  comboManager.collectCoins(collected.length);
+  powerUpManager.checkCollection(playerController.player);
+
+  // Score: distance and coin/gem points, plus the combo's share of both
+  comboManager.addPoints(travelled + coinPoints);
+  game.score = Math.floor(game.distanceTraveled) + game.coinScore + comboManager.getBonus();
+
+  // Obstacle hits, using the collider mesh; shield/boost absorb them. When the run ends
+  // the world stays as it was at the hit, for a revive (and its replay) to carry on from.
+  const hit =
+    game.distanceTraveled > SPAWN_GRACE_DISTANCE
+      ? obstacleManager.getHitObstacle(playerController.collider)
+      : null;
+  const invulnerable = playerController.isInvulnerable();
+  if (hit && !invulnerable && !powerUpManager.absorbHit()) {
+    // Clipping an obstacle's side is a stumble, fatal only if the pursuer is still close
+    const { lateral, colliderWidth } = playerController;
+    const graze = obstacleManager.isGraze(hit, lateral, colliderWidth / 2);
+    if (graze) obstacleManager.markGrazed(hit);
+    if (!graze || game.pursuer.stumble(hit.obstacleData.type)) {
+      return graze ? 'pursuer' : hit.obstacleData.type;
+    }
+    playerController.stumble();
+    comboManager.breakCombo();
+  }
+
+  // Steering into the edge of the path is a stumble too, unless hits can't hurt right now
+  if (playerController.bumpedEdge) {
+    playerController.bumpedEdge = false;
+    if (!invulnerable && !powerUpManager.isInvulnerable()) {
+      if (game.pursuer.stumble('rail')) return 'pursuer';
+      playerController.stumble();
+      comboManager.breakCombo();
+    }
+  }
+
+  // Obstacles just passed close beside, or jumped or slid through late, raise the combo
+  const { distance, lateral } = playerController;
+  const maneuver = playerController.getManeuver();
+  for (const { kind } of obstacleManager.checkNearMisses(distance, lateral, maneuver)) {
+    comboManager.nearMiss(kind);
+  }
+
+  // Running straight on past a corner leaves the track
+  if (playerController.missedTurn) return 'missedTurn';
+
+  increaseGameSpeed(game, deltaTime);
+
+  // Spawn ahead and recycle behind, then animate and clean up pickups and obstacles
+  game.worldManager.update(deltaTime, distance, playerController.player.position);
+  obstacleManager.updateObstacles(distance);
+  coinManager.updateCoins(deltaTime, distance);
+  powerUpManager.update(deltaTime, distance);
+  return null;
+}
+
+/**
+ * Gradually increase the game speed, and the runner's forward speed with it
+ * @param {Object} game - See updateRun()
+ * @param {number} deltaTime - Fixed step in seconds
+ */
+function increaseGameSpeed(game, deltaTime) {
+  if (game.gameSpeed >= game.maxSpeed) return;
+
+  game.gameSpeed += game.speedIncreaseRate * deltaTime;
+  game.gameLoop.setGameSpeed(game.gameSpeed);
+  game.events.emit('speedChanged', { gameSpeed: game.gameSpeed });
+  game.playerController.setForwardSpeed(10 + (game.gameSpeed - 1) * 5);
+}
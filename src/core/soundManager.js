@@ -3,14 +3,29 @@
  * Handles all game audio including music and sound effects
  */
 
+import { ProfileStore } from './profileStore.js';
+import { MemoryBackend } from '../utils/storage.js';
+
 export class SoundManager {
-  constructor() {
+  /**
+   * @param {ProfileStore} profileStore - Where mute and volume settings are kept
+   */
+  constructor(profileStore = new ProfileStore(new MemoryBackend())) {
+    this.profileStore = profileStore;
     this.sounds = {};
     this.music = {};
     this.isMuted = false;
     this.soundVolume = 0.7;
     this.musicVolume = 0.5;
     this.audioContext = null;
+
+    // Music and ambience run through their own gain nodes so they can fade and duck
+    this.musicGain = null;
+    this.ambienceGain = null;
+    this.ambienceSource = null;
+    this.musicTimer = null;
+    this.musicTempo = 1.0; // Melody speed multiplier, follows the game speed
+    this.inSwamp = false;
     
     this.initAudioContext();
   }
@@ -33,12 +48,81 @@ export class SoundManager {
   init() {
     // Create synthetic sounds since we don't have actual audio files
     this.createSyntheticSounds();
-    
-    // Check if sounds are muted in localStorage
-    const savedMute = localStorage.getItem('templeRunMuted');
-    if (savedMute === 'true') {
-      this.mute();
-    }
+    this.createMixer();
+
+    // Restore mute and volume settings
+    this.loadSettings();
+    this.applyMixLevels();
+  }
+
+  /**
+   * Create the music and ambience buses
+   */
+  createMixer() {
+    if (!this.audioContext) return;
+
+    this.musicGain = this.audioContext.createGain();
+    this.musicGain.connect(this.audioContext.destination);
+
+    this.ambienceGain = this.audioContext.createGain();
+    this.ambienceGain.gain.value = 0;
+    this.ambienceGain.connect(this.audioContext.destination);
+  }
+
+  /**
+   * Load mute/volume settings from the profile
+   */
+  loadSettings() {
+    const saved = this.profileStore.getSettings();
+    this.isMuted = saved.muted;
+    this.setSoundVolume(saved.soundVolume, false);
+    this.setMusicVolume(saved.musicVolume, false);
+  }
+
+  /**
+   * Persist mute/volume settings to the profile
+   */
+  saveSettings() {
+    this.profileStore.updateSettings({
+      muted: this.isMuted,
+      soundVolume: this.soundVolume,
+      musicVolume: this.musicVolume,
+    });
+  }
+
+  /**
+   * Play sounds and music in response to game events
+   * @param {GameEvents} events - Game event bus
+   */
+  bindEvents(events) {
+    events.on('runStarted', () => {
+      this.resume();
+      this.setMusicTempo(1.0);
+      this.setSwampAmbience(false, 0);
+      this.playBackgroundMusic();
+    });
+    events.on('paused', () => this.stopBackgroundMusic());
+    events.on('resumed', () => this.playBackgroundMusic());
+    events.on('gameOver', () => {
+      this.stopBackgroundMusic();
+      this.setSwampAmbience(false);
+      this.playSound('gameOver');
+    });
+
+    events.on('jump', () => this.playSound('jump'));
+    events.on('slide', () => this.playSound('slide'));
+    events.on('animationMarker', ({ name }) => {
+      if (name === 'footstep') this.playSound('footstep');
+    });
+    events.on('coinCollected', () => this.playSound('coinCollect'));
+    events.on('powerUpCollected', () => this.playSound('powerUp'));
+    events.on('revived', () => this.playSound('powerUp'));
+    events.on('hit', () => this.playSound('collision'));
+    events.on('splash', () => this.playSound('splash'));
+    events.on('uiClick', () => this.playSound('buttonClick'));
+
+    events.on('speedChanged', ({ gameSpeed }) => this.setMusicTempo(gameSpeed));
+    events.on('biomeChanged', ({ biome }) => this.setSwampAmbience(biome === 'swamp'));
   }
 
   /**
@@ -55,12 +139,15 @@ export class SoundManager {
     this.sounds.gameOver = () => this.playDescendingTone();
     this.sounds.buttonClick = () => this.playTone(600, 0.05, 'square', 0.2);
     this.sounds.powerUp = () => this.playAscendingTone();
+    this.sounds.splash = () => this.playNoise(0.25, 0.25);
+    this.sounds.footstep = () => this.playNoise(0.04, 0.06);
   }
 
   /**
    * Play a simple tone
+   * @param {AudioNode} destination - Output node (music goes through the music bus)
    */
-  playTone(frequency, duration, type = 'sine', volume = 0.5) {
+  playTone(frequency, duration, type = 'sine', volume = 0.5, destination = null) {
     if (!this.audioContext || this.isMuted) return;
 
     try {
@@ -68,12 +155,13 @@ export class SoundManager {
       const gainNode = this.audioContext.createGain();
       
       oscillator.connect(gainNode);
-      gainNode.connect(this.audioContext.destination);
+      gainNode.connect(destination || this.audioContext.destination);
       
       oscillator.frequency.value = frequency;
       oscillator.type = type;
       
-      const actualVolume = volume * this.soundVolume;
+      // Bus output is already scaled by the music volume
+      const actualVolume = destination ? volume : volume * this.soundVolume;
       gainNode.gain.setValueAtTime(actualVolume, this.audioContext.currentTime);
       gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration);
       
@@ -145,10 +233,10 @@ export class SoundManager {
   }
 
   /**
-   * Play background music (simple melody loop)
+   * Play background music (simple melody loop). Notes speed up with the music tempo.
    */
   playBackgroundMusic() {
-    if (!this.audioContext || this.isMuted) return;
+    if (!this.audioContext || this.musicTimer) return;
 
     // Simple looping melody
     const melody = [
@@ -160,19 +248,107 @@ export class SoundManager {
 
     let noteIndex = 0;
     const playNextNote = () => {
-      if (this.isMuted) return;
-      
       const { note, duration } = melody[noteIndex];
-      this.playTone(note, duration, 'triangle', 0.1 * this.musicVolume);
+      const beat = duration / this.musicTempo;
+      // Keep the loop ticking while muted so unmuting picks the melody back up
+      this.playTone(note, beat, 'triangle', 0.2, this.musicGain);
       
       noteIndex = (noteIndex + 1) % melody.length;
-      setTimeout(playNextNote, duration * 1000);
+      this.musicTimer = setTimeout(playNextNote, beat * 1000);
     };
 
     // Start the melody
     playNextNote();
   }
 
+  /**
+   * Stop the background music loop
+   */
+  stopBackgroundMusic() {
+    clearTimeout(this.musicTimer);
+    this.musicTimer = null;
+  }
+
+  /**
+   * Set how fast the melody plays
+   * @param {number} tempo - Speed multiplier (1 = normal)
+   */
+  setMusicTempo(tempo) {
+    this.musicTempo = Math.max(0.5, Math.min(3, tempo));
+  }
+
+  /**
+   * Start the looping swamp ambience (filtered noise), silent until faded in
+   */
+  startAmbience() {
+    if (!this.audioContext || !this.ambienceGain || this.ambienceSource) return;
+
+    try {
+      const length = this.audioContext.sampleRate * 2;
+      const buffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+      const output = buffer.getChannelData(0);
+      for (let i = 0; i < length; i++) {
+        output[i] = Math.random() * 2 - 1;
+      }
+
+      const source = this.audioContext.createBufferSource();
+      source.buffer = buffer;
+      source.loop = true;
+
+      // Low murmur of water and insects rather than hiss
+      const filter = this.audioContext.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = 500;
+
+      source.connect(filter);
+      filter.connect(this.ambienceGain);
+      source.start();
+      this.ambienceSource = source;
+    } catch (e) {
+      console.warn('Error starting ambience:', e);
+    }
+  }
+
+  /**
+   * Crossfade between the temple music and the swamp ambience
+   * @param {boolean} inSwamp - Whether the runner is in the swamp biome
+   * @param {number} fadeTime - Crossfade length in seconds
+   */
+  setSwampAmbience(inSwamp, fadeTime = 1.5) {
+    this.inSwamp = inSwamp;
+    if (inSwamp) this.startAmbience();
+    this.applyMixLevels(fadeTime);
+  }
+
+  /**
+   * Ramp the music and ambience buses to their levels for the current settings
+   * @param {number} fadeTime - Ramp length in seconds
+   */
+  applyMixLevels(fadeTime = 0) {
+    if (!this.audioContext || !this.musicGain) return;
+
+    const music = this.isMuted ? 0 : this.musicVolume * (this.inSwamp ? 0.4 : 1);
+    const ambience = this.isMuted || !this.inSwamp ? 0 : this.musicVolume * 0.6;
+    const now = this.audioContext.currentTime;
+    for (const [node, level] of [
+      [this.musicGain, music],
+      [this.ambienceGain, ambience],
+    ]) {
+      node.gain.cancelScheduledValues(now);
+      node.gain.setValueAtTime(node.gain.value, now);
+      node.gain.linearRampToValueAtTime(level, now + fadeTime);
+    }
+  }
+
+  /**
+   * Resume audio after a user gesture (browsers start the context suspended)
+   */
+  resume() {
+    if (this.audioContext && this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+  }
+
   /**
    * Play a sound effect by name
    */
@@ -184,16 +360,21 @@ export class SoundManager {
 
   /**
    * Set sound effects volume
+   * @param {boolean} persist - Save to settings
    */
-  setSoundVolume(volume) {
+  setSoundVolume(volume, persist = true) {
     this.soundVolume = Math.max(0, Math.min(1, volume));
+    if (persist) this.saveSettings();
   }
 
   /**
    * Set music volume
+   * @param {boolean} persist - Save to settings
    */
-  setMusicVolume(volume) {
+  setMusicVolume(volume, persist = true) {
     this.musicVolume = Math.max(0, Math.min(1, volume));
+    this.applyMixLevels(0.1);
+    if (persist) this.saveSettings();
   }
 
   /**
@@ -201,7 +382,8 @@ export class SoundManager {
    */
   mute() {
     this.isMuted = true;
-    localStorage.setItem('templeRunMuted', 'true');
+    this.applyMixLevels(0.1);
+    this.saveSettings();
   }
 
   /**
@@ -209,12 +391,11 @@ export class SoundManager {
    */
   unmute() {
     this.isMuted = false;
-    localStorage.setItem('templeRunMuted', 'false');
+    this.applyMixLevels(0.1);
+    this.saveSettings();
     
     // Resume audio context if it was suspended
-    if (this.audioContext && this.audioContext.state === 'suspended') {
-      this.audioContext.resume();
-    }
+    this.resume();
   }
 
   /**
@@ -233,6 +414,7 @@ export class SoundManager {
    * Clean up audio context
    */
   destroy() {
+    this.stopBackgroundMusic();
     if (this.audioContext) {
       this.audioContext.close();
     }
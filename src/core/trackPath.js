@@ -0,0 +1,262 @@
+/**
+ * Track Path Module
+ * Describes the run as straight legs joined by 90° corners, plus ramps and stairs that
+ * change the ground height along the way and ledges that raise a single lane for a stretch.
+ * Gameplay keeps positions in track space
+ * (distance along the track, lateral offset from its centre line) and maps them to world
+ * space through the leg they lie on, so nothing assumes a fixed +Z axis or flat ground.
+ */
+
+import BABYLON from 'babylonjs';
+
+const QUARTER_TURN = Math.PI / 2;
+
+export class TrackPath {
+  constructor() {
+    this.halfWidth = 3; // Half the path width; a corner is a square of this half-size
+    this.legs = [];
+    this.ramps = []; // Height changes across the full width, in track order
+    this.ledges = []; // Raised stretches of a single lane, in track order
+    this.ledgeBevel = 0.4; // Width over which a ledge's sides drop to the path
+    this.baseHeight = 0; // Ground height before the first remembered ramp
+    this.reset();
+  }
+
+  /**
+   * Start over with a single flat leg heading +Z from the origin
+   */
+  reset() {
+    this.legs = [this.createLeg(0, BABYLON.Vector3.Zero(), 0)];
+    this.ramps = [];
+    this.ledges = [];
+    this.baseHeight = 0;
+  }
+
+  /**
+   * Create a straight leg
+   * @param {number} start - Track distance where the leg begins
+   * @param {BABYLON.Vector3} origin - World position of the leg's centre line at `start`
+   * @param {number} heading - Quarter turns clockwise from +Z (0..3)
+   * @returns {Object} Leg
+   */
+  createLeg(start, origin, heading) {
+    const yaw = heading * QUARTER_TURN;
+    // Headings are whole quarter turns, so keep the axes exact
+    const sin = Math.round(Math.sin(yaw));
+    const cos = Math.round(Math.cos(yaw));
+    return {
+      start,
+      end: Infinity, // Distance of the corner that ends this leg
+      turn: null, // 'left' | 'right' at `end`
+      next: null, // Leg after the corner
+      origin: origin.clone(),
+      heading,
+      yaw,
+      forward: new BABYLON.Vector3(sin, 0, cos),
+      right: new BABYLON.Vector3(cos, 0, -sin),
+    };
+  }
+
+  /**
+   * End the last leg with a corner and start the next one from its centre
+   * @param {number} distance - Track distance of the corner centre
+   * @param {string} direction - 'left' or 'right'
+   * @returns {Object} The new leg
+   */
+  addTurn(distance, direction) {
+    const leg = this.getLastLeg();
+    const heading = (leg.heading + (direction === 'right' ? 1 : 3)) % 4;
+    const next = this.createLeg(distance, this.pointOnLeg(leg, distance), heading);
+
+    leg.end = distance;
+    leg.turn = direction;
+    leg.next = next;
+    this.legs.push(next);
+    return next;
+  }
+
+  /**
+   * Change the ground height across the full path width over a stretch of track, starting
+   * from the height there
+   * @param {number} start - Track distance where the ramp begins
+   * @param {number} length - Track distance covered
+   * @param {number} rise - Height gained (negative to descend)
+   * @param {number} steps - 0 for a smooth slope, otherwise the number of stair steps
+   * @returns {Object} The ramp
+   */
+  addRamp(start, length, rise, steps = 0) {
+    const from = this.getBaseHeight(start);
+    const ramp = { start, end: start + length, from, to: from + rise, rise, steps };
+    this.ramps.push(ramp);
+    return ramp;
+  }
+
+  /**
+   * Raise one lane over a stretch of track: it slopes up `rise` above the path, stays level
+   * and slopes back down by the end, so the lanes either side are untouched and the track
+   * leaves it at the height it came in at
+   * @param {number} start - Track distance where the ledge begins
+   * @param {number} length - Track distance covered
+   * @param {number} rise - Height above the path at the top
+   * @param {number} lateral - Offset of the raised lane's centre
+   * @param {number} width - Width of the raised lane
+   * @param {number} slope - Track distance each end's slope takes
+   * @returns {Object} The ledge
+   */
+  addLedge(start, length, rise, lateral, width, slope = length / 4) {
+    const ledge = { start, end: start + length, rise, lateral, width, slope };
+    this.ledges.push(ledge);
+    return ledge;
+  }
+
+  /**
+   * Sample the ground height under a point of the path: the full-width ramps there, plus
+   * any ledge raising its lane. A ledge's sides bevel over `ledgeBevel` so stepping on or
+   * off it across lanes is a short climb rather than a jump in height.
+   * @param {number} distance - Track distance
+   * @param {number} lateral - Offset to the right of the centre line
+   * @returns {number} World Y of the path surface
+   */
+  getHeight(distance, lateral) {
+    return this.getBaseHeight(distance) + this.getLedgeHeight(distance, lateral);
+  }
+
+  /**
+   * Sample the height the full-width ramps give at a track distance, which every lane
+   * shares apart from ledges. Tiles are built up from it.
+   * @param {number} distance - Track distance
+   * @returns {number} World Y of the path surface outside ledges
+   */
+  getBaseHeight(distance) {
+    for (let i = this.ramps.length - 1; i >= 0; i--) {
+      const ramp = this.ramps[i];
+      if (distance < ramp.start) continue;
+      if (distance >= ramp.end) return ramp.to;
+
+      const t = (distance - ramp.start) / (ramp.end - ramp.start);
+      if (ramp.steps > 0) {
+        // Each step is level; the first one is already raised (or lowered) at the foot
+        const step = Math.min(ramp.steps, Math.floor(t * ramp.steps) + 1);
+        return ramp.from + (ramp.rise * step) / ramp.steps;
+      }
+      return ramp.from + ramp.rise * t;
+    }
+    return this.baseHeight;
+  }
+
+  /**
+   * Sample how far a ledge raises a point above the full-width path surface
+   * @param {number} distance - Track distance
+   * @param {number} lateral - Offset to the right of the centre line
+   * @returns {number} Height above getBaseHeight(), 0 off every ledge
+   */
+  getLedgeHeight(distance, lateral) {
+    let height = 0;
+    for (const ledge of this.ledges) {
+      if (distance <= ledge.start || distance >= ledge.end) continue;
+
+      const across = ledge.width / 2 - Math.abs(lateral - ledge.lateral);
+      const along = Math.min(distance - ledge.start, ledge.end - distance);
+      if (across <= 0) continue;
+
+      const side = Math.min(1, across / this.ledgeBevel);
+      const end = Math.min(1, along / ledge.slope);
+      height = Math.max(height, ledge.rise * side * end);
+    }
+    return height;
+  }
+
+  /**
+   * Whether a ledge raises some lane at a track distance
+   * @param {number} distance - Track distance
+   * @returns {boolean}
+   */
+  hasLedgeAt(distance) {
+    return this.ledges.some((ledge) => distance > ledge.start && distance < ledge.end);
+  }
+
+  /**
+   * Get the leg furthest along the track
+   * @returns {Object}
+   */
+  getLastLeg() {
+    return this.legs[this.legs.length - 1];
+  }
+
+  /**
+   * Get the leg the track follows at a distance (past a corner, that is the next leg)
+   * @param {number} distance - Track distance
+   * @returns {Object}
+   */
+  getLegAt(distance) {
+    for (let i = this.legs.length - 1; i > 0; i--) {
+      if (distance >= this.legs[i].start) return this.legs[i];
+    }
+    return this.legs[0];
+  }
+
+  /**
+   * Map a track-space point on a given leg to world space
+   * @param {Object} leg - Leg to measure along
+   * @param {number} distance - Track distance
+   * @param {number} lateral - Offset to the right of the centre line
+   * @param {number} height - World Y
+   * @param {BABYLON.Vector3} result - Optional vector to write into
+   * @returns {BABYLON.Vector3}
+   */
+  pointOnLeg(leg, distance, lateral = 0, height = 0, result = new BABYLON.Vector3()) {
+    const along = distance - leg.start;
+    result.x = leg.origin.x + leg.forward.x * along + leg.right.x * lateral;
+    result.y = height;
+    result.z = leg.origin.z + leg.forward.z * along + leg.right.z * lateral;
+    return result;
+  }
+
+  /**
+   * Map a track-space point to world space, on top of the path surface
+   * @param {number} distance - Track distance
+   * @param {number} lateral - Offset to the right of the centre line
+   * @param {number} height - Height above the path surface
+   * @returns {BABYLON.Vector3}
+   */
+  getPosition(distance, lateral = 0, height = 0) {
+    const y = this.getHeight(distance, lateral) + height;
+    return this.pointOnLeg(this.getLegAt(distance), distance, lateral, y);
+  }
+
+  /**
+   * Get the world yaw of the track at a distance
+   * @param {number} distance - Track distance
+   * @returns {number} Radians
+   */
+  getYaw(distance) {
+    return this.getLegAt(distance).yaw;
+  }
+
+  /**
+   * Whether a distance lies within `margin` of a corner centre
+   * @param {number} distance - Track distance
+   * @param {number} margin - Allowed gap either side
+   * @returns {boolean}
+   */
+  isNearTurn(distance, margin = this.halfWidth) {
+    return this.legs.some((leg) => leg.turn && Math.abs(distance - leg.end) < margin);
+  }
+
+  /**
+   * Forget legs, ramps and ledges that ended well behind a distance
+   * @param {number} distance - Usually the player's track distance
+   * @param {number} keepBehind - How much track to keep behind it
+   */
+  prune(distance, keepBehind = 60) {
+    while (this.legs.length > 1 && this.legs[0].end < distance - keepBehind) {
+      this.legs.shift();
+    }
+    while (this.ramps.length > 0 && this.ramps[0].end < distance - keepBehind) {
+      this.baseHeight = this.ramps.shift().to;
+    }
+    while (this.ledges.length > 0 && this.ledges[0].end < distance - keepBehind) {
+      this.ledges.shift();
+    }
+  }
+}
@@ -8,24 +8,71 @@ export class UIManager {
     this.score = 0;
     this.coins = 0;
     this.distance = 0;
-    this.highScore = this.loadHighScore();
+    this.seed = null;
+    this.collectibles = []; // Per-type coin and gem counts for the run summary
+    this.scoreBreakdown = null; // Where the run's score came from (see setScoreBreakdown)
+    this.highScore = 0; // Best score from the player profile, raised live during a run
+    this.lifetimeCoins = 0;
+    this.missions = []; // Current missions with progress (see AchievementManager)
+    this.characters = []; // Roster for the select screen (see setCharacters)
+    this.runCompleted = []; // Achievements and missions completed this run
+    this.toastDuration = 3; // Seconds each toast stays up
+    this.maxToasts = 3;
     
     // UI Elements
     this.elements = {
       startScreen: null,
+      characterScreen: null,
+      characterList: null,
+      characterName: null,
+      charactersButton: null,
+      charactersBackButton: null,
       gameUI: null,
       gameOverScreen: null,
+      pauseScreen: null,
+      settingsPanel: null,
+      reviveScreen: null,
       scoreDisplay: null,
       coinDisplay: null,
       distanceDisplay: null,
+      powerUpDisplay: null,
+      comboDisplay: null,
       highScoreDisplay: null,
       finalScoreDisplay: null,
       playButton: null,
-      restartButton: null
+      restartButton: null,
+      saveReplayButton: null,
+      exportProfileButton: null,
+      importProfileButton: null,
+      toastContainer: null,
+      countdownDisplay: null,
+      resumeButton: null,
+      pauseRestartButton: null,
+      settingsButton: null,
+      quitButton: null,
+      soundVolumeInput: null,
+      musicVolumeInput: null,
+      mutedInput: null,
+      reviveButton: null,
+      declineReviveButton: null,
+      reviveCost: null,
+      reviveBalance: null,
+      reviveTimerBar: null,
     };
     
     this.onPlayCallback = null;
     this.onRestartCallback = null;
+    this.onSaveReplayCallback = null;
+    this.onButtonClickCallback = null;
+    this.onExportProfileCallback = null;
+    this.onImportProfileCallback = null;
+    this.onResumeCallback = null;
+    this.onQuitCallback = null;
+    this.onSettingsChangeCallback = null;
+    this.onReviveCallback = null;
+    this.onDeclineReviveCallback = null;
+    this.onSelectCharacterCallback = null;
+    this.onUnlockCharacterCallback = null;
   }
 
   /**
@@ -34,7 +81,6 @@ export class UIManager {
   init() {
     this.createUIElements();
     this.setupEventListeners();
-    this.showStartScreen();
   }
 
   /**
@@ -50,12 +96,35 @@ export class UIManager {
         <h1 class="game-title">Temple Run</h1>
         <p class="game-subtitle">Web Edition</p>
         <button id="play-button" class="ui-button">Play</button>
+        <div class="current-character">Runner: <span id="menu-character">-</span></div>
+        <button id="characters-button" class="ui-button secondary">Characters</button>
         <div class="high-score">High Score: <span id="menu-high-score">0</span></div>
+        <div class="lifetime-coins">Lifetime Coins: <span id="menu-lifetime-coins">0</span></div>
+        <div class="profile-buttons">
+          <button id="export-profile-button" class="ui-button secondary">Export Save</button>
+          <button id="import-profile-button" class="ui-button secondary">Import Save</button>
+        </div>
+        <div id="menu-missions" class="mission-list"></div>
       </div>
     `;
     document.body.appendChild(startScreen);
     this.elements.startScreen = startScreen;
 
+    // Character select, opened from the start screen
+    const characterScreen = document.createElement('div');
+    characterScreen.id = 'character-screen';
+    characterScreen.className = 'ui-screen hidden';
+    characterScreen.innerHTML = `
+      <div class="ui-container">
+        <h2 class="character-title">Characters</h2>
+        <div class="lifetime-coins">Lifetime Coins: <span id="character-coins">0</span></div>
+        <div id="character-list" class="character-list"></div>
+        <button id="characters-back-button" class="ui-button secondary">Back</button>
+      </div>
+    `;
+    document.body.appendChild(characterScreen);
+    this.elements.characterScreen = characterScreen;
+
     // Game UI (HUD)
     const gameUI = document.createElement('div');
     gameUI.id = 'game-ui';
@@ -75,6 +144,13 @@ export class UIManager {
           <span id="distance-display" class="hud-value">0m</span>
         </div>
       </div>
+      <div id="combo-display" class="hud-combo hidden">
+        <span class="combo-multiplier">x1</span>
+        <span class="combo-chain"></span>
+        <div class="combo-bar"><div class="combo-fill"></div></div>
+      </div>
+      <div id="powerup-display" class="hud-powerups"></div>
+      <div id="countdown-display" class="countdown hidden"></div>
     `;
     document.body.appendChild(gameUI);
     this.elements.gameUI = gameUI;
@@ -91,10 +167,12 @@ export class UIManager {
             <span>Score:</span>
             <span id="final-score">0</span>
           </div>
+          <div id="final-score-breakdown" class="score-breakdown"></div>
           <div class="score-item">
             <span>Coins:</span>
             <span id="final-coins">0</span>
           </div>
+          <div id="final-collectibles" class="collectible-breakdown"></div>
           <div class="score-item">
             <span>Distance:</span>
             <span id="final-distance">0m</span>
@@ -104,47 +182,311 @@ export class UIManager {
             <span id="final-high-score">0</span>
           </div>
         </div>
+        <div id="final-achievements" class="run-achievements"></div>
+        <div id="final-missions" class="mission-list"></div>
+        <div class="run-seed">Seed: <span id="final-seed">-</span></div>
         <button id="restart-button" class="ui-button">Play Again</button>
+        <button id="save-replay-button" class="ui-button secondary">Save Replay</button>
       </div>
     `;
     document.body.appendChild(gameOverScreen);
     this.elements.gameOverScreen = gameOverScreen;
 
+    // Pause Screen (over the HUD), with the sound settings folded away
+    const pauseScreen = document.createElement('div');
+    pauseScreen.id = 'pause-screen';
+    pauseScreen.className = 'ui-screen hidden';
+    pauseScreen.innerHTML = `
+      <div class="ui-container">
+        <h2 class="pause-title">Paused</h2>
+        <div class="pause-buttons">
+          <button id="resume-button" class="ui-button">Resume</button>
+          <button id="pause-restart-button" class="ui-button secondary">Restart</button>
+          <button id="settings-button" class="ui-button secondary">Settings</button>
+          <button id="quit-button" class="ui-button secondary">Quit to Menu</button>
+        </div>
+        <div id="settings-panel" class="settings-panel hidden">
+          <label class="setting">
+            <span>Effects</span>
+            <input id="sound-volume" type="range" min="0" max="1" step="0.05" />
+          </label>
+          <label class="setting">
+            <span>Music</span>
+            <input id="music-volume" type="range" min="0" max="1" step="0.05" />
+          </label>
+          <label class="setting">
+            <span>Mute</span>
+            <input id="muted" type="checkbox" />
+          </label>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(pauseScreen);
+    this.elements.pauseScreen = pauseScreen;
+
+    // Revive offer (over the HUD) after a fatal hit
+    const reviveScreen = document.createElement('div');
+    reviveScreen.id = 'revive-screen';
+    reviveScreen.className = 'ui-screen hidden';
+    reviveScreen.innerHTML = `
+      <div class="ui-container">
+        <h2 class="revive-title">Continue?</h2>
+        <div class="revive-balance">You have <span id="revive-balance">0</span> coins</div>
+        <div class="revive-timer"><div id="revive-timer-bar" class="revive-timer-bar"></div></div>
+        <button id="revive-button" class="ui-button">
+          Revive for <span id="revive-cost">0</span> coins
+        </button>
+        <button id="decline-revive-button" class="ui-button secondary">No Thanks</button>
+      </div>
+    `;
+    document.body.appendChild(reviveScreen);
+    this.elements.reviveScreen = reviveScreen;
+
+    // Achievement and mission toasts, shown over every screen
+    const toastContainer = document.createElement('div');
+    toastContainer.id = 'toast-container';
+    toastContainer.className = 'toast-container';
+    document.body.appendChild(toastContainer);
+    this.elements.toastContainer = toastContainer;
+
     // Get references to elements
     this.elements.scoreDisplay = document.getElementById('score-display');
     this.elements.coinDisplay = document.getElementById('coin-display');
     this.elements.distanceDisplay = document.getElementById('distance-display');
+    this.elements.powerUpDisplay = document.getElementById('powerup-display');
+    this.elements.comboDisplay = document.getElementById('combo-display');
+    this.elements.countdownDisplay = document.getElementById('countdown-display');
     this.elements.highScoreDisplay = document.getElementById('menu-high-score');
     this.elements.finalScoreDisplay = document.getElementById('final-score');
     this.elements.playButton = document.getElementById('play-button');
     this.elements.restartButton = document.getElementById('restart-button');
+    this.elements.saveReplayButton = document.getElementById('save-replay-button');
+    this.elements.exportProfileButton = document.getElementById('export-profile-button');
+    this.elements.importProfileButton = document.getElementById('import-profile-button');
+    this.elements.lifetimeCoinsDisplay = document.getElementById('menu-lifetime-coins');
+    this.elements.resumeButton = document.getElementById('resume-button');
+    this.elements.pauseRestartButton = document.getElementById('pause-restart-button');
+    this.elements.settingsButton = document.getElementById('settings-button');
+    this.elements.quitButton = document.getElementById('quit-button');
+    this.elements.settingsPanel = document.getElementById('settings-panel');
+    this.elements.soundVolumeInput = document.getElementById('sound-volume');
+    this.elements.musicVolumeInput = document.getElementById('music-volume');
+    this.elements.mutedInput = document.getElementById('muted');
+    this.elements.reviveButton = document.getElementById('revive-button');
+    this.elements.declineReviveButton = document.getElementById('decline-revive-button');
+    this.elements.reviveCost = document.getElementById('revive-cost');
+    this.elements.reviveBalance = document.getElementById('revive-balance');
+    this.elements.reviveTimerBar = document.getElementById('revive-timer-bar');
+    this.elements.characterList = document.getElementById('character-list');
+    this.elements.characterName = document.getElementById('menu-character');
+    this.elements.charactersButton = document.getElementById('characters-button');
+    this.elements.charactersBackButton = document.getElementById('characters-back-button');
 
-    // Update high score display
+    // Update profile displays
     this.elements.highScoreDisplay.textContent = this.highScore;
+    this.elements.lifetimeCoinsDisplay.textContent = this.lifetimeCoins;
+    this.renderMissions();
+    this.renderCharacters();
   }
 
   /**
    * Setup event listeners for UI buttons
    */
   setupEventListeners() {
+    // Shared click feedback for every menu button
+    const buttons = [
+      this.elements.playButton,
+      this.elements.restartButton,
+      this.elements.saveReplayButton,
+      this.elements.exportProfileButton,
+      this.elements.importProfileButton,
+      this.elements.resumeButton,
+      this.elements.pauseRestartButton,
+      this.elements.settingsButton,
+      this.elements.quitButton,
+      this.elements.reviveButton,
+      this.elements.declineReviveButton,
+      this.elements.charactersButton,
+      this.elements.charactersBackButton,
+    ];
+    for (const button of buttons) {
+      button.addEventListener('click', () => {
+        if (this.onButtonClickCallback) {
+          this.onButtonClickCallback();
+        }
+      });
+    }
+
+    // Screens change with the game state, so buttons only report the click
     this.elements.playButton.addEventListener('click', () => {
-      this.hideStartScreen();
-      this.showGameUI();
       if (this.onPlayCallback) {
         this.onPlayCallback();
       }
     });
 
-    this.elements.restartButton.addEventListener('click', () => {
-      this.hideGameOverScreen();
-      this.showGameUI();
-      this.resetUI();
-      if (this.onRestartCallback) {
-        this.onRestartCallback();
+    // Play Again and the pause menu's Restart both start a new run
+    for (const button of [this.elements.restartButton, this.elements.pauseRestartButton]) {
+      button.addEventListener('click', () => {
+        if (this.onRestartCallback) {
+          this.onRestartCallback();
+        }
+      });
+    }
+
+    this.elements.resumeButton.addEventListener('click', () => {
+      if (this.onResumeCallback) {
+        this.onResumeCallback();
+      }
+    });
+
+    this.elements.quitButton.addEventListener('click', () => {
+      if (this.onQuitCallback) {
+        this.onQuitCallback();
+      }
+    });
+
+    this.elements.reviveButton.addEventListener('click', () => {
+      if (this.onReviveCallback) {
+        this.onReviveCallback();
+      }
+    });
+
+    this.elements.declineReviveButton.addEventListener('click', () => {
+      if (this.onDeclineReviveCallback) {
+        this.onDeclineReviveCallback();
+      }
+    });
+
+    this.elements.settingsButton.addEventListener('click', () => {
+      this.elements.settingsPanel.classList.toggle('hidden');
+    });
+
+    // The character screen is part of the menu, so it opens and closes here
+    this.elements.charactersButton.addEventListener('click', () => {
+      this.showScreen('characters');
+    });
+    this.elements.charactersBackButton.addEventListener('click', () => {
+      this.showScreen('start');
+    });
+
+    // Each card has one button: select an owned character, or unlock one
+    this.elements.characterList.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-character]');
+      if (!button) return;
+      if (this.onButtonClickCallback) {
+        this.onButtonClickCallback();
+      }
+      const callback =
+        button.dataset.action === 'unlock'
+          ? this.onUnlockCharacterCallback
+          : this.onSelectCharacterCallback;
+      if (callback) {
+        callback(button.dataset.character);
+      }
+    });
+
+    for (const input of [
+      this.elements.soundVolumeInput,
+      this.elements.musicVolumeInput,
+      this.elements.mutedInput,
+    ]) {
+      input.addEventListener('input', () => {
+        if (this.onSettingsChangeCallback) {
+          this.onSettingsChangeCallback({
+            soundVolume: Number(this.elements.soundVolumeInput.value),
+            musicVolume: Number(this.elements.musicVolumeInput.value),
+            muted: this.elements.mutedInput.checked,
+          });
+        }
+      });
+    }
+
+    this.elements.saveReplayButton.addEventListener('click', () => {
+      if (this.onSaveReplayCallback) {
+        this.onSaveReplayCallback();
+      }
+    });
+
+    this.elements.exportProfileButton.addEventListener('click', () => {
+      if (this.onExportProfileCallback) {
+        this.onExportProfileCallback();
+      }
+    });
+
+    this.elements.importProfileButton.addEventListener('click', () => {
+      if (this.onImportProfileCallback) {
+        this.onImportProfileCallback();
       }
     });
   }
 
+  /**
+   * Show one screen and hide the others
+   * @param {string} screen - 'start', 'characters', 'game' (the HUD), 'pause' or 'revive'
+   *   (both over the HUD) or 'gameOver'
+   */
+  showScreen(screen) {
+    const overHUD = screen === 'pause' || screen === 'revive';
+    this.elements.startScreen.classList.toggle('hidden', screen !== 'start');
+    this.elements.characterScreen.classList.toggle('hidden', screen !== 'characters');
+    this.elements.gameUI.classList.toggle('hidden', screen !== 'game' && !overHUD);
+    this.elements.pauseScreen.classList.toggle('hidden', screen !== 'pause');
+    this.elements.reviveScreen.classList.toggle('hidden', screen !== 'revive');
+    if (screen !== 'pause') this.elements.settingsPanel.classList.add('hidden');
+    if (screen === 'gameOver') {
+      this.showGameOverScreen();
+    } else {
+      this.hideGameOverScreen();
+    }
+  }
+
+  /**
+   * Show the countdown over the HUD
+   * @param {number} value - Number to show
+   */
+  showCountdown(value) {
+    const display = this.elements.countdownDisplay;
+    if (!display) return;
+    display.classList.remove('hidden');
+    if (display.textContent !== String(value)) {
+      display.textContent = value;
+      // Restart the pop animation for each new number
+      display.classList.remove('tick');
+      void display.offsetWidth;
+      display.classList.add('tick');
+    }
+  }
+
+  /**
+   * Hide the countdown
+   */
+  hideCountdown() {
+    if (!this.elements.countdownDisplay) return;
+    this.elements.countdownDisplay.classList.add('hidden');
+    this.elements.countdownDisplay.textContent = '';
+  }
+
+  /**
+   * Offer a revive
+   * @param {number} cost - Coins the revive costs
+   * @param {number} balance - Coins the player has
+   */
+  showReviveOffer(cost, balance) {
+    this.elements.reviveCost.textContent = cost;
+    this.elements.reviveBalance.textContent = balance;
+    this.updateReviveTimer(1);
+    this.showScreen('revive');
+  }
+
+  /**
+   * Shrink the revive offer's timer bar
+   * @param {number} fraction - Share of the offer time left, 0 to 1
+   */
+  updateReviveTimer(fraction) {
+    if (!this.elements.reviveTimerBar) return;
+    this.elements.reviveTimerBar.style.width = `${Math.max(0, fraction) * 100}%`;
+  }
+
   /**
    * Show start screen
    */
@@ -186,6 +528,172 @@ export class UIManager {
     document.getElementById('final-coins').textContent = this.coins;
     document.getElementById('final-distance').textContent = `${Math.floor(this.distance)}m`;
     document.getElementById('final-high-score').textContent = this.highScore;
+    document.getElementById('final-seed').textContent = this.seed ?? '-';
+    this.renderScoreBreakdown();
+    this.renderCollectibles();
+    this.renderRunAchievements();
+    this.renderMissions();
+  }
+
+  /**
+   * Fill the game over breakdown of the score: distance, coins and combo bonus, with the
+   * near misses and coin streaks behind the combo
+   */
+  renderScoreBreakdown() {
+    const container = document.getElementById('final-score-breakdown');
+    if (!container) return;
+
+    container.innerHTML = '';
+    const breakdown = this.scoreBreakdown;
+    if (!breakdown) return;
+
+    const { pass, jump, slide } = breakdown.nearMisses;
+    const rows = [
+      ['Distance', breakdown.distance],
+      ['Coins', breakdown.coins],
+      ['Combo bonus', breakdown.bonus],
+      ['Best combo', `x${breakdown.bestMultiplier.toFixed(2)}`],
+      ['Near misses', `${pass} close, ${jump} jumps, ${slide} slides`],
+      ['Coin streaks', breakdown.coinStreaks],
+    ];
+    for (const [label, value] of rows) {
+      const item = document.createElement('div');
+      item.className = 'score-breakdown-item';
+      item.innerHTML = `<span>${label}</span><span>${value}</span>`;
+      container.appendChild(item);
+    }
+  }
+
+  /**
+   * Fill the game over breakdown of coins by tier and gems
+   */
+  renderCollectibles() {
+    const container = document.getElementById('final-collectibles');
+    if (!container) return;
+
+    container.innerHTML = '';
+    for (const { type, label, count, color } of this.collectibles) {
+      const item = document.createElement('span');
+      item.className = `collectible-count collectible-${type}`;
+      const [r, g, b] = color.map((c) => Math.round(c * 255));
+      item.innerHTML = `
+        <span class="collectible-swatch" style="background: rgb(${r}, ${g}, ${b})"></span>
+        ${label} × ${count}
+      `;
+      container.appendChild(item);
+    }
+  }
+
+  /**
+   * List the achievements and missions completed this run on the game over screen
+   */
+  renderRunAchievements() {
+    const container = document.getElementById('final-achievements');
+    if (!container) return;
+
+    container.innerHTML = '';
+    for (const { kind, title, description, reward } of this.runCompleted) {
+      const item = document.createElement('div');
+      item.className = `run-achievement run-achievement-${kind}`;
+      item.innerHTML = `
+        <span class="run-achievement-title">${title}</span>
+        <span class="run-achievement-description">${description}</span>
+        <span class="run-achievement-reward">+${reward}</span>
+      `;
+      container.appendChild(item);
+    }
+  }
+
+  /**
+   * Fill the mission lists on the start and game over screens
+   */
+  renderMissions() {
+    for (const id of ['menu-missions', 'final-missions']) {
+      const container = document.getElementById(id);
+      if (!container) continue;
+
+      container.innerHTML = '';
+      for (const { description, progress, goal, reward, completed } of this.missions) {
+        const item = document.createElement('div');
+        item.className = completed ? 'mission completed' : 'mission';
+        item.innerHTML = `
+          <span class="mission-description">${description}</span>
+          <span class="mission-progress">${progress}/${goal}</span>
+          <span class="mission-reward">+${reward}</span>
+        `;
+        container.appendChild(item);
+      }
+    }
+  }
+
+  /**
+   * Fill the character select screen and the start screen's current character
+   */
+  renderCharacters() {
+    const container = this.elements.characterList;
+    if (!container) return;
+
+    document.getElementById('character-coins').textContent = this.lifetimeCoins;
+    const selected = this.characters.find((c) => c.selected);
+    this.elements.characterName.textContent = selected ? selected.name : '-';
+
+    container.innerHTML = '';
+    for (const { id, name, description, stats, cost, owned, selected } of this.characters) {
+      const item = document.createElement('div');
+      item.className = `character-card${selected ? ' selected' : ''}${owned ? '' : ' locked'}`;
+
+      let button;
+      if (selected) {
+        button = '<button class="ui-button secondary" disabled>Selected</button>';
+      } else if (owned) {
+        button = `<button class="ui-button" data-character="${id}">Select</button>`;
+      } else {
+        const affordable = this.lifetimeCoins >= cost ? '' : ' disabled';
+        button = `
+          <button class="ui-button" data-character="${id}" data-action="unlock"${affordable}>
+            Unlock for ${cost} coins
+          </button>
+        `;
+      }
+
+      const statRows = [
+        ['Speed', stats.forwardSpeed],
+        ['Jump', stats.jumpHeight],
+        ['Agility', stats.laneChangeSpeed],
+      ]
+        .map(([label, value]) => `<span class="character-stat">${label} ${value}x</span>`)
+        .join('');
+      item.innerHTML = `
+        <span class="character-name">${name}</span>
+        <span class="character-description">${description}</span>
+        <div class="character-stats">${statRows}</div>
+        ${button}
+      `;
+      container.appendChild(item);
+    }
+  }
+
+  /**
+   * Pop up a completed achievement or mission
+   * @param {Object} entry - { kind, title, description, reward } from AchievementManager
+   */
+  showToast({ kind, title, description, reward }) {
+    const container = this.elements.toastContainer;
+    if (!container) return;
+
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${kind}`;
+    toast.style.animationDuration = `${this.toastDuration}s`;
+    toast.innerHTML = `
+      <span class="toast-title">${title}</span>
+      <span class="toast-description">${description}</span>
+      <span class="toast-reward">+${reward} coins</span>
+    `;
+    container.appendChild(toast);
+    while (container.children.length > this.maxToasts) {
+      container.firstElementChild.remove();
+    }
+    setTimeout(() => toast.remove(), this.toastDuration * 1000);
   }
 
   /**
@@ -203,10 +711,9 @@ export class UIManager {
     this.score = score;
     this.elements.scoreDisplay.textContent = score;
     
-    // Update high score if necessary
+    // Show a new high score as it happens; the profile saves it when the run ends
     if (score > this.highScore) {
       this.highScore = score;
-      this.saveHighScore(score);
     }
   }
 
@@ -228,6 +735,106 @@ export class UIManager {
     this.elements.distanceDisplay.textContent = `${Math.floor(distance)}m`;
   }
 
+  /**
+   * Show the combo multiplier, hidden at 1x, with a bar for how long it holds
+   * @param {{multiplier: number, chain: number, hold: number}} combo - From ComboManager
+   */
+  updateCombo({ multiplier, chain, hold }) {
+    const display = this.elements.comboDisplay;
+    if (!display) return;
+
+    display.classList.toggle('hidden', multiplier <= 1);
+    if (multiplier <= 1) return;
+    display.querySelector('.combo-multiplier').textContent = `x${multiplier.toFixed(1)}`;
+    display.querySelector('.combo-chain').textContent = chain > 0 ? `${chain} near misses` : '';
+    display.querySelector('.combo-fill').style.width = `${hold * 100}%`;
+  }
+
+  /**
+   * Show a countdown for each active power-up
+   * @param {Array<{type: string, label: string, remaining: number, duration: number}>} effects
+   */
+  updatePowerUps(effects) {
+    const container = this.elements.powerUpDisplay;
+    if (!container) return;
+
+    const shown = new Set();
+    for (const effect of effects) {
+      shown.add(effect.type);
+      let item = container.querySelector(`[data-type="${effect.type}"]`);
+      if (!item) {
+        item = document.createElement('div');
+        item.className = `powerup-timer powerup-${effect.type}`;
+        item.dataset.type = effect.type;
+        item.innerHTML = `
+          <span class="powerup-label">${effect.label}</span>
+          <div class="powerup-bar"><div class="powerup-fill"></div></div>
+        `;
+        container.appendChild(item);
+      }
+      const fraction = Math.max(0, Math.min(1, effect.remaining / effect.duration));
+      item.querySelector('.powerup-fill').style.width = `${fraction * 100}%`;
+    }
+
+    // Drop timers for effects that ended
+    for (const item of Array.from(container.children)) {
+      if (!shown.has(item.dataset.type)) item.remove();
+    }
+  }
+
+  /**
+   * Set the seed of the current run (shown on the game over screen for sharing)
+   * @param {number} seed - Run seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+  }
+
+  /**
+   * Set the character roster shown on the select screen
+   * @param {Array<{id: string, name: string, description: string, stats: Object,
+   *   cost: number, owned: boolean, selected: boolean}>} characters
+   */
+  setCharacters(characters) {
+    this.characters = characters;
+    this.renderCharacters();
+  }
+
+  /**
+   * Set where the score came from, shown on the game over screen
+   * @param {Object} breakdown - { distance, coins } points plus ComboManager.getSummary()
+   */
+  setScoreBreakdown(breakdown) {
+    this.scoreBreakdown = breakdown;
+  }
+
+  /**
+   * Set the coin and gem breakdown shown on the game over screen
+   * @param {Array<{type: string, label: string, count: number, color: number[]}>} summary
+   */
+  setCollectibles(summary) {
+    this.collectibles = summary;
+  }
+
+  /**
+   * Set the current missions shown on the start and game over screens
+   * @param {Object[]} missions - From AchievementManager.getMissions()
+   */
+  setMissions(missions) {
+    this.missions = missions;
+    this.renderMissions();
+  }
+
+  /**
+   * Set what the run completed and the missions now on offer, for the game over screen
+   * @param {{completed: Object[], missions: Object[]}} summary - From getRunSummary()
+   */
+  setRunSummary({ completed, missions }) {
+    this.runCompleted = completed;
+    this.renderRunAchievements();
+    this.setMissions(missions);
+  }
+
   /**
    * Reset UI values
    */
@@ -235,17 +842,29 @@ export class UIManager {
     this.score = 0;
     this.coins = 0;
     this.distance = 0;
+    this.collectibles = [];
+    this.scoreBreakdown = null;
+    this.runCompleted = [];
     this.updateScore(0);
+    this.updateCombo({ multiplier: 1, chain: 0, hold: 0 });
     this.updateCoins(0);
     this.updateDistance(0);
+    this.updatePowerUps([]);
   }
 
   /**
    * Handle game over
    */
   gameOver() {
-    this.hideGameUI();
-    this.showGameOverScreen();
+    this.showScreen('gameOver');
+  }
+
+  /**
+   * Show toasts for gameplay events
+   * @param {GameEvents} events - Game event bus
+   */
+  bindEvents(events) {
+    events.on('achievementCompleted', (entry) => this.showToast(entry));
   }
 
   /**
@@ -265,19 +884,115 @@ export class UIManager {
   }
 
   /**
-   * Load high score from local storage
-   * @returns {number} Saved high score or 0
+   * Set save replay button callback
+   * @param {Function} callback - Function to call when save replay is clicked
+   */
+  setOnSaveReplayCallback(callback) {
+    this.onSaveReplayCallback = callback;
+  }
+
+  /**
+   * Set callback for any menu button click
+   * @param {Function} callback - Function to call when a button is clicked
+   */
+  setOnButtonClick(callback) {
+    this.onButtonClickCallback = callback;
+  }
+
+  /**
+   * Set export save button callback
+   * @param {Function} callback - Function to call when export is clicked
+   */
+  setOnExportProfileCallback(callback) {
+    this.onExportProfileCallback = callback;
+  }
+
+  /**
+   * Set import save button callback
+   * @param {Function} callback - Function to call when import is clicked
+   */
+  setOnImportProfileCallback(callback) {
+    this.onImportProfileCallback = callback;
+  }
+
+  /**
+   * Set pause menu resume button callback
+   * @param {Function} callback - Function to call when resume is clicked
+   */
+  setOnResumeCallback(callback) {
+    this.onResumeCallback = callback;
+  }
+
+  /**
+   * Set pause menu quit button callback
+   * @param {Function} callback - Function to call when quit is clicked
+   */
+  setOnQuitCallback(callback) {
+    this.onQuitCallback = callback;
+  }
+
+  /**
+   * Set revive offer accept button callback
+   * @param {Function} callback - Function to call when revive is clicked
+   */
+  setOnReviveCallback(callback) {
+    this.onReviveCallback = callback;
+  }
+
+  /**
+   * Set revive offer decline button callback
+   * @param {Function} callback - Function to call when the offer is declined
+   */
+  setOnDeclineReviveCallback(callback) {
+    this.onDeclineReviveCallback = callback;
+  }
+
+  /**
+   * Set callback for changes in the settings panel
+   * @param {Function} callback - Called with { soundVolume, musicVolume, muted }
+   */
+  setOnSettingsChangeCallback(callback) {
+    this.onSettingsChangeCallback = callback;
+  }
+
+  /**
+   * Show the current sound settings in the settings panel
+   * @param {Object} settings - { soundVolume, musicVolume, muted } (see ProfileStore)
+   */
+  setSettings(settings) {
+    if (!this.elements.soundVolumeInput) return;
+    this.elements.soundVolumeInput.value = settings.soundVolume;
+    this.elements.musicVolumeInput.value = settings.musicVolume;
+    this.elements.mutedInput.checked = settings.muted;
+  }
+
+  /**
+   * Show the saved profile's best score and lifetime coins
+   * @param {Object} profile - Player profile (see ProfileStore)
+   */
+  setProfile(profile) {
+    this.highScore = profile.best.score;
+    this.lifetimeCoins = profile.lifetime.coins;
+    if (this.elements.highScoreDisplay) {
+      this.elements.highScoreDisplay.textContent = this.highScore;
+      this.elements.lifetimeCoinsDisplay.textContent = this.lifetimeCoins;
+      this.renderCharacters();
+    }
+  }
+
+  /**
+   * Set select character callback
+   * @param {Function} callback - Called with the id of an owned character
    */
-  loadHighScore() {
-    const saved = localStorage.getItem('templeRunHighScore');
-    return saved ? parseInt(saved, 10) : 0;
+  setOnSelectCharacterCallback(callback) {
+    this.onSelectCharacterCallback = callback;
   }
 
   /**
-   * Save high score to local storage
-   * @param {number} score - Score to save
+   * Set unlock character callback
+   * @param {Function} callback - Called with the id of a locked character
    */
-  saveHighScore(score) {
-    localStorage.setItem('templeRunHighScore', score.toString());
+  setOnUnlockCharacterCallback(callback) {
+    this.onUnlockCharacterCallback = callback;
   }
 }
@@ -3,16 +3,30 @@
  * Handles procedural tile spawning, recycling, and world generation
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
 import { AssetManager } from './assetManager.js';
 import { PathGenerator } from './pathGenerator.js';
+import { RandomService } from '../utils/random.js';
+import { TrackPath } from './trackPath.js';
+import { GameEvents } from '../utils/gameEvents.js';
 
 export class WorldManager {
-  constructor(scene, obstacleManager, coinManager, assetManager) {
+  constructor(
+    scene,
+    obstacleManager,
+    coinManager,
+    assetManager,
+    random = new RandomService(),
+    track = new TrackPath()
+  ) {
     this.scene = scene;
     this.obstacleManager = obstacleManager;
     this.coinManager = coinManager;
     this.assetManager = assetManager;
+    this.track = track; // Tiles are laid along the track's legs and corners
+
+    // Seeded stream for every spawn decision so a run can be replayed from its seed
+    this.rng = random.stream('world');
 
     // Initialize the new path generator
     this.pathGenerator = new PathGenerator(scene, assetManager);
@@ -24,7 +38,32 @@ export class WorldManager {
     this.tileWidth = 6; // Width to cover all 3 lanes
     this.tilesAhead = 5; // Number of tiles to keep ahead of player
     this.tilesBehind = 2; // Number of tiles to keep behind player
-    this.lastTileZ = 0;
+    this.lastTileDistance = 0; // Track distance of the furthest tile's centre
+
+    // Corners: a 90° turn every few tiles once the opening stretch is over
+    this.cornerPool = [];
+    this.firstTurnDistance = 120;
+    this.minTilesBetweenTurns = 4;
+    this.maxTilesBetweenTurns = 9;
+    this.turnChance = 0.3;
+    this._tilesSinceTurn = 0;
+    this._lastTurn = null;
+    this._turnStreak = 0;
+
+    // Elevation: slopes and stairs that lift or drop the path by a tile's length, and ledges
+    // that raise one outer lane for the length of a tile
+    this.rampPool = [];
+    this.firstRampDistance = 100;
+    this.rampChance = 0.15;
+    this.maxElevation = 7; // Keep the path within reach of the camera and above the water
+    this.rampSpecs = {
+      incline: { rise: 3.5, steps: 0 }, // ~10°, matching the pathway incline asset
+      decline: { rise: -3.5, steps: 0 },
+      stairsUp: { rise: 2, steps: 8 },
+      stairsDown: { rise: -2, steps: 8 },
+      ledgeLeft: { rise: 1.2, steps: 0, lane: 0 },
+      ledgeRight: { rise: 1.2, steps: 0, lane: 2 },
+    };
 
     // Using new PathGenerator system for all tiles
 
@@ -33,6 +72,14 @@ export class WorldManager {
     this.obstacleSpawnChance = 0.3;
     this.coinSpawnChance = 0.5;
     this.maxObstaclesPerTile = 2;
+    this.powerUpChance = 0.08; // Per populated tile
+
+    // Optional power-up pickups, set with setPowerUpManager()
+    this.powerUpManager = null;
+
+    // Authored tile layouts, set with setChunkLibrary(); without one tiles are scattered
+    this.chunkLibrary = null;
+    this.chunkChance = 0.6; // Chance a tile gets a chunk at difficulty 1
 
     // Materials
     this.tileMaterials = [];
@@ -43,7 +90,12 @@ export class WorldManager {
     this.maxSwampStreak = 2; // limit consecutive swamp tiles
     this._swampStreak = 0;
     this._lastIsSwampUnderPlayer = null;
+    this._tileUnderPlayer = null; // Distance of the tile the player was last on
     this._envDefaults = null; // cached default env values
+
+    // Emits tileSpawned, tileEntered, biomeChanged and splash; replaced with the game's
+    // bus by setEvents()
+    this.events = new GameEvents();
   }
 
   /**
@@ -78,7 +130,7 @@ export class WorldManager {
   createFallbackMaterial(name, color) {
     const material = new BABYLON.StandardMaterial(`${name}Mat`, this.scene);
 
-    if (name === 'stone') {
+    if (name === 'stone' && !this.scene.headless) {
       // Enhanced ancient temple stone with procedural detail
       const stoneTexture = new BABYLON.DynamicTexture('ancientStoneTexture', 512, this.scene);
       const ctx = stoneTexture.getContext();
@@ -145,7 +197,7 @@ export class WorldManager {
 
     // Use the new PathGenerator to create a textured path segment
     const segmentTypes = ['straight', 'platform', 'bridge', 'stairs'];
-    const randomSegmentType = segmentTypes[Math.floor(Math.random() * segmentTypes.length)];
+    const randomSegmentType = this.rng.pick(segmentTypes);
 
     const pathSegment = this.pathGenerator.createPathSegment(
       `${name}_path`,
@@ -171,6 +223,73 @@ export class WorldManager {
     return tileContainer;
   }
 
+  /**
+   * Create a corner tile that turns the track toward `direction`
+   */
+  createCornerTile(name, direction) {
+    const tileContainer = new BABYLON.TransformNode(name, this.scene);
+
+    const pathSegment = this.pathGenerator.createCornerSegment(`${name}_path`, direction);
+    pathSegment.parent = tileContainer;
+
+    tileContainer.tileData = {
+      active: false,
+      obstacles: [],
+      coins: [],
+      decorations: [],
+      tileType: 'corner',
+      turn: direction,
+      isSwamp: false,
+      pathSegment: pathSegment,
+    };
+
+    return tileContainer;
+  }
+
+  /**
+   * Create a slope, stairs or ledge tile for one of the rampSpecs kinds
+   */
+  createRampTile(name, kind) {
+    const tileContainer = new BABYLON.TransformNode(name, this.scene);
+    const { rise, steps, lane } = this.rampSpecs[kind];
+
+    let pathSegment;
+    if (lane !== undefined) {
+      const lateral = this.coinManager.lanes[lane];
+      pathSegment = this.pathGenerator.createLedgeSegment(`${name}_path`, rise, lateral);
+    } else if (steps > 0) {
+      pathSegment = this.pathGenerator.createStairsSegment(`${name}_path`, rise, steps);
+    } else {
+      pathSegment = this.pathGenerator.createSlopeSegment(`${name}_path`, rise);
+    }
+    pathSegment.parent = tileContainer;
+
+    tileContainer.tileData = {
+      active: false,
+      obstacles: [],
+      coins: [],
+      decorations: [],
+      tileType: kind,
+      isSwamp: false,
+      pathSegment: pathSegment,
+    };
+
+    return tileContainer;
+  }
+
+  /**
+   * Place a tile centred on a track distance, facing along the track there
+   * @param {BABYLON.TransformNode} tile - Tile to place
+   * @param {number} distance - Track distance of the tile centre
+   * @param {number} height - Height of the tile's foot (ramps are built up from it)
+   */
+  placeTile(tile, distance, height = this.track.getBaseHeight(distance)) {
+    const leg = this.track.getLegAt(distance);
+    this.track.pointOnLeg(leg, distance, 0, height, tile.position);
+    tile.rotation.y = leg.yaw;
+    tile.tileData.distance = distance;
+  }
+
   /**
    * Add low guard rails/parapets along the path edges so the lane feels defined
    */
@@ -293,16 +412,27 @@ export class WorldManager {
   }
 
   /**
-   * Spawn a new tile at the given position
+   * Spawn a new tile centred on the given track distance
    */
-  spawnTile(zPosition) {
+  spawnTile(distance) {
+    if (this.shouldTurnAt(distance)) {
+      this.spawnCornerTile(distance);
+      return;
+    }
+
+    const ramp = this.pickRamp(distance);
+    if (ramp) {
+      this.spawnRampTile(distance, ramp);
+      return;
+    }
+
     const tile = this.getFromPool();
 
     if (tile) {
-      // Swamp selection with constraints
+      // Swamp selection with constraints (bridges only cross water at ground level)
       let isSwamp = false;
-      if (zPosition > 40) {
-        const candidate = Math.random() < this.swampChance;
+      if (distance > 40 && this.track.getBaseHeight(distance) <= 0) {
+        const candidate = this.rng.chance(this.swampChance);
         if (candidate) {
           if (this._swampStreak < this.maxSwampStreak) {
             isSwamp = true;
@@ -315,13 +445,13 @@ export class WorldManager {
         this._swampStreak = 0;
       }
 
-      tile.position.z = zPosition;
+      this.placeTile(tile, distance);
       tile.setEnabled(true);
       tile.tileData.active = true;
       tile.tileData.isSwamp = isSwamp;
 
       // Keep the first stretch visually clear: disable bulky side architecture
-      if (zPosition < 100) {
+      if (distance < 100) {
         try {
           const kids = tile.getChildren ? tile.getChildren() : [];
           for (const n of kids) {
@@ -346,14 +476,121 @@ export class WorldManager {
       }
 
       // Add obstacles and coins based on difficulty
-      if (zPosition > 40) {
+      if (distance > 40) {
         // Don't spawn obstacles in the first few tiles
-        this.populateTile(tile, zPosition);
+        this.populateTile(tile, distance);
       }
 
-      this.tiles.push(tile);
-      this.lastTileZ = zPosition;
+      this.addTile(tile);
+      this.lastTileDistance = distance;
+      this._tilesSinceTurn++;
+    }
+  }
+
+  /**
+   * Track a newly placed tile and announce it
+   * @param {BABYLON.TransformNode} tile - Tile placed along the track
+   */
+  addTile(tile) {
+    this.tiles.push(tile);
+    this.events.emit('tileSpawned', {
+      distance: tile.tileData.distance,
+      swamp: !!tile.tileData.isSwamp,
+    });
+  }
+
+  /**
+   * Use the game's event bus, and splash when the runner lands or slides on swamp
+   * @param {GameEvents} events - Shared event bus
+   */
+  setEvents(events) {
+    this.events = events;
+    const splash = ({ distance, position }) => {
+      if (this.isSwampAt(distance)) events.emit('splash', { position });
+    };
+    events.on('land', splash);
+    events.on('slide', splash);
+  }
+
+  /**
+   * Decide whether the tile at this distance should be a corner
+   */
+  shouldTurnAt(distance) {
+    if (distance < this.firstTurnDistance) return false;
+    if (this._tilesSinceTurn < this.minTilesBetweenTurns) return false;
+    return this._tilesSinceTurn >= this.maxTilesBetweenTurns || this.rng.chance(this.turnChance);
+  }
+
+  /**
+   * Decide whether the tile at this distance changes height, and how
+   * @returns {Object|null} { kind, rise, steps, lane } or null for a level tile
+   */
+  pickRamp(distance) {
+    if (distance < this.firstRampDistance || !this.rng.chance(this.rampChance)) return null;
+
+    const kind = this.rng.pick(Object.keys(this.rampSpecs));
+    const spec = this.rampSpecs[kind];
+    // A ledge comes back down within its tile, so only full-width ramps move the path
+    const rise = spec.lane === undefined ? spec.rise : 0;
+    const height = this.track.getBaseHeight(distance) + rise;
+    if (height < 0 || height > this.maxElevation) return null;
+
+    return { kind, ...spec };
+  }
+
+  /**
+   * Spawn a slope, stairs or ledge tile and raise (or lower) the track, or the ledge's
+   * lane, over its length
+   */
+  spawnRampTile(distance, ramp) {
+    const tile = this.getRampFromPool(ramp.kind);
+    const start = distance - this.tileLength / 2;
+    if (ramp.lane !== undefined) {
+      const lateral = this.coinManager.lanes[ramp.lane];
+      const width = this.tileWidth / this.coinManager.lanes.length;
+      this.track.addLedge(start, this.tileLength, ramp.rise, lateral, width);
+      this.placeTile(tile, distance);
+    } else {
+      const { from } = this.track.addRamp(start, this.tileLength, ramp.rise, ramp.steps);
+      this.placeTile(tile, distance, from);
+    }
+    tile.setEnabled(true);
+    tile.tileData.active = true;
+
+    this.addTile(tile);
+    this.lastTileDistance = distance;
+    this._tilesSinceTurn++;
+    this._swampStreak = 0;
+
+    // Obstacles and coins sample the new surface, so they sit on the slope
+    this.populateTile(tile, distance);
+  }
+
+  /**
+   * Spawn a corner tile and start the next leg of the track from it
+   */
+  spawnCornerTile(distance) {
+    let direction = this.rng.chance(0.5) ? 'left' : 'right';
+    // Two turns the same way already reverse the heading; a third would loop the track back
+    if (direction === this._lastTurn && this._turnStreak >= 2) {
+      direction = direction === 'left' ? 'right' : 'left';
     }
+    this._turnStreak = direction === this._lastTurn ? this._turnStreak + 1 : 1;
+    this._lastTurn = direction;
+
+    const tile = this.getCornerFromPool(direction);
+    this.placeTile(tile, distance);
+    tile.setEnabled(true);
+    tile.tileData.active = true;
+
+    this.addTile(tile);
+    this.lastTileDistance = distance;
+    this._tilesSinceTurn = 0;
+    this._swampStreak = 0;
+
+    // The corner square sits at the far end of the tile; the next leg starts at its centre,
+    // which keeps tile centres one tileLength apart in track distance
+    this.track.addTurn(distance + this.tileLength / 2 - this.track.halfWidth, direction);
   }
 
   /**
@@ -422,29 +659,129 @@ export class WorldManager {
   }
 
   /**
-   * Populate a tile with obstacles and coins
+   * Populate a tile with obstacles and coins, from the chunk library when there is one
+   */
+  populateTile(tile, distance) {
+    if (this.chunkLibrary && this.chunkLibrary.chunks.length > 0) {
+      this.populateFromChunk(distance);
+    } else {
+      this.scatterTile(distance);
+    }
+  }
+
+  /**
+   * Fill a tile with a chunk picked for the current difficulty
+   * @param {number} distance - Track distance of the tile centre
+   */
+  populateFromChunk(distance) {
+    // Leave some tiles empty as breathers; fewer as the run gets harder
+    const fillChance = Math.min(0.9, this.chunkChance + (this.difficulty - 1) * 0.15);
+    if (!this.rng.chance(fillChance)) return;
+
+    const chunk = this.chunkLibrary.pick(this.rng, this.getChunkWeights(distance), (c) =>
+      this.isChunkAvailable(c, distance)
+    );
+    const mirrored = this.rng.chance(0.5);
+    if (chunk) {
+      this.spawnChunk(chunk, distance - this.tileLength / 2, mirrored && chunk.mirror);
+    }
+  }
+
+  /**
+   * How likely each chunk difficulty is at a distance: easy chunks give way to medium ones
+   * over the first 500m, and hard ones mix in after that or as difficulty climbs
+   * @param {number} distance - Track distance
+   * @returns {{easy: number, medium: number, hard: number}}
+   */
+  getChunkWeights(distance) {
+    const level = Math.min(2, distance / 500 + (this.difficulty - 1) * 0.5);
+    return {
+      easy: Math.max(0.2, 1 - level * 0.5),
+      medium: Math.min(1, level),
+      hard: Math.max(0, level - 1),
+    };
+  }
+
+  /**
+   * Whether every obstacle in a chunk is registered and unlocked at a distance
+   * @param {Object} chunk - Chunk from the library
+   * @param {number} distance - Track distance
+   * @returns {boolean}
+   */
+  isChunkAvailable(chunk, distance) {
+    const registry = this.obstacleManager.registry;
+    return chunk.obstacles.every((o) => {
+      const type = registry.get(o.type);
+      return type && distance >= type.minDistance;
+    });
+  }
+
+  /**
+   * Spawn a chunk's obstacles, coins and power-ups
+   * @param {Object} chunk - Chunk from the library
+   * @param {number} start - Track distance the chunk's offsets are measured from
+   * @param {boolean} mirrored - Flip lanes left-to-right
+   */
+  spawnChunk(chunk, start, mirrored = false) {
+    const lane = (index) => (mirrored ? this.coinManager.lanes.length - 1 - index : index);
+
+    for (const obstacle of chunk.obstacles) {
+      const obstacleDistance = start + obstacle.offset;
+      this.obstacleManager.spawnObstacleAt(obstacleDistance, obstacle.type, lane(obstacle.lane));
+    }
+    for (const line of chunk.coins) {
+      const toLane = line.toLane === null ? null : lane(line.toLane);
+      this.coinManager.spawnFormation(
+        line.formation,
+        start + line.offset,
+        lane(line.lane),
+        { ...line, toLane },
+        this.rng
+      );
+    }
+    if (this.powerUpManager) {
+      for (const powerUp of chunk.powerUps) {
+        this.powerUpManager.spawnPowerUpAt(
+          start + powerUp.offset,
+          lane(powerUp.lane),
+          powerUp.type,
+          this.rng
+        );
+      }
+    }
+  }
+
+  /**
+   * Scatter random obstacles, a coin line and maybe a power-up over a tile
+   * @param {number} distance - Track distance of the tile centre
    */
-  populateTile(tile, zPosition) {
+  scatterTile(distance) {
     // Reduced obstacle density for smoother temple run experience
     // Start gentle and increase gradually with distance
-    const distanceMultiplier = Math.min(1.0, zPosition / 500); // Gradually increase to full difficulty at 500m
+    const distanceMultiplier = Math.min(1.0, distance / 500); // Gradually increase to full difficulty at 500m
     const adjustedObstacleChance = this.obstacleSpawnChance * 0.4 * distanceMultiplier; // Reduced by 60%
 
     // Spawn fewer obstacles, with spacing
-    if (Math.random() < adjustedObstacleChance * this.difficulty) {
+    if (this.rng.chance(adjustedObstacleChance * this.difficulty)) {
       // Reduced max obstacles per tile from potentially 3+ to max 1-2
-      const numObstacles = Math.random() < 0.7 ? 1 : 2;
+      const numObstacles = this.rng.chance(0.7) ? 1 : 2;
 
       for (let i = 0; i < numObstacles; i++) {
-        const obstacleZ = zPosition + Math.random() * (this.tileLength - 8) + 4; // More spacing
-        this.obstacleManager.spawnObstacle(obstacleZ);
+        const obstacleDistance = distance + this.rng.range(4, this.tileLength - 4); // More spacing
+        this.obstacleManager.spawnObstacle(obstacleDistance, this.rng);
       }
     }
 
     // Increased coin spawn chance for more rewarding gameplay
-    if (Math.random() < this.coinSpawnChance * 1.3) {
-      const coinZ = zPosition + Math.random() * (this.tileLength - 10) + 5;
-      this.coinManager.spawnCoinGroup(coinZ);
+    if (this.rng.chance(this.coinSpawnChance * 1.3)) {
+      const coinDistance = distance + this.rng.range(5, this.tileLength - 5);
+      this.coinManager.spawnCoinGroup(coinDistance, this.rng);
+    }
+
+    // Occasional power-up pickup
+    if (this.powerUpManager && this.rng.chance(this.powerUpChance)) {
+      const powerUpDistance = distance + this.rng.range(2, this.tileLength - 2);
+      this.powerUpManager.spawnPowerUp(powerUpDistance, this.rng);
     }
 
     // No decorations - keep paths clean with only obstacles and coins
@@ -460,71 +797,79 @@ export class WorldManager {
   // All decoration methods removed - paths are now clean with only obstacles and coins
 
   /**
-   * Update world based on player position
+   * Update world based on player progress
+   * @param {number} deltaTime - Time since last update
+   * @param {number} playerDistance - Player's distance along the track
+   * @param {BABYLON.Vector3} playerPosition - Player's world position (for LOD)
    */
-  update(deltaTime, playerPosition) {
-    if (!playerPosition) return;
-
-    const playerZ = playerPosition.z;
+  update(deltaTime, playerDistance, playerPosition = null) {
+    if (playerDistance === undefined) return;
 
     // Biome-aware environment tweaks (fog and lighting) based on current tile
-    const tile = this.getTileAtZ(playerZ);
+    const tile = this.getTileAt(playerDistance);
     const isSwampHere = !!tile?.tileData?.isSwamp;
     if (this._lastIsSwampUnderPlayer !== isSwampHere) {
       this._lastIsSwampUnderPlayer = isSwampHere;
       this.applyBiomeEnvironment(isSwampHere);
+      this.events.emit('biomeChanged', { biome: isSwampHere ? 'swamp' : 'temple' });
+    }
+    if (tile && tile.tileData.distance !== this._tileUnderPlayer) {
+      this._tileUnderPlayer = tile.tileData.distance;
+      this.events.emit('tileEntered', { distance: tile.tileData.distance, swamp: isSwampHere });
     }
 
     // Update LOD system based on player position
-    if (this.assetManager) {
+    if (this.assetManager && playerPosition) {
       this.assetManager.updateLOD(playerPosition);
     }
 
+    // Spawn new tiles ahead first, so corners exist before anything spawns near them
+    while (this.lastTileDistance < playerDistance + this.tilesAhead * this.tileLength) {
+      this.spawnTile(this.lastTileDistance + this.tileLength);
+    }
+
     // Update obstacle manager to spawn obstacles
     if (this.obstacleManager) {
-      this.obstacleManager.update(deltaTime, playerPosition);
+      this.obstacleManager.update(deltaTime, playerDistance);
     }
 
     // Update coin manager to spawn coins
     if (this.coinManager) {
-      this.coinManager.update(deltaTime, playerPosition);
-    }
-
-    // Spawn new tiles ahead
-    while (this.lastTileZ < playerZ + this.tilesAhead * this.tileLength) {
-      this.spawnTile(this.lastTileZ + this.tileLength);
+      this.coinManager.update(deltaTime, playerDistance);
     }
 
     // Remove tiles behind player
+    const behind = playerDistance - this.tilesBehind * this.tileLength;
     for (let i = this.tiles.length - 1; i >= 0; i--) {
       const tile = this.tiles[i];
-      if (tile.position.z < playerZ - this.tilesBehind * this.tileLength) {
+      if (tile.tileData.distance < behind) {
         this.returnToPool(tile);
         this.tiles.splice(i, 1);
       }
     }
+    this.track.prune(behind);
 
     // Update difficulty over time
     this.updateDifficulty(deltaTime);
   }
 
   /**
-   * Return the active tile at world-space Z
+   * Return the active tile at a track distance
    */
-  getTileAtZ(z) {
+  getTileAt(distance) {
     for (const t of this.tiles) {
-      const z0 = t.position.z - this.tileLength * 0.5;
-      const z1 = t.position.z + this.tileLength * 0.5;
-      if (z >= z0 && z < z1) return t;
+      const d0 = t.tileData.distance - this.tileLength * 0.5;
+      const d1 = t.tileData.distance + this.tileLength * 0.5;
+      if (distance >= d0 && distance < d1) return t;
     }
     return null;
   }
 
   /**
-   * Convenience: is there swamp under this world-space Z?
+   * Convenience: is there swamp under this track distance?
    */
-  isSwampAtZ(z) {
-    const t = this.getTileAtZ(z);
+  isSwampAt(distance) {
+    const t = this.getTileAt(distance);
     return !!t?.tileData?.isSwamp;
   }
 
@@ -592,6 +937,36 @@ export class WorldManager {
     return newTile;
   }
 
+  /**
+   * Get an inactive corner tile turning the given way, creating one if needed
+   */
+  getCornerFromPool(direction) {
+    for (const tile of this.cornerPool) {
+      if (!tile.tileData.active && tile.tileData.turn === direction) {
+        return tile;
+      }
+    }
+
+    const newTile = this.createCornerTile(`tile_corner_${this.cornerPool.length}`, direction);
+    this.cornerPool.push(newTile);
+    return newTile;
+  }
+
+  /**
+   * Get an inactive slope/stairs/ledge tile of the given kind, creating one if needed
+   */
+  getRampFromPool(kind) {
+    for (const tile of this.rampPool) {
+      if (!tile.tileData.active && tile.tileData.tileType === kind) {
+        return tile;
+      }
+    }
+
+    const newTile = this.createRampTile(`tile_${kind}_${this.rampPool.length}`, kind);
+    this.rampPool.push(newTile);
+    return newTile;
+  }
+
   /**
    * Return a tile to the pool
    */
@@ -632,7 +1007,12 @@ export class WorldManager {
     }
 
     this.tiles = [];
-    this.lastTileZ = 0;
+    this.lastTileDistance = 0;
+    this._tileUnderPlayer = null;
+    this._tilesSinceTurn = 0;
+    this._lastTurn = null;
+    this._turnStreak = 0;
+    this.track.reset();
     this.difficulty = 1.0;
     this.obstacleSpawnChance = 0.3;
     this.coinSpawnChance = 0.5;
@@ -642,6 +1022,22 @@ export class WorldManager {
     this.spawnInitialTiles();
   }
 
+  /**
+   * Fill tiles from authored chunks instead of scattering spawns
+   * @param {ChunkLibrary} chunkLibrary - Loaded chunk library
+   */
+  setChunkLibrary(chunkLibrary) {
+    this.chunkLibrary = chunkLibrary;
+  }
+
+  /**
+   * Let tiles spawn power-up pickups
+   * @param {PowerUpManager} powerUpManager - Manager that owns the pickups
+   */
+  setPowerUpManager(powerUpManager) {
+    this.powerUpManager = powerUpManager;
+  }
+
   /**
    * Set difficulty parameters
    */
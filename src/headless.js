@@ -0,0 +1,415 @@
+/**
+ * Headless Simulation
+ * Boots the gameplay systems on a Babylon NullEngine, without canvas, DOM UI, audio or
+ * touch input, so automated tests can step runs tick-by-tick in Node and assert on
+ * collisions, coins and distance
+ */
+
+import BABYLON from 'babylonjs';
+import { MainScene } from './scenes/mainScene.js';
+import { GameLoop } from './core/gameLoop.js';
+import { ReplayManager } from './core/replayManager.js';
+import { PlayerController } from './core/playerController.js';
+import { ObstacleManager } from './core/obstacleManager.js';
+import { CoinManager } from './core/coinManager.js';
+import { PowerUpManager } from './core/powerUpManager.js';
+import { WorldManager } from './core/worldManager.js';
+import { Pursuer } from './core/pursuer.js';
+import { ComboManager } from './core/comboManager.js';
+import { AssetManager } from './core/assetManager.js';
+import { RandomService } from './utils/random.js';
+import { TrackPath } from './core/trackPath.js';
+import { ChunkLibrary } from './core/chunkLibrary.js';
+import { LayoutValidator } from './core/layoutValidator.js';
+import { GameEvents } from './utils/gameEvents.js';
+import { CharacterRegistry, DEFAULT_CHARACTER } from './core/characterRegistry.js';
+import { registerRunSystems, updateRun } from './core/runRules.js';
+
+export class HeadlessGame {
+  /**
+   * @param {Object} options - { seed } used by start() when no seed or replay is given;
+   *   { chunks } parsed chunk library JSON (defaults to the game's library file)
+   */
+  constructor({ seed = 1, chunks = null } = {}) {
+    this.seed = seed;
+    this.chunks = chunks;
+    this.random = new RandomService(seed);
+    this.track = new TrackPath();
+    this.events = new GameEvents(); // Subscribe to watch a run (jump, coinCollected, hit, ...)
+    this.characters = new CharacterRegistry(); // Only stats matter here; there are no models
+    this.character = DEFAULT_CHARACTER;
+
+    this.mainScene = null;
+    this.scene = null;
+    this.assetManager = null;
+    this.gameLoop = null;
+    this.replayManager = null;
+    this.playerController = null;
+    this.obstacleManager = null;
+    this.layoutValidator = null;
+    this.coinManager = null;
+    this.powerUpManager = null;
+    this.worldManager = null;
+    this.pursuer = null;
+    this.comboManager = null;
+
+    // Run state (same rules as the browser game)
+    this.isPlaying = false;
+    this.score = 0;
+    this.coinScore = 0;
+    this.distanceTraveled = 0;
+    this.gameSpeed = 1.0;
+    this.speedIncreaseRate = 0.1;
+    this.maxSpeed = 2.5;
+    this.collided = false;
+    this.missedTurn = false;
+    this.deathCause = null; // Obstacle type (or 'missedTurn') that ended the run
+    this.replayMatched = null; // Outcome of the last replay playback, if any
+    this.revives = 0;
+    // Same safe window a revive clears as the browser game
+    this.reviveClearAhead = 40;
+    this.reviveClearBehind = 2;
+  }
+
+  /**
+   * Create the scene and gameplay systems
+   * @returns {Promise<HeadlessGame>}
+   */
+  async init() {
+    this.mainScene = new MainScene(null, { headless: true });
+    this.scene = await this.mainScene.init();
+
+    this.assetManager = new AssetManager(this.scene);
+    await this.assetManager.initHeadless();
+
+    this.gameLoop = new GameLoop(this.scene);
+
+    this.replayManager = new ReplayManager(this.gameLoop);
+    this.replayManager.onAction = (action) => this.performAction(action);
+    this.replayManager.onPlaybackEnd = (replay, matched) => this.onReplayFinished(matched);
+
+    // The visual model doesn't matter here; the collider is sized by PlayerController
+    this.playerController = new PlayerController(this.scene, this.track);
+    this.playerController.init(BABYLON.MeshBuilder.CreateBox('player', { size: 1 }, this.scene));
+
+    this.pursuer = new Pursuer(this.scene, this.playerController, this.track);
+    this.pursuer.init();
+    this.comboManager = new ComboManager();
+
+    this.obstacleManager = new ObstacleManager(
+      this.scene,
+      this.assetManager,
+      this.random,
+      this.track
+    );
+    this.obstacleManager.init();
+
+    // Veto obstacles that would leave no way through at the runner's speed
+    this.layoutValidator = new LayoutValidator(this.playerController);
+    this.obstacleManager.setValidator(this.layoutValidator);
+
+    this.coinManager = new CoinManager(this.scene, this.assetManager, this.random, this.track);
+    this.coinManager.init();
+    // Fit coin formations around obstacles and the runner's jump
+    this.coinManager.setPlayerController(this.playerController);
+    this.coinManager.setObstacleManager(this.obstacleManager);
+    this.obstacleManager.setOnObstacleSpawned((obstacle) =>
+      this.coinManager.removeCoinsInside(obstacle)
+    );
+
+    this.powerUpManager = new PowerUpManager(
+      this.scene,
+      this.playerController,
+      this.coinManager,
+      this.random,
+      this.track
+    );
+    this.powerUpManager.init();
+
+    this.worldManager = new WorldManager(
+      this.scene,
+      this.obstacleManager,
+      this.coinManager,
+      this.assetManager,
+      this.random,
+      this.track
+    );
+    this.worldManager.setPowerUpManager(this.powerUpManager);
+    this.worldManager.setChunkLibrary(ChunkLibrary.fromJSON(await this.loadChunks()));
+
+    for (const system of [
+      this.playerController,
+      this.pursuer,
+      this.obstacleManager,
+      this.coinManager,
+      this.powerUpManager,
+      this.worldManager,
+    ]) {
+      system.setEvents(this.events);
+    }
+    this.worldManager.init();
+
+    // Same systems and order as the browser game so replays line up step for step
+    registerRunSystems(this, { update: (deltaTime) => this.updateGame(deltaTime) });
+
+    return this;
+  }
+
+  /**
+   * Read the chunk library the browser game fetches, unless one was passed in
+   * @returns {Promise<Object>} Parsed chunk library JSON
+   */
+  async loadChunks() {
+    if (this.chunks) return this.chunks;
+
+    const { readFile } = await import('node:fs/promises');
+    const file = new URL('../public/assets/chunks/default.json', import.meta.url);
+    return JSON.parse(await readFile(file, 'utf8'));
+  }
+
+  /**
+   * Start a run. Nothing advances until step() is called.
+   * @param {Object} options - { seed } for a fresh run, or { replay } to play one back;
+   *   { character } id to run as (replays use the one they were recorded with)
+   */
+  start({ seed = this.seed, replay = null, character = DEFAULT_CHARACTER } = {}) {
+    const id = replay ? (replay.character ?? DEFAULT_CHARACTER) : character;
+    if (!this.characters.has(id)) {
+      throw new Error(`Unknown character "${id}"`);
+    }
+    this.character = id;
+    this.playerController.setStats(this.characters.get(id).stats);
+
+    this.isPlaying = true;
+    this.score = 0;
+    this.coinScore = 0;
+    this.distanceTraveled = 0;
+    this.gameSpeed = 1.0;
+    this.collided = false;
+    this.missedTurn = false;
+    this.deathCause = null;
+    this.replayMatched = null;
+    this.revives = 0;
+    this.comboManager.reset();
+
+    this.random.setSeed(replay ? replay.seed : seed);
+
+    this.playerController.reset();
+    this.pursuer.reset();
+    this.obstacleManager.reset();
+    this.coinManager.reset();
+    this.powerUpManager.reset();
+    this.worldManager.reset();
+
+    if (replay) {
+      this.replayManager.startPlayback(replay);
+    } else {
+      this.replayManager.startRecording(this.random.getSeed(), this.character);
+    }
+
+    this.gameLoop.start();
+    this.events.emit('runStarted', { seed: this.random.getSeed(), replay: !!replay });
+  }
+
+  /**
+   * Advance the simulation by whole fixed steps
+   * @param {number} ticks - Number of steps to simulate
+   * @returns {number} Steps actually simulated (fewer if the run ended)
+   */
+  step(ticks = 1) {
+    let stepped = 0;
+    while (stepped < ticks && this.isPlaying) {
+      this.gameLoop.step();
+      stepped++;
+    }
+    return stepped;
+  }
+
+  /**
+   * Step until the run ends or the tick budget runs out
+   * @param {number} maxTicks - Safety limit (defaults to ten simulated minutes)
+   * @returns {Object} Final state, see getState()
+   */
+  runUntilGameOver(maxTicks = 10 * 60 * 60) {
+    this.step(maxTicks);
+    return this.getState();
+  }
+
+  /**
+   * Feed a player action as live input (recorded into the run's replay)
+   * @param {string} action - left/right/jump/slide/turnLeft/turnRight
+   */
+  handleAction(action) {
+    if (!this.isPlaying || this.replayManager.isPlayingBack()) return;
+
+    this.replayManager.recordInput(action);
+    this.performAction(action);
+  }
+
+  /**
+   * Apply a player action (live input or replay)
+   * @param {string} action - left/right/jump/slide/turnLeft/turnRight (pause is ignored)
+   */
+  performAction(action) {
+    switch (action) {
+      case 'left':
+        if (!this.playerController.turn('left')) this.playerController.moveLeft();
+        break;
+      case 'right':
+        if (!this.playerController.turn('right')) this.playerController.moveRight();
+        break;
+      case 'turnLeft':
+        this.playerController.turn('left');
+        break;
+      case 'turnRight':
+        this.playerController.turn('right');
+        break;
+      case 'jump':
+        this.playerController.jump();
+        break;
+      case 'slide':
+        this.playerController.slide();
+        break;
+    }
+  }
+
+  /**
+   * One simulation step of the run rules (shared with TempleRunGame.updateGame)
+   * @param {number} deltaTime - Fixed step in seconds
+   */
+  updateGame(deltaTime) {
+    if (!this.isPlaying) return;
+
+    const cause = updateRun(this, deltaTime);
+    if (!cause) return;
+
+    this.deathCause = cause;
+    this.missedTurn = cause === 'missedTurn';
+    this.collided = !this.missedTurn;
+    this.gameOver();
+  }
+
+  /**
+   * End the run and close the replay
+   */
+  gameOver() {
+    // A replay that revived here carries on, as it did in the browser
+    if (this.replayManager.takeNextAction('revive')) {
+      this.applyRevive();
+      return;
+    }
+
+    this.isPlaying = false;
+
+    const result = {
+      distance: this.distanceTraveled,
+      score: this.score,
+      coins: this.coinManager.getCollectedCoins(),
+      collectibles: this.coinManager.getCollectedByType(),
+      cause: this.deathCause,
+    };
+    if (this.replayManager.isRecording()) {
+      this.replayManager.stopRecording(result);
+    } else {
+      this.replayManager.finishPlayback(result);
+    }
+
+    this.gameLoop.stop();
+    this.playerController.die();
+    this.events.emit('gameOver', result);
+  }
+
+  /**
+   * Revive after a game over and carry on, recording the revive into the replay.
+   * Revives are free here; the browser game charges coins.
+   * @returns {boolean} Whether the run was revived
+   */
+  revive() {
+    if (this.isPlaying || !this.replayManager.resumeRecording()) return false;
+    this.replayManager.recordInput('revive');
+    this.applyRevive();
+    this.isPlaying = true;
+    return true;
+  }
+
+  /**
+   * Stand the runner up where they died and clear the track just ahead
+   */
+  applyRevive() {
+    this.revives++;
+    this.collided = false;
+    this.missedTurn = false;
+    this.deathCause = null;
+
+    this.playerController.revive();
+    this.pursuer.reset();
+    this.comboManager.breakCombo();
+    const distance = this.playerController.distance;
+    this.obstacleManager.clearObstacles(
+      distance - this.reviveClearBehind,
+      distance + this.reviveClearAhead
+    );
+    this.events.emit('revived', { count: this.revives, cost: 0 });
+  }
+
+  /**
+   * Called when a replay finishes or outlasts the recorded run
+   */
+  onReplayFinished(matched) {
+    this.replayMatched = matched;
+    if (this.isPlaying) {
+      // Diverged: the recording ended but this run is still going
+      this.isPlaying = false;
+      this.gameLoop.stop();
+    }
+  }
+
+  /**
+   * Get the replay of the last finished recorded run
+   * @returns {Object|null}
+   */
+  getReplay() {
+    return this.replayManager.lastReplay;
+  }
+
+  /**
+   * Snapshot of the run for assertions
+   * @returns {Object}
+   */
+  getState() {
+    const player = this.playerController.player;
+    return {
+      tick: this.gameLoop.tick,
+      time: this.gameLoop.simulationTime,
+      seed: this.random.getSeed(),
+      character: this.character,
+      isPlaying: this.isPlaying,
+      collided: this.collided,
+      missedTurn: this.missedTurn,
+      cause: this.deathCause,
+      revives: this.revives,
+      distance: this.distanceTraveled,
+      score: this.score,
+      combo: this.comboManager.getState().multiplier,
+      comboBonus: this.comboManager.getBonus(),
+      coins: this.coinManager.getCollectedCoins(),
+      collectibles: this.coinManager.getCollectedByType(),
+      powerUps: this.powerUpManager.getActiveEffects().map((effect) => effect.type),
+      lane: this.playerController.currentLane,
+      trackDistance: this.playerController.distance,
+      heading: this.playerController.getHeading(),
+      position: { x: player.position.x, y: player.position.y, z: player.position.z },
+      isJumping: this.playerController.isJumping,
+      isSliding: this.playerController.isSliding,
+      rejectedLayouts: this.layoutValidator.rejectedCount,
+    };
+  }
+
+  /**
+   * Release the scene and engine
+   */
+  dispose() {
+    this.gameLoop.stop();
+    this.mainScene.dispose();
+  }
+}
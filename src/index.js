@@ -3,13 +3,17 @@
  * Main entry point
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
 import { MainScene } from './scenes/mainScene.js';
 import { GameLoop } from './core/gameLoop.js';
+import { ReplayManager } from './core/replayManager.js';
 import { PlayerController } from './core/playerController.js';
 import { ObstacleManager } from './core/obstacleManager.js';
 import { CoinManager } from './core/coinManager.js';
+import { PowerUpManager } from './core/powerUpManager.js';
 import { WorldManager } from './core/worldManager.js';
+import { Pursuer } from './core/pursuer.js';
+import { ComboManager } from './core/comboManager.js';
 import { AssetManager } from './core/assetManager.js';
 import { UIManager } from './core/uiManager.js';
 import { InputHandler } from './utils/inputHandler.js';
@@ -20,20 +24,52 @@ import { AssetValidator } from './utils/assetValidator.js';
 import { ParticleEffects } from './core/particleEffects.js';
 import { SceneDebugger } from './utils/sceneDebugger.js';
 import { RenderingDebugger } from './utils/renderingDebugger.js';
+import { RandomService } from './utils/random.js';
+import { TrackPath } from './core/trackPath.js';
+import { SoundManager } from './core/soundManager.js';
+import { ProfileStore } from './core/profileStore.js';
+import { AchievementManager } from './core/achievementManager.js';
+import { GameEvents } from './utils/gameEvents.js';
+import { GameStateMachine, GAME_STATES } from './core/gameStateMachine.js';
+import { ChunkLibrary } from './core/chunkLibrary.js';
+import { LayoutValidator } from './core/layoutValidator.js';
+import { CharacterRegistry, DEFAULT_CHARACTER } from './core/characterRegistry.js';
+import { registerRunSystems, updateRun } from './core/runRules.js';
 
 // Import styles
 import '../style.css';
 
+const { MENU, COUNTDOWN, PLAYING, PAUSED, DYING, REVIVE, GAME_OVER } = GAME_STATES;
+
+// Seconds counted down before a run starts or resumes
+const COUNTDOWN_SECONDS = 3;
+
+// Real seconds the death animation plays (in slow motion) before the game over screen
+const DYING_SECONDS = 1.2;
+const DYING_TIME_SCALE = 0.35;
+
+// A revive costs this many coins from the lifetime total, doubling with each revive in a run
+const REVIVE_BASE_COST = 100;
+const REVIVE_OFFER_SECONDS = 5;
+// Track cleared of obstacles ahead of (and just behind) a revived runner
+const REVIVE_CLEAR_AHEAD = 40;
+const REVIVE_CLEAR_BEHIND = 2;
+
 class TempleRunGame {
   constructor() {
     this.canvas = null;
     this.mainScene = null;
     this.scene = null;
     this.gameLoop = null;
+    this.replayManager = null;
     this.playerController = null;
     this.obstacleManager = null;
+    this.layoutValidator = null;
     this.coinManager = null;
+    this.powerUpManager = null;
     this.worldManager = null;
+    this.pursuer = null;
+    this.comboManager = null;
     this.assetManager = null;
     this.uiManager = null;
     this.inputHandler = null;
@@ -45,14 +81,35 @@ class TempleRunGame {
     this.particleEffects = null;
     this.sceneDebugger = null;
     this.renderingDebugger = null;
-    this._wasJumping = false;
-    this._wasSliding = false;
+    this.soundManager = null;
+    this.profileStore = null;
+    this.achievementManager = null;
+
+    // Playable characters; the runner's stats and model come from the one in use
+    this.characters = new CharacterRegistry();
+    this.character = null;
+
+    // Seeded RNG shared by all spawning systems; `?seed=` pins every run to one track
+    this.fixedSeed = RandomService.parseSeed(
+      new URLSearchParams(window.location.search).get('seed')
+    );
+    this.random = new RandomService(this.fixedSeed ?? undefined);
+
+    // Gameplay events; feedback systems (audio, ...) subscribe instead of being called
+    this.events = new GameEvents();
+
+    // Menu, countdown, playing, paused, dying, game over; see setupStates()
+    this.states = new GameStateMachine();
+    this.runResult = null; // Distance, score, coins and cause at the tick the run ended
+    this.revives = 0; // Revives bought this run
+    this.replayRun = false; // The run is a replay playing back
+    this.replayRevive = false; // The replay being played revived after this death
 
     // Game state
-    this.isPlaying = false;
-    this.isPaused = false;
     this.score = 0;
+    this.coinScore = 0; // Coin and gem points weighted by the multiplier active when collected
     this.distanceTraveled = 0;
+    this.deathCause = null; // Obstacle type (or 'missedTurn') that ended the run
     this.gameSpeed = 1.0;
     this.speedIncreaseRate = 0.1;
     this.maxSpeed = 2.5;
@@ -86,6 +143,11 @@ class TempleRunGame {
     // Initialize UI
     this.uiManager.init();
 
+    // Hand screens, input and the loop to the state machine, starting at the menu
+    this.setupStates();
+    this.states.start(MENU);
+    this.setupAutoPause();
+
     console.log('Game initialized successfully!');
 
     // Run performance tests in debug mode
@@ -146,41 +208,18 @@ class TempleRunGame {
     // Initialize game loop
     this.gameLoop = new GameLoop(this.scene);
 
-    // Initialize player controller with improved model
-    this.playerController = new PlayerController(this.scene);
-    let playerMesh = this.assetManager.getModel('player');
-    if (playerMesh) {
-      // Center and normalize player size (~1.6m height) then add shadows
-      if (this.assetManager.centerInstance) {
-        this.assetManager.centerInstance(playerMesh);
-      }
-      try {
-        // Compute approximate height from child meshes
-        const meshes = typeof playerMesh.getChildMeshes === 'function' ? playerMesh.getChildMeshes(false) : [];
-        let minY = Infinity, maxY = -Infinity;
-        for (const m of meshes) {
-          if (!m.getBoundingInfo) continue;
-          m.computeWorldMatrix(true);
-          const bb = m.getBoundingInfo().boundingBox;
-          minY = Math.min(minY, bb.minimumWorld.y);
-          maxY = Math.max(maxY, bb.maximumWorld.y);
-        }
-        const height = isFinite(minY) && isFinite(maxY) ? (maxY - minY) : 1.6;
-        const target = 1.6;
-        if (height > 0.001) {
-          const s = target / height;
-          playerMesh.scaling = new BABYLON.Vector3(s, s, s);
-        }
-      } catch (e) {
-        // best effort scaling; ignore errors
-      }
-      if (this.mainScene.shadowGenerator) {
-        const casterMeshes = typeof playerMesh.getChildMeshes === 'function' ? playerMesh.getChildMeshes(false) : [];
-        casterMeshes.forEach((m) => this.mainScene.shadowGenerator.addShadowCaster(m));
-      }
-    } else {
-      playerMesh = this.createPlayerPlaceholder();
-    }
+    // Replay recording/playback (drives the player from a file instead of the keyboard)
+    this.replayManager = new ReplayManager(this.gameLoop);
+    this.replayManager.onAction = (action) => this.performAction(action);
+    this.replayManager.onPlaybackEnd = (replay, matched) => this.onReplayFinished(replay, matched);
+
+    // Shared track layout: the world lays corners on it, everything else follows it
+    this.track = new TrackPath();
+
+    // Initialize player controller with the procedural runner; the chosen character's
+    // model takes its place once loaded (see useCharacter)
+    this.playerController = new PlayerController(this.scene, this.track);
+    const playerMesh = this.assetManager.getModel('player') || this.createPlayerPlaceholder();
     this.playerController.init(playerMesh);
 
     // Check for debug mode and initialize collider debug state
@@ -190,32 +229,105 @@ class TempleRunGame {
       this.playerController.setDebugCollider(true);
     }
 
+    // The creature that closes in after a stumble
+    this.pursuer = new Pursuer(this.scene, this.playerController, this.track);
+    this.pursuer.init();
+
+    // Score multiplier from near misses and coin streaks
+    this.comboManager = new ComboManager();
+
     // Initialize obstacle manager
-    this.obstacleManager = new ObstacleManager(this.scene, this.assetManager);
+    this.obstacleManager = new ObstacleManager(
+      this.scene,
+      this.assetManager,
+      this.random,
+      this.track
+    );
     this.obstacleManager.init();
+
+    // Veto obstacles that would leave no way through at the runner's speed
+    this.layoutValidator = new LayoutValidator(this.playerController);
+    this.obstacleManager.setValidator(this.layoutValidator);
+    this.layoutValidator.debug = this.debugMode;
     if (this._debugColliders) {
       this.obstacleManager.setDebugColliders(true);
     }
 
     // Initialize coin manager
-    this.coinManager = new CoinManager(this.scene, this.assetManager);
+    this.coinManager = new CoinManager(this.scene, this.assetManager, this.random, this.track);
     this.coinManager.init();
+    // Fit coin formations around obstacles and the runner's jump
+    this.coinManager.setPlayerController(this.playerController);
+    this.coinManager.setObstacleManager(this.obstacleManager);
+    this.obstacleManager.setOnObstacleSpawned((obstacle) =>
+      this.coinManager.removeCoinsInside(obstacle)
+    );
+
+    // Initialize power-ups (pickups are placed by the world manager)
+    this.powerUpManager = new PowerUpManager(
+      this.scene,
+      this.playerController,
+      this.coinManager,
+      this.random,
+      this.track
+    );
+    this.powerUpManager.init();
 
     // Initialize particle effects
     this.particleEffects = new ParticleEffects(this.scene);
     this.particleEffects.init();
+    this.particleEffects.bindEvents(this.events);
 
     // Initialize world manager with obstacle and coin managers
     this.worldManager = new WorldManager(
       this.scene,
       this.obstacleManager,
       this.coinManager,
-      this.assetManager
+      this.assetManager,
+      this.random,
+      this.track
     );
+    this.worldManager.setPowerUpManager(this.powerUpManager);
+    await this.loadChunkLibrary();
+
+    // Gameplay systems emit on the shared event bus; sound, particles, achievements and
+    // the UI subscribe to it
+    for (const system of [
+      this.playerController,
+      this.pursuer,
+      this.obstacleManager,
+      this.coinManager,
+      this.powerUpManager,
+      this.worldManager,
+    ]) {
+      system.setEvents(this.events);
+    }
     this.worldManager.init();
 
+    // Load the player profile (bests, lifetime totals, settings) before anything reads it
+    this.profileStore = new ProfileStore();
+    await this.profileStore.load();
+    this.profileStore.bindEvents(this.events);
+
+    // Achievements and missions count gameplay events into the profile
+    this.achievementManager = new AchievementManager(this.profileStore);
+    this.achievementManager.init();
+    this.achievementManager.bindEvents(this.events);
+
+    // Initialize sound (synthesized effects, music and ambience driven by game events)
+    this.soundManager = new SoundManager(this.profileStore);
+    this.soundManager.init();
+    this.soundManager.bindEvents(this.events);
+
     // Initialize UI manager
     this.uiManager = new UIManager();
+    this.uiManager.setProfile(this.profileStore.get());
+    this.uiManager.setMissions(this.achievementManager.getMissions());
+    this.uiManager.bindEvents(this.events);
+
+    // Run as the saved character
+    this.useCharacter(this.getSelectedCharacterId());
+    this.refreshCharacters();
 
     // Show asset health in debug mode
     if (this.debugMode && this.assetManager) {
@@ -262,11 +374,11 @@ class TempleRunGame {
       }, 3000);
     }
 
-    // Register systems with game loop
-    this.gameLoop.registerSystem(this.playerController);
-    this.gameLoop.registerSystem(this.worldManager);
-    this.gameLoop.registerSystem({
+    // Register systems with game loop, the same ones as the headless game
+    registerRunSystems(this, {
       update: (deltaTime) => this.updateGame(deltaTime),
+      // Camera follows the interpolated player once per rendered frame
+      interpolate: () => this.updateCamera(),
     });
   }
 
@@ -291,16 +403,30 @@ class TempleRunGame {
     return player;
   }
 
+  /**
+   * Load the authored tile layouts; without them the world falls back to random scattering
+   */
+  async loadChunkLibrary() {
+    try {
+      this.worldManager.setChunkLibrary(await ChunkLibrary.load());
+    } catch (error) {
+      console.warn('⚠️ Chunk library unavailable, scattering obstacles instead:', error.message);
+    }
+  }
+
   /**
    * Setup input controls
    */
   setupInput() {
-    // Connect input to player controller
-    this.inputHandler.setOnLeft(() => this.playerController.moveLeft());
-    this.inputHandler.setOnRight(() => this.playerController.moveRight());
-    this.inputHandler.setOnJump(() => this.playerController.jump());
-    this.inputHandler.setOnSlide(() => this.playerController.slide());
-    this.inputHandler.setOnPause(() => this.togglePause());
+    // Connect input to player controller (through the replay recorder)
+    this.inputHandler.setOnLeft(() => this.handleAction('left'));
+    this.inputHandler.setOnRight(() => this.handleAction('right'));
+    this.inputHandler.setOnJump(() => this.handleAction('jump'));
+    this.inputHandler.setOnSlide(() => this.handleAction('slide'));
+    this.inputHandler.setOnPause(() => this.handleAction('pause'));
+    this.inputHandler.setOnTurnLeft(() => this.handleAction('turnLeft'));
+    this.inputHandler.setOnTurnRight(() => this.handleAction('turnRight'));
+    this.inputHandler.setOnToggleMute(() => this.soundManager.toggleMute());
     this.inputHandler.setOnToggleColliders(() => this.toggleColliders());
     this.inputHandler.setOnToggleSceneDebug(() => this.toggleSceneDebugging());
     this.inputHandler.setOnForceVisibility(() => this.forceAllMeshesVisible());
@@ -313,44 +439,440 @@ class TempleRunGame {
         this.validateAssets();
       } else if (e.key === 'F6' && this.assetValidator) {
         this.assetValidator.exportValidationReport();
+      } else if (e.key === 'F9') {
+        e.preventDefault();
+        this.replayManager.download();
+      } else if (e.key === 'F10') {
+        e.preventDefault();
+        this.playReplayFromFile();
       }
     });
   }
 
+  /**
+   * Record a player action and apply it
+   * @param {string} action - left/right/jump/slide/pause/turnLeft/turnRight
+   */
+  handleAction(action) {
+    // During playback the replay is the only source of actions
+    if (this.replayManager.isPlayingBack()) return;
+    // Moves only count while running; pause also works in the countdown
+    if (action !== 'pause' && !this.states.is(PLAYING)) return;
+
+    // Only record once the loop runs: before that its clock still holds the last run's
+    // time, and a stale input would hold up every later one in playback
+    if (this.states.is(PLAYING)) this.replayManager.recordInput(action);
+    this.performAction(action);
+  }
+
+  /**
+   * Apply a player action (live input or replay)
+   * @param {string} action - left/right/jump/slide/pause/turnLeft/turnRight
+   */
+  performAction(action) {
+    switch (action) {
+      case 'left':
+        // At a corner, left/right (and swipes) take the turn instead of changing lane
+        if (!this.playerController.turn('left')) this.playerController.moveLeft();
+        break;
+      case 'right':
+        if (!this.playerController.turn('right')) this.playerController.moveRight();
+        break;
+      case 'turnLeft':
+        this.playerController.turn('left');
+        break;
+      case 'turnRight':
+        this.playerController.turn('right');
+        break;
+      case 'jump':
+        this.playerController.jump();
+        break;
+      case 'slide':
+        this.playerController.slide();
+        break;
+      case 'pause':
+        // Pausing does not affect the simulation, so replays skip it
+        if (!this.replayManager.isPlayingBack()) this.togglePause();
+        break;
+    }
+  }
+
   /**
    * Setup UI callbacks
    */
   setupUICallbacks() {
     this.uiManager.setOnPlayCallback(() => this.startGame());
     this.uiManager.setOnRestartCallback(() => this.restartGame());
+    this.uiManager.setOnSaveReplayCallback(() => this.replayManager.download());
+    this.uiManager.setOnButtonClick(() => this.events.emit('uiClick'));
+    this.uiManager.setOnExportProfileCallback(() => this.profileStore.download());
+    this.uiManager.setOnImportProfileCallback(() => this.importProfileFromFile());
+    this.uiManager.setOnResumeCallback(() => this.resume());
+    this.uiManager.setOnQuitCallback(() => this.quitToMenu());
+    this.uiManager.setOnSettingsChangeCallback((settings) => this.changeSettings(settings));
+    this.uiManager.setOnReviveCallback(() => this.revive());
+    this.uiManager.setOnDeclineReviveCallback(() => {
+      if (this.states.is(REVIVE)) this.states.transition(GAME_OVER);
+    });
+    this.uiManager.setOnSelectCharacterCallback((id) => this.selectCharacter(id));
+    this.uiManager.setOnUnlockCharacterCallback((id) => this.unlockCharacter(id));
+  }
+
+  /**
+   * Register what each game state turns on and off. Real-time states (countdown, dying)
+   * advance once per rendered frame, outside the fixed-step simulation.
+   */
+  setupStates() {
+    this.states
+      .addState(MENU, {
+        enter: () => {
+          this.inputHandler.disable();
+          this.setWorldPaused(false);
+          this.uiManager.showScreen('start');
+        },
+      })
+      .addState(COUNTDOWN, {
+        enter: () => {
+          this.uiManager.showScreen('game');
+          this.uiManager.showCountdown(COUNTDOWN_SECONDS);
+          this.inputHandler.enable();
+        },
+        update: (deltaTime, data) => {
+          const left = COUNTDOWN_SECONDS - this.states.timeInState;
+          if (left > 0) {
+            this.uiManager.showCountdown(Math.ceil(left));
+          } else {
+            this.states.transition(PLAYING, data);
+          }
+        },
+        exit: () => this.uiManager.hideCountdown(),
+      })
+      .addState(PLAYING, {
+        enter: ({ resume = false }) => {
+          this.uiManager.showScreen('game');
+          this.setWorldPaused(false);
+          if (resume) {
+            this.gameLoop.resume();
+          } else {
+            this.gameLoop.start();
+          }
+          // During playback the replay is the only source of actions
+          if (!this.replayManager.isPlayingBack()) this.inputHandler.enable();
+        },
+      })
+      .addState(PAUSED, {
+        enter: () => {
+          this.gameLoop.pause();
+          this.setWorldPaused(true);
+          this.uiManager.setSettings(this.profileStore.getSettings());
+          this.uiManager.showScreen('pause');
+          this.events.emit('paused');
+          console.log('Game paused');
+        },
+        exit: (to) => {
+          if (to === MENU) return;
+          this.events.emit('resumed');
+          console.log('Game resumed');
+        },
+      })
+      .addState(DYING, {
+        enter: () => {
+          // The simulation stops at the death tick; the death animation plays in slow motion
+          this.gameLoop.pause();
+          this.inputHandler.disable();
+          this.playerController.die();
+          this.scene.animationTimeScale = DYING_TIME_SCALE;
+        },
+        update: (deltaTime) => {
+          this.playerController.animate(deltaTime * DYING_TIME_SCALE);
+          if (this.states.timeInState < DYING_SECONDS) return;
+          this.states.transition(this.replayRevive || this.canOfferRevive() ? REVIVE : GAME_OVER);
+        },
+        exit: () => {
+          this.scene.animationTimeScale = 1;
+        },
+      })
+      .addState(REVIVE, {
+        enter: () => {
+          // Replays take the recorded revive without asking
+          if (this.replayRevive) return;
+          const balance = this.profileStore.get().lifetime.coins;
+          this.uiManager.showReviveOffer(this.getReviveCost(), balance);
+        },
+        update: () => {
+          if (this.replayRevive) {
+            this.revive();
+            return;
+          }
+          const left = REVIVE_OFFER_SECONDS - this.states.timeInState;
+          this.uiManager.updateReviveTimer(left / REVIVE_OFFER_SECONDS);
+          if (left <= 0) this.states.transition(GAME_OVER);
+        },
+      })
+      .addState(GAME_OVER, {
+        enter: () => this.showGameOver(),
+      });
+
+    this.scene.onBeforeRenderObservable.add(() => {
+      this.states.update(this.scene.getEngine().getDeltaTime() / 1000);
+    });
+  }
+
+  /**
+   * Freeze or unfreeze what animates outside the game loop: particles, water and
+   * mesh animations
+   * @param {boolean} paused - Whether the game is paused
+   */
+  setWorldPaused(paused) {
+    this.particleEffects.setPaused(paused);
+    this.mainScene.setPaused(paused);
+    this.scene.animationTimeScale = paused ? 0 : 1;
+  }
+
+  /**
+   * Pause when the player switches tab or window
+   */
+  setupAutoPause() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.pause();
+    });
+    window.addEventListener('blur', () => this.pause());
+  }
+
+  /**
+   * Apply sound settings from the pause menu and save them
+   * @param {Object} settings - { soundVolume, musicVolume, muted }
+   */
+  changeSettings({ soundVolume, musicVolume, muted }) {
+    this.soundManager.setSoundVolume(soundVolume, false);
+    this.soundManager.setMusicVolume(musicVolume, false);
+    if (muted !== this.soundManager.isMuted) {
+      this.soundManager.toggleMute(); // Saves
+    } else {
+      this.soundManager.saveSettings();
+    }
+  }
+
+  /**
+   * Let the player pick an exported save and make it the current profile
+   */
+  async importProfileFromFile() {
+    try {
+      const profile = await this.profileStore.openFile();
+      this.soundManager.loadSettings();
+      this.uiManager.setProfile(profile);
+      this.useCharacter(this.getSelectedCharacterId());
+      this.refreshCharacters();
+      console.log('💾 Imported player profile');
+    } catch (error) {
+      console.error('Could not import profile:', error.message);
+    }
+  }
+
+  /**
+   * Whether the player may run as a character: free ones always, others once unlocked
+   * @param {string} id - Character id
+   * @returns {boolean}
+   */
+  ownsCharacter(id) {
+    const character = this.characters.get(id);
+    if (!character) return false;
+    return character.cost === 0 || this.profileStore.isUnlocked(CharacterRegistry.unlockId(id));
+  }
+
+  /**
+   * The character saved in the profile, or the default one if it isn't owned (any more)
+   * @returns {string} Character id
+   */
+  getSelectedCharacterId() {
+    const id = this.profileStore.get().character;
+    return id && this.ownsCharacter(id) ? id : DEFAULT_CHARACTER;
+  }
+
+  /**
+   * Run as a character: its stats apply straight away, its model once it has loaded
+   * @param {string} id - Character id (unknown ids fall back to the default character)
+   */
+  useCharacter(id) {
+    const character = this.characters.get(id) || this.characters.get(DEFAULT_CHARACTER);
+    if (character === this.character) return;
+
+    this.character = character;
+    this.playerController.setStats(character.stats);
+    this.showCharacterModel(character);
+  }
+
+  /**
+   * Load a character's model and swap it in, unless another character was chosen meanwhile.
+   * Without a model the procedural runner stands in.
+   * @param {Object} character - Definition from CharacterRegistry
+   */
+  async showCharacterModel(character) {
+    let model = await this.assetManager.loadCharacterModel(character);
+    if (this.character !== character) return;
+
+    let scale = character.scale;
+    if (model) {
+      scale *= model.scaling.x; // Normalized to the character's height when loaded
+    } else {
+      model = this.assetManager.getModel('player') || this.playerController.player;
+    }
+    this.playerController.setModel(model, scale, character.animations);
+
+    if (this.mainScene.shadowGenerator && model.getChildMeshes) {
+      for (const mesh of model.getChildMeshes(false)) {
+        this.mainScene.shadowGenerator.addShadowCaster(mesh);
+      }
+    }
+    console.log(`🏃 Running as ${character.name}`);
+  }
+
+  /**
+   * Choose an owned character for the next runs (from the menu)
+   * @param {string} id - Character id
+   */
+  selectCharacter(id) {
+    if (!this.states.is(MENU) || !this.ownsCharacter(id)) return;
+
+    this.profileStore.selectCharacter(id);
+    this.useCharacter(id);
+    this.refreshCharacters();
+  }
+
+  /**
+   * Buy a locked character with lifetime coins and select it
+   * @param {string} id - Character id
+   */
+  unlockCharacter(id) {
+    const character = this.characters.get(id);
+    if (!character || !this.states.is(MENU) || this.ownsCharacter(id)) return;
+
+    if (!this.profileStore.spendCoins(character.cost)) {
+      console.warn(`⚠️ Not enough coins to unlock ${character.name}`);
+      return;
+    }
+    this.profileStore.unlock(CharacterRegistry.unlockId(id));
+    console.log(`🔓 Unlocked ${character.name} for ${character.cost} coins`);
+    this.uiManager.setProfile(this.profileStore.get());
+    this.selectCharacter(id);
+  }
+
+  /**
+   * Show the roster, with what is owned and selected, on the character screen
+   */
+  refreshCharacters() {
+    const selected = this.getSelectedCharacterId();
+    this.uiManager.setCharacters(
+      this.characters.getAll().map(({ id, name, description, stats, cost }) => ({
+        id,
+        name,
+        description,
+        stats,
+        cost,
+        owned: this.ownsCharacter(id),
+        selected: id === selected,
+      }))
+    );
   }
 
   /**
    * Start the game
+   * @param {Object} options - Optional { replay } to play back a recorded run
    */
-  startGame() {
-    console.log('Starting game...');
+  startGame({ replay = null } = {}) {
+    console.log(replay ? 'Starting replay...' : 'Starting game...');
 
     // Start performance monitoring
     this.performanceMonitor.start();
 
-    this.isPlaying = true;
-    this.isPaused = false;
     this.score = 0;
+    this.coinScore = 0;
     this.distanceTraveled = 0;
+    this.deathCause = null;
+    this.runResult = null;
+    this.revives = 0;
+    this.comboManager.reset();
+    this.replayRun = !!replay;
+    this.replayRevive = false;
     this.gameSpeed = 1.0;
 
+    // Reseed before the systems respawn so the whole track follows from the seed
+    const seed = replay ? replay.seed : (this.fixedSeed ?? RandomService.generateSeed());
+    this.random.setSeed(seed);
+    this.uiManager.setSeed(seed);
+    console.log(`Run seed: ${seed}`);
+
+    // Replays run as the character they were recorded with, since its stats shape the run
+    const characterId = replay
+      ? (replay.character ?? DEFAULT_CHARACTER)
+      : this.getSelectedCharacterId();
+    if (!this.characters.has(characterId)) {
+      console.warn(`⚠️ Unknown character "${characterId}"; the replay may not match`);
+    }
+    this.useCharacter(characterId);
+
     // Reset all systems
+    this.mainScene.resetCameraFollow();
     this.playerController.reset();
+    this.pursuer.reset();
     this.obstacleManager.reset();
     this.coinManager.reset();
+    this.powerUpManager.reset();
     this.worldManager.reset();
 
-    // Enable input
-    this.inputHandler.enable();
+    if (replay) {
+      // Playback drives the player; keyboard/touch stay off
+      this.replayManager.startPlayback(replay);
+      this.inputHandler.disable();
+    } else {
+      this.replayManager.startRecording(seed, this.character.id);
+    }
+
+    this.uiManager.resetUI();
+    this.events.emit('runStarted', { seed, replay: !!replay });
 
-    // Start game loop
-    this.gameLoop.start();
+    // Live runs count down first; replays start straight away
+    this.states.transition(replay ? PLAYING : COUNTDOWN);
+  }
+
+  /**
+   * Let the player pick a replay file and play it back
+   */
+  async playReplayFromFile() {
+    if (!this.states.is(MENU, PAUSED, GAME_OVER)) return;
+
+    try {
+      const replay = await this.replayManager.openFile();
+      this.playReplay(replay);
+    } catch (error) {
+      console.error('Could not load replay:', error.message);
+    }
+  }
+
+  /**
+   * Play back a parsed replay from the start
+   * @param {Object} replay - Replay produced by ReplayManager
+   */
+  playReplay(replay) {
+    // A paused run is abandoned for the replay
+    if (this.states.is(PAUSED)) this.abandonRun();
+    this.startGame({ replay });
+  }
+
+  /**
+   * Called when a replay finishes or outlasts the recorded run
+   */
+  onReplayFinished(replay, matched) {
+    if (matched) {
+      console.log('🎬 Replay reproduced the recorded run', replay.result);
+    } else {
+      console.warn('🎬 Replay diverged from the recorded run', replay.result);
+    }
+
+    // The recording ended but the reproduced run did not
+    if (this.states.is(PLAYING)) {
+      this.endRun();
+    }
   }
 
   /**
@@ -358,89 +880,80 @@ class TempleRunGame {
    */
   restartGame() {
     console.log('Restarting game...');
+    if (this.states.is(PAUSED)) this.abandonRun();
     this.startGame();
   }
 
   /**
-   * Toggle pause state
+   * Leave a paused run for the start screen
    */
-  togglePause() {
-    if (!this.isPlaying) return;
+  quitToMenu() {
+    if (!this.states.is(PAUSED)) return;
+    console.log('Quitting to menu...');
+    this.abandonRun();
+  }
 
-    this.isPaused = !this.isPaused;
+  /**
+   * Drop the paused run without recording it and go back to the menu
+   */
+  abandonRun() {
+    this.gameLoop.stop();
+    this.replayManager.stop();
+    this.performanceMonitor.stop();
+    this.states.transition(MENU);
+  }
 
-    if (this.isPaused) {
-      this.gameLoop.pause();
-      console.log('Game paused');
+  /**
+   * Toggle pause state
+   */
+  togglePause() {
+    if (this.states.is(PAUSED)) {
+      this.resume();
     } else {
-      this.gameLoop.resume();
-      console.log('Game resumed');
+      this.pause();
     }
   }
 
   /**
-   * Main game update logic
+   * Pause a run that is playing or counting down
    */
-  updateGame(deltaTime) {
-    if (!this.isPlaying || this.isPaused) return;
+  pause() {
+    if (!this.states.is(PLAYING, COUNTDOWN)) return;
 
-    // Update distance traveled
-    this.distanceTraveled += this.playerController.forwardSpeed * deltaTime;
+    // What the resume countdown hands over to: the running loop, or a run not yet started
+    const resumeWith = this.states.is(PLAYING) ? { resume: true } : this.states.data;
+    this.states.transition(PAUSED, { resumeWith });
+  }
 
-    // Update score based on distance and coins
-    this.score = Math.floor(this.distanceTraveled) + this.coinManager.getCollectedCoins() * 10;
+  /**
+   * Resume a paused run after a countdown, so play doesn't restart under the player
+   */
+  resume() {
+    if (!this.states.is(PAUSED)) return;
+    this.states.transition(COUNTDOWN, this.states.data.resumeWith);
+  }
+
+  /**
+   * Main game update logic: the run's rules (see runRules.js), then the HUD and debug views
+   */
+  updateGame(deltaTime) {
+    if (!this.states.is(PLAYING)) return;
+
+    const cause = updateRun(this, deltaTime);
 
     // Update UI
     this.uiManager.updateScore(this.score);
+    this.uiManager.updateCombo(this.comboManager.getState());
     this.uiManager.updateDistance(this.distanceTraveled);
     this.uiManager.updateCoins(this.coinManager.getCollectedCoins());
+    this.uiManager.updatePowerUps(this.powerUpManager.getActiveEffects());
+    this.achievementManager.setStat('distance', this.distanceTraveled);
 
-    // Check for coin collection (uses player position)
-    const coinsCollected = this.coinManager.checkCollection(this.playerController.player);
-    if (coinsCollected > 0) {
-      console.log(`Collected ${coinsCollected} coins!`);
-    }
-
-    // Check for collisions with obstacles using the collider mesh
-    // Add a small grace distance to avoid instant game over on spawn
-    if (
-      this.distanceTraveled > 5 &&
-      this.obstacleManager.checkCollision(this.playerController.collider)
-    ) {
-      this.debugMode ? this.gameOverEnhanced() : this.gameOver();
-    }
-
-    // Update camera to smart-follow the player mesh (keeps full body in frame)
-    if (this.playerController.player) {
-      if (this.mainScene.updateCameraFollowForMesh) {
-        this.mainScene.updateCameraFollowForMesh(this.playerController.player);
-      } else {
-        this.mainScene.updateCameraFollow(this.playerController.player.position);
-      }
-    }
-
-    // Gradually increase game speed
-    this.increaseGameSpeed(deltaTime);
-
-    // World manager handles obstacle and coin spawning now
-    const playerPos = this.playerController.player ? this.playerController.player.position : null;
-    this.worldManager.update(deltaTime, playerPos);
-
-    // Splash effects when interacting with swamp tiles
-    if (playerPos && this.particleEffects) {
-      const isSwamp = this.worldManager.isSwampAtZ(playerPos.z);
-      const nowJumping = this.playerController.isJumping;
-      const nowSliding = this.playerController.isSliding;
-      // On landing (jumping -> not jumping)
-      if (this._wasJumping && !nowJumping && isSwamp) {
-        this.particleEffects.playWaterSplash(playerPos);
-      }
-      // On slide start
-      if (!this._wasSliding && nowSliding && isSwamp) {
-        this.particleEffects.playWaterSplash(playerPos);
-      }
-      this._wasJumping = nowJumping;
-      this._wasSliding = nowSliding;
+    if (cause) {
+      if (cause === 'missedTurn') console.log('🧭 Missed the turn');
+      this.deathCause = cause;
+      this.debugMode ? this.gameOverEnhanced() : this.endRun();
+      return;
     }
 
     // Update debug visualization
@@ -471,50 +984,132 @@ class TempleRunGame {
 
     this.frameCount = this.frameCount || 0;
     this.frameCount++;
+  }
 
-    // Still need to update obstacle and coin animations/cleanup
-    this.obstacleManager.updateObstacles(playerPos);
-    this.coinManager.updateCoins(deltaTime, playerPos);
+  /**
+   * Update camera to smart-follow the player mesh (keeps full body in frame)
+   */
+  updateCamera() {
+    const player = this.playerController.player;
+    if (!player || !this.states.is(PLAYING)) return;
+
+    // Pull back to keep a close pursuer in shot
+    const heading = this.playerController.getHeading();
+    const pullBack = this.pursuer.getPresence();
+    if (this.mainScene.updateCameraFollowForMesh) {
+      this.mainScene.updateCameraFollowForMesh(player, heading, pullBack);
+    } else {
+      this.mainScene.updateCameraFollow(player.position, heading, pullBack);
+    }
+    this.mainScene.recenterWater(player.position);
   }
 
   /**
-   * Gradually increase game speed
+   * End the run at the current tick and start the death sequence
    */
-  increaseGameSpeed(deltaTime) {
-    if (this.gameSpeed < this.maxSpeed) {
-      this.gameSpeed += this.speedIncreaseRate * deltaTime;
-      this.gameLoop.setGameSpeed(this.gameSpeed);
+  endRun() {
+    // Close the replay: keep the recording, or check the playback against it. A revive
+    // reopens it; a replay that revived here carries on instead.
+    const result = {
+      distance: this.distanceTraveled,
+      score: this.score,
+      coins: this.coinManager.getCollectedCoins(),
+      collectibles: this.coinManager.getCollectedByType(),
+      cause: this.deathCause,
+    };
+    this.replayRevive = this.replayManager.takeNextAction('revive');
+    if (this.replayManager.isRecording()) {
+      this.replayManager.stopRecording(result);
+    } else if (!this.replayRevive) {
+      this.replayManager.finishPlayback(result);
+    }
+    this.runResult = result;
+
+    this.states.transition(DYING);
+  }
 
-      // Also increase player forward speed
-      const newSpeed = 10 + (this.gameSpeed - 1) * 5;
-      this.playerController.setForwardSpeed(newSpeed);
+  /**
+   * Coins the next revive in this run costs
+   * @returns {number}
+   */
+  getReviveCost() {
+    return REVIVE_BASE_COST * 2 ** this.revives;
+  }
+
+  /**
+   * Whether to offer a revive: live runs only, and only if the player can pay
+   * @returns {boolean}
+   */
+  canOfferRevive() {
+    return !this.replayRun && this.profileStore.get().lifetime.coins >= this.getReviveCost();
+  }
+
+  /**
+   * Bring the runner back where they died: pay for it, clear the obstacles just ahead,
+   * stand them up in a lane, briefly invulnerable, and carry on with the same distance,
+   * score and speed after a countdown. Replays revive where the recording did, for free.
+   */
+  revive() {
+    if (!this.states.is(REVIVE)) return;
+
+    let cost = 0;
+    if (!this.replayRevive) {
+      cost = this.getReviveCost();
+      if (!this.profileStore.spendCoins(cost)) return;
+      this.replayManager.resumeRecording();
+      this.replayManager.recordInput('revive');
     }
+    this.revives++;
+    this.replayRevive = false;
+    this.deathCause = null;
+    this.runResult = null;
+    console.log(`💫 Revived (${this.revives}) for ${cost} coins`);
+
+    // Stand up first: a runner who missed a turn is moved round the corner
+    this.playerController.revive();
+    this.pursuer.reset();
+    this.comboManager.breakCombo();
+    const distance = this.playerController.distance;
+    this.obstacleManager.clearObstacles(
+      distance - REVIVE_CLEAR_BEHIND,
+      distance + REVIVE_CLEAR_AHEAD
+    );
+    this.events.emit('revived', { count: this.revives, cost });
+
+    // Replays skip the countdown; it takes no simulated time
+    this.states.transition(this.replayRun ? PLAYING : COUNTDOWN, { resume: true });
   }
 
   /**
-   * Handle game over
+   * Stop the loop, announce the result and show the game over screen
    */
-  gameOver() {
+  showGameOver() {
+    this.gameLoop.stop();
+
     console.log('Game Over!');
     console.log(`Final Score: ${this.score}`);
     console.log(`Distance: ${Math.floor(this.distanceTraveled)}m`);
     console.log(`Coins: ${this.coinManager.getCollectedCoins()}`);
+    console.log('Collected by type:', this.coinManager.getCollectedByType());
 
     // Get performance report
     const performanceReport = this.performanceMonitor.stop();
     console.log('Performance Report:', performanceReport);
 
-    this.isPlaying = false;
-
-    // Stop game systems
-    this.gameLoop.stop();
-    this.inputHandler.disable();
-
-    // Show game over UI
+    // Show game over UI with the score and coin and gem breakdowns
+    this.uiManager.setScoreBreakdown({
+      distance: Math.floor(this.distanceTraveled),
+      coins: this.coinScore,
+      ...this.comboManager.getSummary(),
+    });
+    this.uiManager.setCollectibles(this.coinManager.getSummary());
     this.uiManager.gameOver();
+    this.events.emit('gameOver', this.runResult);
 
-    // Play death animation
-    this.playerController.die();
+    // The profile has recorded the run; show its bests and what the run completed
+    // (replays don't count)
+    this.uiManager.setProfile(this.profileStore.get());
+    this.uiManager.setRunSummary(this.achievementManager.getRunSummary());
   }
 
   /**
@@ -669,11 +1264,11 @@ class TempleRunGame {
   getGameStats() {
     return {
       game: {
-        isPlaying: this.isPlaying,
-        isPaused: this.isPaused,
+        state: this.states.state,
         score: this.score,
         distanceTraveled: this.distanceTraveled,
-        gameSpeed: this.gameSpeed
+        gameSpeed: this.gameSpeed,
+        seed: this.random.getSeed(),
       },
       assets: this.assetManager ? this.assetManager.getAssetHealth() : null,
       lod: this.assetManager ? this.assetManager.getLODStats() : null,
@@ -686,7 +1281,7 @@ class TempleRunGame {
    * Enhanced game over with debug information
    */
   gameOverEnhanced() {
-    this.gameOver();
+    this.endRun();
 
     if (this.debugMode) {
       console.log('🎮 Game Over Debug Stats:', this.getGameStats());
@@ -3,18 +3,25 @@
  * Sets up and manages the Babylon.js scene
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
 import 'babylonjs-loaders';
 
 export class MainScene {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement|null} canvas - Render target (unused when headless)
+   * @param {Object} options - { headless } runs the scene on a NullEngine for simulation only
+   */
+  constructor(canvas, { headless = false } = {}) {
     this.canvas = canvas;
+    this.headless = headless;
     this.engine = null;
     this.scene = null;
     this.camera = null;
     this.light = null;
     this.ground = null;
     this.skybox = null;
+    this.cameraYaw = 0; // Smoothed track heading the follow camera looks along
+    this.paused = false; // Holds the water and caustics animation while the game is paused
   }
 
   /**
@@ -24,6 +31,10 @@ export class MainScene {
     this.createEngine();
     this.createScene();
     this.createCamera();
+
+    // Headless runs only simulate: no lights, environment or render loop
+    if (this.headless) return this.scene;
+
     this.createLighting();
     this.createEnvironment();
     this.setupRenderLoop();
@@ -35,6 +46,11 @@ export class MainScene {
    * Create the Babylon.js engine
    */
   createEngine() {
+    if (this.headless) {
+      this.engine = new BABYLON.NullEngine();
+      return;
+    }
+
     this.engine = new BABYLON.Engine(this.canvas, true, {
       preserveDrawingBuffer: true,
       stencil: true,
@@ -52,6 +68,8 @@ export class MainScene {
    */
   createScene() {
     this.scene = new BABYLON.Scene(this.engine);
+    // expose via scene so other systems can skip visual-only work (canvas textures, particles)
+    this.scene.headless = this.headless;
     // Swamp temple atmosphere – teal haze with warm sunlight accents
     this.scene.clearColor = new BABYLON.Color3(0.38, 0.58, 0.60);
 
@@ -87,7 +105,9 @@ export class MainScene {
     this.camera.fov = 0.9; // Slightly wider field of view for temple grandeur
     
     // Attach camera to canvas
-    this.camera.attachControl(this.canvas, false);
+    if (this.canvas) {
+      this.camera.attachControl(this.canvas, false);
+    }
     
     // Disable camera controls for gameplay
     this.camera.inputs.clear();
@@ -236,7 +256,7 @@ export class MainScene {
 
     let t = 0;
     pp.onApply = (effect) => {
-      t += this.engine.getDeltaTime() * 0.001;
+      if (!this.paused) t += this.engine.getDeltaTime() * 0.001;
       effect.setFloat('time', t);
       effect.setFloat('intensity', 0.13);
       effect.setColor3('tint', new BABYLON.Color3(0.4, 0.9, 0.9));
@@ -381,7 +401,7 @@ export class MainScene {
     // Animate time
     let t = 0;
     this.scene.onBeforeRenderObservable.add(() => {
-      t += this.engine.getDeltaTime() * 0.001;
+      if (!this.paused) t += this.engine.getDeltaTime() * 0.001;
       shaderMat.setFloat('time', t);
     });
 
@@ -399,15 +419,59 @@ export class MainScene {
     });
   }
 
+  /**
+   * Hold or release the water and caustics animation
+   * @param {boolean} paused - Whether the game is paused
+   */
+  setPaused(paused) {
+    this.paused = paused;
+  }
+
+  /**
+   * Ease the camera heading toward the track heading, taking the short way round
+   * @param {number} yaw - Track heading in radians
+   * @returns {BABYLON.Matrix} Rotation to apply to follow offsets
+   */
+  updateCameraYaw(yaw) {
+    let delta = yaw - this.cameraYaw;
+    delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+    this.cameraYaw += delta * 0.1;
+    return BABYLON.Matrix.RotationY(this.cameraYaw);
+  }
+
+  /**
+   * Snap the camera heading back to +Z (new run)
+   */
+  resetCameraFollow() {
+    this.cameraYaw = 0;
+  }
+
+  /**
+   * Keep the swamp water plane under the player as the track wanders
+   * @param {BABYLON.Vector3} position - Player position
+   */
+  recenterWater(position) {
+    if (!this.water || !position) return;
+    // Move in coarse steps so the shader pattern doesn't visibly slide
+    this.water.position.x = Math.round(position.x / 200) * 200;
+    this.water.position.z = Math.round(position.z / 200) * 200;
+  }
+
   /**
    * Update camera to follow target
    * @param {BABYLON.Vector3} targetPosition - Position to follow
+   * @param {number} yaw - Track heading the camera should look along
+   * @param {number} pullBack - 0 to 1: widen the shot backwards to frame a pursuer
    */
-  updateCameraFollow(targetPosition) {
+  updateCameraFollow(targetPosition, yaw = 0, pullBack = 0) {
     if (!targetPosition) return;
+    const rotation = this.updateCameraYaw(yaw);
     
     // Smooth camera follow
-    const cameraOffset = new BABYLON.Vector3(0, 6, -14);
+    const cameraOffset = BABYLON.Vector3.TransformNormal(
+      new BABYLON.Vector3(0, 6 + pullBack * 1.5, -14 * (1 + pullBack * 0.35)),
+      rotation
+    );
     const newPosition = targetPosition.add(cameraOffset);
     
     // Lerp camera position for smooth movement
@@ -418,16 +482,19 @@ export class MainScene {
     );
     
     // Update camera target
-    const targetOffset = new BABYLON.Vector3(0, 2.5, 7);
+    const targetOffset = BABYLON.Vector3.TransformNormal(new BABYLON.Vector3(0, 2.5, 7), rotation);
     this.camera.setTarget(targetPosition.add(targetOffset));
   }
 
   /**
    * Smart follow that frames an entire mesh based on its bounds
    * without changing the public updateCameraFollow API.
+   * @param {BABYLON.AbstractMesh} mesh - Mesh to frame
+   * @param {number} yaw - Track heading the camera should look along
+   * @param {number} pullBack - 0 to 1: widen the shot backwards to frame a pursuer
    */
-  updateCameraFollowForMesh(mesh) {
-    if (!mesh) return this.updateCameraFollow(mesh?.position);
+  updateCameraFollowForMesh(mesh, yaw = 0, pullBack = 0) {
+    if (!mesh) return this.updateCameraFollow(mesh?.position, yaw, pullBack);
 
     // Compute approximate height
     let minY = Number.POSITIVE_INFINITY;
@@ -444,10 +511,17 @@ export class MainScene {
 
     // Desired offsets scale with character size
     const pos = mesh.getAbsolutePosition ? mesh.getAbsolutePosition() : mesh.position;
-    const yOff = Math.max(3.5, height * 0.9 + 1.6);
-    const zBack = Math.max(10, height * 5.5);
-    const cameraOffset = new BABYLON.Vector3(0, yOff, -zBack);
-    const targetOffset = new BABYLON.Vector3(0, Math.max(1.2, height * 0.35 + 1.0), 7);
+    const yOff = Math.max(3.5, height * 0.9 + 1.6) + pullBack * 1.5;
+    const zBack = Math.max(10, height * 5.5) * (1 + pullBack * 0.35);
+    const rotation = this.updateCameraYaw(yaw);
+    const cameraOffset = BABYLON.Vector3.TransformNormal(
+      new BABYLON.Vector3(0, yOff, -zBack),
+      rotation
+    );
+    const targetOffset = BABYLON.Vector3.TransformNormal(
+      new BABYLON.Vector3(0, Math.max(1.2, height * 0.35 + 1.0), 7),
+      rotation
+    );
 
     const desired = pos.add(cameraOffset);
     this.camera.position = BABYLON.Vector3.Lerp(this.camera.position, desired, 0.1);
@@ -3,7 +3,7 @@
  * Validates, optimizes, and ensures asset integrity for the game
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
 
 export class AssetValidator {
   constructor(assetManager) {
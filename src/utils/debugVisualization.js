@@ -3,7 +3,7 @@
  * Enhanced debug tools for performance monitoring and visual debugging
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
 
 export class DebugVisualization {
   constructor(scene, game) {
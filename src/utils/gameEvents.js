@@ -0,0 +1,140 @@
+/**
+ * Game Events
+ * Typed publish/subscribe bus for gameplay moments. Gameplay systems emit what happens to
+ * them (the player jumps, a coin is picked up, an obstacle is hit, a tile spawns) and
+ * feedback systems (sound, particles, achievements, UI) subscribe, so nothing has to be
+ * wired through the game by hand. Every event is declared in GAME_EVENTS with the payload
+ * fields it carries.
+ */
+
+/**
+ * Event name -> payload fields, grouped by the system that emits them.
+ * Positions are world-space BABYLON.Vector3 copies; distances are along the track.
+ */
+export const GAME_EVENTS = {
+  // TempleRunGame: run lifecycle and menus
+  runStarted: ['seed', 'replay'],
+  paused: [],
+  resumed: [],
+  speedChanged: ['gameSpeed'],
+  gameOver: ['distance', 'score', 'coins', 'collectibles', 'cause'],
+  revived: ['count', 'cost'], // Revives this run, coins paid (0 in replays)
+  uiClick: [],
+
+  // PlayerController
+  jump: ['distance', 'position'],
+  slide: ['distance', 'position'],
+  land: ['distance', 'position'],
+  laneChange: ['from', 'to'], // Lane indices
+  animationMarker: ['state', 'name'], // A marker in the animation cycle, e.g. a footstep
+
+  // CoinManager and PowerUpManager
+  coinCollected: ['count', 'types', 'points', 'position'],
+  powerUpCollected: ['type'],
+
+  // ObstacleManager
+  hit: ['type'], // First contact with an obstacle (a shield may still absorb it)
+  nearMiss: ['type', 'kind'], // kind: 'pass', or a late 'jump' or 'slide'
+
+  // Pursuer
+  stumble: ['cause', 'fatal'], // Obstacle type clipped, or 'rail'; fatal if already chased
+
+  // WorldManager
+  tileSpawned: ['distance', 'swamp'],
+  tileEntered: ['distance', 'swamp'],
+  biomeChanged: ['biome'], // 'swamp' or 'temple'
+  splash: ['position'], // Landing or sliding on swamp
+
+  // AchievementManager
+  achievementCompleted: ['kind', 'title', 'description', 'reward'],
+};
+
+export class GameEvents {
+  /**
+   * @param {Object} types - Event catalogue to enforce (defaults to GAME_EVENTS)
+   */
+  constructor(types = GAME_EVENTS) {
+    this.types = types;
+    this.listeners = new Map();
+    this.warned = new Set(); // Events already reported for a malformed payload
+  }
+
+  /**
+   * Throw for an event name that isn't in the catalogue
+   * @param {string} type - Event name
+   */
+  assertKnown(type) {
+    if (!Object.prototype.hasOwnProperty.call(this.types, type)) {
+      throw new Error(`Unknown game event "${type}"`);
+    }
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - Event name (a key of GAME_EVENTS)
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, listener) {
+    this.assertKnown(type);
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} type - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(type, listener) {
+    const set = this.listeners.get(type);
+    if (set) set.delete(listener);
+  }
+
+  /**
+   * Notify every listener of an event. A failing listener is logged and skipped so
+   * feedback code can never break the simulation step that emitted the event.
+   * @param {string} type - Event name (a key of GAME_EVENTS)
+   * @param {Object} payload - Event data with the fields GAME_EVENTS lists
+   */
+  emit(type, payload = {}) {
+    this.assertKnown(type);
+    this.checkPayload(type, payload);
+
+    const set = this.listeners.get(type);
+    if (!set) return;
+
+    for (const listener of Array.from(set)) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.warn(`Game event listener for "${type}" failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Warn (once per event) when a payload is missing declared fields
+   * @param {string} type - Event name
+   * @param {Object} payload - Event data
+   */
+  checkPayload(type, payload) {
+    if (this.warned.has(type)) return;
+
+    const missing = this.types[type].filter((field) => !(field in payload));
+    if (missing.length > 0) {
+      this.warned.add(type);
+      console.warn(`Game event "${type}" is missing ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Remove all listeners
+   */
+  clear() {
+    this.listeners.clear();
+  }
+}
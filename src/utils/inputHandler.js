@@ -13,6 +13,9 @@ export class InputHandler {
       onJump: null,
       onSlide: null,
       onPause: null,
+      onTurnLeft: null,
+      onTurnRight: null,
+      onToggleMute: null,
       onToggleColliders: null
     };
     
@@ -48,6 +51,17 @@ export class InputHandler {
           if (this.callbacks.onRight) this.callbacks.onRight();
           break;
           
+        case 'q':
+          // Dedicated turn keys (left/right also turn when at a corner)
+          event.preventDefault();
+          if (this.callbacks.onTurnLeft) this.callbacks.onTurnLeft();
+          break;
+
+        case 'e':
+          event.preventDefault();
+          if (this.callbacks.onTurnRight) this.callbacks.onTurnRight();
+          break;
+
         case 'arrowup':
         case 'w':
         case ' ': // Spacebar
@@ -67,6 +81,11 @@ export class InputHandler {
           if (this.callbacks.onPause) this.callbacks.onPause();
           break;
 
+        case 'm':
+          event.preventDefault();
+          if (this.callbacks.onToggleMute) this.callbacks.onToggleMute();
+          break;
+
         case 'c':
           // Toggle collider debug visualization
           event.preventDefault();
@@ -203,6 +222,30 @@ export class InputHandler {
     this.callbacks.onPause = callback;
   }
 
+  /**
+   * Set callback for turning left at a corner
+   * @param {Function} callback - Function to call on turn-left input
+   */
+  setOnTurnLeft(callback) {
+    this.callbacks.onTurnLeft = callback;
+  }
+
+  /**
+   * Set callback for turning right at a corner
+   * @param {Function} callback - Function to call on turn-right input
+   */
+  setOnTurnRight(callback) {
+    this.callbacks.onTurnRight = callback;
+  }
+
+  /**
+   * Set callback to toggle sound on/off
+   * @param {Function} callback - Function to call on mute input
+   */
+  setOnToggleMute(callback) {
+    this.callbacks.onToggleMute = callback;
+  }
+
   /**
    * Set callback to toggle collider debug
    */
@@ -0,0 +1,175 @@
+/**
+ * Random Utility
+ * Seedable pseudo-random number generation so runs can be reproduced from a seed
+ */
+
+/**
+ * Hash a string into an unsigned 32-bit integer (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number} 32-bit hash
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic generator (mulberry32) with gameplay-friendly helpers
+ */
+export class SeededRandom {
+  constructor(seed = 1) {
+    this.seed = 0;
+    this.state = 0;
+    this.setSeed(seed);
+  }
+
+  /**
+   * Restart the sequence from a seed
+   * @param {number} seed - Unsigned 32-bit seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * True with the given probability
+   * @param {number} probability - Value in [0, 1]
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element of an array
+   */
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  /**
+   * Pick an element with probability proportional to its weight.
+   * Always consumes exactly one number, even for an empty array.
+   * @param {Array} array - Candidates
+   * @param {Function} weightOf - Returns a candidate's non-negative weight
+   * @returns {*} The chosen element, or null when no candidate has weight
+   */
+  pickWeighted(array, weightOf) {
+    const roll = this.next();
+    const total = array.reduce((sum, item) => sum + Math.max(0, weightOf(item)), 0);
+    if (total <= 0) return null;
+
+    let target = roll * total;
+    let last = null;
+    for (const item of array) {
+      const weight = Math.max(0, weightOf(item));
+      if (weight === 0) continue;
+      last = item;
+      target -= weight;
+      if (target < 0) return item;
+    }
+    // Rounding can leave a sliver of the roll; it belongs to the last weighted item
+    return last;
+  }
+}
+
+/**
+ * Run-wide RNG service. Each system draws from its own named stream so the
+ * order in which systems consume numbers cannot shift another system's sequence.
+ */
+export class RandomService {
+  constructor(seed = RandomService.generateSeed()) {
+    this.seed = seed >>> 0;
+    this.streams = new Map();
+  }
+
+  /**
+   * Generate a fresh seed for runs that were not given one
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  /**
+   * Parse a user-supplied seed (e.g. the `?seed=` query parameter).
+   * Numeric values are used as-is, any other text is hashed.
+   * @param {string|number|null|undefined} value - Raw seed value
+   * @returns {number|null} Parsed seed or null when no seed was supplied
+   */
+  static parseSeed(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (text === '') return null;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    return hashString(text);
+  }
+
+  /**
+   * Get (or create) the named stream for a system
+   * @param {string} name - Stream name, e.g. 'world'
+   * @returns {SeededRandom}
+   */
+  stream(name) {
+    let stream = this.streams.get(name);
+    if (!stream) {
+      stream = new SeededRandom(this.deriveSeed(name));
+      this.streams.set(name, stream);
+    }
+    return stream;
+  }
+
+  /**
+   * Reseed the service; existing streams are restarted in place so systems
+   * holding a reference keep working
+   * @param {number} seed - Unsigned 32-bit seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    for (const [name, stream] of this.streams) {
+      stream.setSeed(this.deriveSeed(name));
+    }
+  }
+
+  /**
+   * Get the current seed
+   * @returns {number}
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  deriveSeed(name) {
+    return (hashString(name) ^ Math.imul(this.seed, 0x9e3779b1)) >>> 0;
+  }
+}
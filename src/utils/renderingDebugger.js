@@ -2,7 +2,7 @@
  * Rendering Debugger - Debug Babylon.js rendering pipeline issues
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
 
 export class RenderingDebugger {
   constructor(scene, engine) {
@@ -2,7 +2,7 @@
  * Scene Debugger - Debug Babylon.js scene rendering and visibility issues
  */
 
-import * as BABYLON from 'babylonjs';
+import BABYLON from 'babylonjs';
 
 export class SceneDebugger {
   constructor(scene) {
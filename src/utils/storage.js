@@ -0,0 +1,82 @@
+/**
+ * Storage Backends
+ * Key/value text stores behind one async interface, so saves can live in localStorage,
+ * IndexedDB or plain memory (tests, headless runs) without the caller knowing which.
+ *
+ * A backend implements:
+ *   read(key)         -> Promise<string|null>
+ *   write(key, value) -> Promise<void>
+ *   remove(key)       -> Promise<void>
+ */
+
+/**
+ * Browser localStorage. Failures (private mode, quota, disabled storage) reject so the
+ * caller can decide whether to carry on unsaved.
+ */
+export class LocalStorageBackend {
+  /**
+   * @param {Storage} storage - Storage to use (defaults to window.localStorage)
+   */
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Whether localStorage exists and accepts writes here
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    try {
+      const probe = '__templeRunStorageProbe';
+      globalThis.localStorage.setItem(probe, probe);
+      globalThis.localStorage.removeItem(probe);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async read(key) {
+    return this.storage.getItem(key);
+  }
+
+  async write(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+/**
+ * In-memory store; contents last as long as the object
+ */
+export class MemoryBackend {
+  /**
+   * @param {Object} initial - Starting contents, key -> text
+   */
+  constructor(initial = {}) {
+    this.data = new Map(Object.entries(initial));
+  }
+
+  async read(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async write(key, value) {
+    this.data.set(key, String(value));
+  }
+
+  async remove(key) {
+    this.data.delete(key);
+  }
+}
+
+/**
+ * Best backend for this environment: localStorage when it works, memory otherwise
+ * @returns {LocalStorageBackend|MemoryBackend}
+ */
+export function createDefaultBackend() {
+  return LocalStorageBackend.isAvailable() ? new LocalStorageBackend() : new MemoryBackend();
+}
@@ -0,0 +1,63 @@
+/**
+ * Achievement manager tests
+ * Lifetime coin goals count the coins collected on runs. The coin balance is no measure:
+ * rewards add to it and revives and character unlocks spend it.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AchievementManager } from '../src/core/achievementManager.js';
+import { ProfileStore } from '../src/core/profileStore.js';
+import { GameEvents } from '../src/utils/gameEvents.js';
+import { MemoryBackend } from '../src/utils/storage.js';
+
+const log = console.log;
+
+before(() => {
+  // Completions are announced on the console too
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = log;
+});
+
+async function createGame({ coins, coinsCollected }) {
+  const store = new ProfileStore(new MemoryBackend());
+  await store.load();
+  Object.assign(store.get().lifetime, { coins, coinsCollected });
+
+  const events = new GameEvents();
+  const achievements = new AchievementManager(store, () => 0);
+  achievements.bindEvents(events);
+  store.bindEvents(events);
+  achievements.init();
+  events.emit('runStarted', { seed: 1, replay: false });
+  return { store, events, achievements };
+}
+
+function collectGold(events, count) {
+  const types = new Array(count).fill('gold');
+  events.emit('coinCollected', { count, types, points: count * 10, position: null });
+}
+
+test('spending coins does not undo progress toward a lifetime coin goal', async () => {
+  // 4,990 collected, but all of it spent on revives and characters
+  const { store, events } = await createGame({ coins: 0, coinsCollected: 4990 });
+
+  collectGold(events, 10);
+  assert.equal(store.isUnlocked('achievement:treasure-hoard'), true);
+});
+
+test('a large balance from rewards does not count as coins collected', async () => {
+  const { store, events, achievements } = await createGame({ coins: 6000, coinsCollected: 100 });
+
+  collectGold(events, 10);
+  assert.equal(store.isUnlocked('achievement:treasure-hoard'), false);
+
+  events.emit('gameOver', { distance: 50, score: 150, coins: 10, collectibles: {}, cause: 'log' });
+  // The run's coins go to both, rewards for what it completed to the balance only
+  const rewards = achievements.getRunSummary().completed.reduce((sum, c) => sum + c.reward, 0);
+  assert.equal(store.get().lifetime.coinsCollected, 110);
+  assert.equal(store.get().lifetime.coins, 6010 + rewards);
+});
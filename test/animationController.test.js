@@ -0,0 +1,135 @@
+/**
+ * Animation controller tests
+ * State changes cross-fade the old clip out and the new one in by weight, and markers along
+ * a cycle fire once each time the cycle passes them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnimationController } from '../src/core/animationController.js';
+import { GameEvents } from '../src/utils/gameEvents.js';
+
+/**
+ * Stand-in for a BABYLON.AnimationGroup: just the parts the controller touches
+ */
+class StubGroup {
+  constructor(name, frames = 60, framePerSecond = 60) {
+    this.name = name;
+    this.from = 0;
+    this.to = frames;
+    this.frame = 0;
+    this.weight = -1;
+    this.speedRatio = 1;
+    this.loopAnimation = false;
+    this.isPlaying = false;
+    this.targetedAnimations = [{ animation: { framePerSecond } }];
+  }
+
+  start(loop, speedRatio) {
+    this.isPlaying = true;
+    this.loopAnimation = loop;
+    this.speedRatio = speedRatio;
+    this.frame = this.from;
+  }
+
+  stop() {
+    this.isPlaying = false;
+  }
+
+  goToFrame(frame) {
+    this.frame = frame;
+  }
+}
+
+function createController(groups) {
+  const animator = new AnimationController();
+  animator.blendTime = 0.2; // Two 0.1s steps make a whole fade
+  animator.bind(groups);
+  return animator;
+}
+
+test('each state change fades the last clip out and the next one in', () => {
+  const run = new StubGroup('Run');
+  const jump = new StubGroup('Jump', 24);
+  const slide = new StubGroup('Slide', 48);
+  const death = new StubGroup('Death', 48);
+  const animator = createController([run, jump, slide, death]);
+  animator.setState('run');
+  animator.snap();
+  assert.deepEqual([run.isPlaying, run.weight, run.loopAnimation], [true, 1, true]);
+
+  let previous = run;
+  for (const [state, group] of [
+    ['jump', jump],
+    ['slide', slide],
+    ['death', death],
+  ]) {
+    animator.setState(state);
+    assert.equal(group.isPlaying, true, state);
+    assert.equal(group.weight, 0, state);
+
+    animator.update(0.1);
+    assert.equal(group.weight, 0.5, state);
+    assert.equal(previous.weight, 0.5, state);
+    assert.equal(previous.isPlaying, true, state);
+
+    // Once the new clip is all there, the old one stops
+    animator.update(0.1);
+    assert.equal(group.weight, 1, state);
+    assert.equal(previous.isPlaying, false, state);
+    assert.deepEqual([...animator.weights.keys()], [group]);
+    previous = group;
+  }
+  assert.equal(death.loopAnimation, false);
+});
+
+test('changing state mid-fade picks the fade up from where it was', () => {
+  const run = new StubGroup('Run');
+  const jump = new StubGroup('Jump', 24);
+  const animator = createController([run, jump]);
+  animator.setState('run');
+  animator.snap();
+
+  animator.setState('jump');
+  animator.update(0.1);
+  animator.setState('run');
+  assert.equal(run.weight, 0.5);
+  assert.equal(jump.weight, 0.5);
+
+  animator.update(0.1);
+  assert.equal(run.weight, 1);
+  assert.equal(jump.isPlaying, false);
+});
+
+test('run markers fire once per cycle each, even when a step lands on one', () => {
+  for (const step of [1 / 60, 0.25, 0.3]) {
+    const animator = createController([new StubGroup('Run')]); // One second a cycle
+    const events = new GameEvents();
+    animator.setEvents(events);
+    const fired = [];
+    events.on('animationMarker', ({ state, name }) => fired.push(`${state}:${name}`));
+
+    animator.setState('run');
+    animator.snap();
+    // Three cycles at the natural rate
+    const steps = Math.round(3 / step);
+    for (let i = 0; i < steps; i++) animator.update(step, animator.runSpeed);
+
+    assert.equal(fired.length, 6, `step ${step}`);
+    assert.ok(fired.every((marker) => marker === 'run:footstep'));
+  }
+});
+
+test('a faster run plays the cycle and its markers faster', () => {
+  const run = new StubGroup('Run');
+  const animator = createController([run]);
+  let footsteps = 0;
+  animator.events.on('animationMarker', () => footsteps++);
+
+  animator.setState('run');
+  animator.snap();
+  for (let i = 0; i < 60; i++) animator.update(1 / 60, animator.runSpeed * 2);
+
+  assert.equal(run.speedRatio, 2);
+  assert.equal(footsteps, 4);
+});
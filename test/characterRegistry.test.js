@@ -0,0 +1,47 @@
+/**
+ * Character registry tests
+ * Every clip a built-in character maps must be in its model, or the state it was meant for
+ * would fall back to a pattern match or the run cycle instead of its procedural pose.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import BABYLON from 'babylonjs';
+import 'babylonjs-loaders';
+import { CharacterRegistry } from '../src/core/characterRegistry.js';
+import { ANIMATION_STATES } from '../src/core/animationController.js';
+
+const MODELS = new URL('../public/assets/models/', import.meta.url);
+const log = console.log;
+
+let engine;
+let scene;
+
+before(() => {
+  console.log = () => {};
+  engine = new BABYLON.NullEngine();
+  scene = new BABYLON.Scene(engine);
+});
+
+after(() => {
+  scene.dispose();
+  engine.dispose();
+  console.log = log;
+});
+
+for (const character of new CharacterRegistry().getAll()) {
+  test(`${character.id} maps only clips its model has`, async () => {
+    const data = await readFile(new URL(character.model, MODELS));
+    const container = await BABYLON.LoadAssetContainerAsync(new Uint8Array(data), scene, {
+      pluginExtension: '.glb',
+    });
+    const clips = container.animationGroups.map((group) => group.name);
+
+    for (const [state, name] of Object.entries(character.animations)) {
+      assert.ok(state in ANIMATION_STATES, `unknown state "${state}"`);
+      if (name !== null) assert.ok(clips.includes(name), `${state}: no clip "${name}"`);
+    }
+    container.dispose();
+  });
+}
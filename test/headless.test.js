@@ -0,0 +1,50 @@
+/**
+ * Headless simulation tests
+ * Fixed seeds must play out the same run on every machine: where it ends, what ended it,
+ * how far the runner got and which coins they picked up.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessGame } from '../src/headless.js';
+
+let game;
+const log = console.log;
+
+before(async () => {
+  // The game systems narrate loading and spawning; keep the test output readable
+  console.log = () => {};
+  game = await new HeadlessGame({ seed: 42 }).init();
+});
+
+after(() => {
+  game.dispose();
+  console.log = log;
+});
+
+test('a fixed seed ends on the same obstacle, distance and coins', () => {
+  game.start({ seed: 42 });
+  const state = game.runUntilGameOver();
+
+  assert.equal(state.isPlaying, false);
+  assert.equal(state.collided, true);
+  assert.equal(state.cause, 'log');
+  assert.equal(state.tick, 407);
+  assert.ok(Math.abs(state.distance - 79.3085) < 1e-3, `distance ${state.distance}`);
+  assert.equal(state.coins, 7);
+  assert.deepEqual(state.collectibles, { gold: 7, red: 0, blue: 0, gem: 0 });
+});
+
+test('a seed plays out the same and replays later in the same session', () => {
+  game.start({ seed: 42 });
+  const first = game.runUntilGameOver();
+  game.start({ seed: 42 });
+  const again = game.runUntilGameOver();
+  assert.deepEqual(again, first);
+
+  game.start({ replay: game.getReplay() });
+  const replayed = game.runUntilGameOver();
+  assert.equal(game.replayMatched, true);
+  assert.equal(replayed.coins, first.coins);
+  assert.equal(replayed.distance, first.distance);
+});
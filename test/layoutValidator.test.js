@@ -0,0 +1,62 @@
+/**
+ * Layout validator tests
+ * An obstacle is only added when the runner still has a way through: an open lane, or one
+ * a jump or slide clears, that can be reached in time at the current speed.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LayoutValidator } from '../src/core/layoutValidator.js';
+import { ObstacleRegistry } from '../src/core/obstacleRegistry.js';
+import { PlayerController } from '../src/core/playerController.js';
+
+const registry = new ObstacleRegistry();
+
+function obstacle(type, lane, distance) {
+  return { definition: registry.get(type), lane, distance };
+}
+
+function createValidator(forwardSpeed = 10) {
+  const player = new PlayerController(null);
+  player.forwardSpeed = forwardSpeed;
+  return new LayoutValidator(player);
+}
+
+test('a row blocking all three lanes with nothing to jump or slide is rejected', () => {
+  const validator = createValidator();
+  const existing = [obstacle('rock', 0, 100), obstacle('spike', 1, 100)];
+
+  assert.equal(validator.canPlace(obstacle('rock', 2, 100.5), existing), false);
+  const [rejection] = validator.getReport().recent;
+  assert.match(rejection.reason, /no passable lane at 100\.0m/);
+  assert.match(rejection.layout, /# # #/);
+
+  // A low log in the last lane can be jumped, so it leaves a way through
+  assert.equal(validator.canPlace(obstacle('log', 2, 100.5), existing), true);
+});
+
+test('back-to-back rows are rejected when the open lane is out of reach at this speed', () => {
+  // Lane 2 is open, then only lane 0 five metres on: two lane changes in between
+  const existing = [obstacle('rock', 0, 100), obstacle('rock', 1, 100), obstacle('rock', 1, 105)];
+  const candidate = obstacle('rock', 2, 105);
+
+  const fast = createValidator(10);
+  assert.equal(fast.canPlace(candidate, existing), false);
+  assert.match(fast.getReport().recent[0].reason, /no time to get through at 105\.0m/);
+
+  // Slow enough, the same rows leave time to cross two lanes
+  assert.equal(createValidator(5).canPlace(candidate, existing), true);
+});
+
+test('a layout that can be cleared is accepted', () => {
+  const validator = createValidator();
+  const existing = [
+    obstacle('barrier', 1, 100), // Jump everything
+    obstacle('rock', 0, 115),
+    obstacle('spike', 1, 115), // Then step across to the right lane
+    obstacle('beam', 1, 130), // And slide under
+  ];
+
+  assert.equal(validator.canPlace(obstacle('log', 2, 145), existing), true);
+  assert.equal(validator.getReport().rejected, 0);
+});
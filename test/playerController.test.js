@@ -0,0 +1,132 @@
+/**
+ * Player controller tests
+ * Steps and slopes are walked down, but ground that drops away by more is fallen from.
+ * A jump pressed just after leaving the edge still takes off (coyote time); later in the
+ * fall it waits for landing like any other jump in the air.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BABYLON from 'babylonjs';
+import { TrackPath } from '../src/core/trackPath.js';
+import { PlayerController } from '../src/core/playerController.js';
+
+const STEP = 1 / 60;
+
+/**
+ * A runner standing still in a lane at a track distance
+ */
+function createRunner(track, distance, lane) {
+  const engine = new BABYLON.NullEngine();
+  const scene = new BABYLON.Scene(engine);
+  const player = new PlayerController(scene, track);
+  player.init(BABYLON.MeshBuilder.CreateBox('player', { size: 1 }, scene));
+  player.reset();
+  player.forwardSpeed = 0;
+  player.distance = distance;
+  player.lateral = player.lanes[lane];
+  player.currentLane = lane;
+  player.targetLane = lane;
+  player.revive(0); // Stand on the ground there
+
+  const dispose = () => {
+    scene.dispose();
+    engine.dispose();
+  };
+  return { player, dispose };
+}
+
+/**
+ * A runner on a ledge raising the left lane 1.2 above the path
+ */
+function createRunnerOnLedge() {
+  const track = new TrackPath();
+  track.addLedge(40, 20, 1.2, -2, 2);
+  const runner = createRunner(track, 50, 0);
+  assert.equal(runner.player.groundHeight, 1.2);
+  return runner;
+}
+
+/**
+ * Step right off the side of the ledge and stop as soon as the runner is falling
+ */
+function stepOffLedge(player) {
+  player.moveRight();
+  for (let i = 0; i < 30 && !player.isFalling; i++) player.update(STEP);
+  assert.equal(player.isFalling, true);
+}
+
+test('stepping off a ledge is a fall down to the path, not a snap', () => {
+  const { player, dispose } = createRunnerOnLedge();
+  let landings = 0;
+  player.events.on('land', () => landings++);
+
+  stepOffLedge(player);
+  const feet = () => player.player.position.y - player.baseY;
+  assert.ok(feet() > player.groundHeight + player.stepDown);
+  assert.equal(player.getAnimationState(), 'fall');
+  // The collider comes down with the runner
+  assert.ok(Math.abs(player.collider.position.y - (feet() + player.colliderHeight / 2)) < 1e-9);
+
+  let previous = feet();
+  while (player.isFalling) {
+    player.update(STEP);
+    assert.ok(feet() < previous);
+    previous = feet();
+  }
+  assert.equal(feet(), 0);
+  assert.equal(landings, 1);
+
+  dispose();
+});
+
+test('a jump pressed just after leaving the edge takes off from there', () => {
+  const { player, dispose } = createRunnerOnLedge();
+
+  stepOffLedge(player);
+  player.update(STEP);
+  assert.ok(player.fallTime <= player.coyoteTime);
+  const feet = player.player.position.y - player.baseY;
+
+  player.jump();
+  assert.equal(player.isFalling, false);
+  assert.equal(player.isJumping, true);
+  assert.equal(player.jumpGroundHeight, feet);
+  player.update(STEP);
+  assert.ok(player.player.position.y - player.baseY > feet);
+
+  dispose();
+});
+
+test('a jump pressed once the coyote time is up waits for landing', () => {
+  const { player, dispose } = createRunnerOnLedge();
+
+  stepOffLedge(player);
+  while (player.fallTime <= player.coyoteTime) player.update(STEP);
+
+  player.jump();
+  assert.equal(player.isJumping, false);
+  assert.equal(player.isFalling, true);
+  assert.deepEqual(
+    player.inputQueue.map((entry) => entry.action),
+    ['jump']
+  );
+
+  dispose();
+});
+
+test('stairs are walked down without falling', () => {
+  const track = new TrackPath();
+  track.addRamp(100, 10, -2, 8);
+  const { player, dispose } = createRunner(track, 95, 1);
+  player.forwardSpeed = 10;
+
+  while (player.distance < 115) {
+    player.update(STEP);
+    assert.equal(player.isFalling, false);
+  }
+  assert.equal(player.groundHeight, -2);
+  assert.equal(player.player.position.y, -2 + player.baseY);
+
+  dispose();
+});
@@ -0,0 +1,113 @@
+/**
+ * Profile store tests
+ * Saves survive everything the player's storage can hold: the loose keys written before
+ * profiles existed, a profile that can no longer be read, and a profile carried over from
+ * another browser.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProfileStore, PROFILE_KEY, PROFILE_VERSION } from '../src/core/profileStore.js';
+import { MemoryBackend } from '../src/utils/storage.js';
+
+const { log, warn } = console;
+
+before(() => {
+  // Migrations and recoveries are reported on the console
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+after(() => {
+  console.log = log;
+  console.warn = warn;
+});
+
+test('legacy keys are migrated into a new profile and removed', async () => {
+  const backend = new MemoryBackend({
+    templeRunHighScore: '1200',
+    templeRunSettings: JSON.stringify({ soundVolume: 0.3, musicVolume: 0.2 }),
+    templeRunMuted: 'true',
+  });
+  const store = new ProfileStore(backend);
+  const profile = await store.load();
+
+  assert.equal(profile.version, PROFILE_VERSION);
+  assert.equal(profile.best.score, 1200);
+  // Both settings keys count: the volumes from one, mute from the other
+  assert.deepEqual(profile.settings, { muted: true, soundVolume: 0.3, musicVolume: 0.2 });
+
+  for (const key of ['templeRunHighScore', 'templeRunSettings', 'templeRunMuted']) {
+    assert.equal(await backend.read(key), null, key);
+  }
+  assert.deepEqual(JSON.parse(await backend.read(PROFILE_KEY)), profile);
+});
+
+test('mute saved in the legacy settings wins over the older mute key', async () => {
+  const backend = new MemoryBackend({
+    templeRunSettings: JSON.stringify({ muted: false, soundVolume: 0.5 }),
+    templeRunMuted: 'true',
+  });
+  const profile = await new ProfileStore(backend).load();
+
+  assert.equal(profile.settings.muted, false);
+  assert.equal(profile.settings.soundVolume, 0.5);
+});
+
+test('an unreadable profile is set aside and the backup restored', async () => {
+  const good = new ProfileStore(new MemoryBackend());
+  await good.load();
+  good.recordRun({ score: 900, distance: 300, coins: 40 });
+  await good.saving;
+  const backup = good.exportJSON();
+
+  const backend = new MemoryBackend({
+    [PROFILE_KEY]: '{"version": 2, "lifetime": ',
+    [`${PROFILE_KEY}.backup`]: backup,
+  });
+  const store = new ProfileStore(backend);
+  const profile = await store.load();
+
+  assert.equal(await backend.read(`${PROFILE_KEY}.corrupt`), '{"version": 2, "lifetime": ');
+  assert.equal(profile.best.score, 900);
+  assert.equal(profile.lifetime.coinsCollected, 40);
+  assert.equal(JSON.parse(await backend.read(PROFILE_KEY)).best.score, 900);
+});
+
+test('an unreadable profile with no backup starts over', async () => {
+  const backend = new MemoryBackend({ [PROFILE_KEY]: 'not json' });
+  const profile = await new ProfileStore(backend).load();
+
+  assert.equal(await backend.read(`${PROFILE_KEY}.corrupt`), 'not json');
+  assert.equal(profile.lifetime.runs, 0);
+  assert.equal(profile.best.score, 0);
+});
+
+test('an exported profile imports into another store', async () => {
+  const source = new ProfileStore(new MemoryBackend());
+  await source.load();
+  source.recordRun({ score: 500, distance: 120, coins: 15, collectibles: { gem: 1 } });
+  source.unlock('character:explorer');
+  await source.updateSettings({ muted: true });
+
+  const backend = new MemoryBackend();
+  const target = new ProfileStore(backend);
+  await target.load();
+  const imported = await target.importJSON(source.exportJSON());
+
+  // Everything but the save time, which the import's own save moves on
+  const expected = { ...source.get(), updatedAt: imported.updatedAt };
+  assert.deepEqual(imported, expected);
+  assert.deepEqual(JSON.parse(await backend.read(PROFILE_KEY)), expected);
+});
+
+test('importing something that is not a profile keeps the current one', async () => {
+  const store = new ProfileStore(new MemoryBackend());
+  await store.load();
+  store.recordRun({ score: 500, distance: 120, coins: 15 });
+  const before = store.exportJSON();
+
+  await assert.rejects(store.importJSON('{"hello": "world"}'), /no version/);
+  await assert.rejects(store.importJSON(JSON.stringify({ version: 99 })), /newer version/);
+  assert.equal(store.exportJSON(), before);
+});
@@ -0,0 +1,68 @@
+/**
+ * Run rules tests
+ * Bumping the edge of the path is a stumble like clipping an obstacle, and like an
+ * obstacle hit it does nothing while the runner can't be hurt.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessGame } from '../src/headless.js';
+
+let game;
+const log = console.log;
+
+before(async () => {
+  console.log = () => {};
+  game = await new HeadlessGame({ seed: 42 }).init();
+});
+
+after(() => {
+  game.dispose();
+  console.log = log;
+});
+
+/**
+ * Steer into the left edge from the left lane with a combo going
+ */
+function bumpLeftEdge() {
+  game.performAction('left');
+  game.step(30); // Into the left lane
+  game.comboManager.raise(1);
+  game.performAction('left');
+  game.step();
+}
+
+test('bumping the path edge while invulnerable costs nothing', () => {
+  game.start({ seed: 42 });
+  game.step(30);
+  game.playerController.invulnerableTime = 2; // Just revived
+
+  bumpLeftEdge();
+  assert.equal(game.isPlaying, true);
+  assert.equal(game.playerController.bumpedEdge, false);
+  assert.equal(game.playerController.stumbleTime, 0);
+  assert.equal(game.comboManager.multiplier, 2);
+  assert.equal(game.pursuer.isClose(), false);
+});
+
+test('bumping the path edge during shield grace costs nothing', () => {
+  game.start({ seed: 42 });
+  game.step(30);
+  game.powerUpManager.hitGrace = 2; // A shield has just absorbed a hit
+
+  bumpLeftEdge();
+  assert.equal(game.playerController.stumbleTime, 0);
+  assert.equal(game.comboManager.multiplier, 2);
+  assert.equal(game.pursuer.isClose(), false);
+});
+
+test('bumping the path edge otherwise stumbles and breaks the combo', () => {
+  game.start({ seed: 42 });
+  game.step(30);
+
+  bumpLeftEdge();
+  assert.equal(game.isPlaying, true);
+  assert.ok(game.playerController.stumbleTime > 0);
+  assert.equal(game.comboManager.multiplier, 1);
+  assert.equal(game.pursuer.isClose(), true);
+});
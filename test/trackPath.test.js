@@ -0,0 +1,61 @@
+/**
+ * Track path tests
+ * Ground height is sampled per lane: a ledge raises its own lane and leaves the lane next
+ * to it level, and the runner, obstacles and coins stand on whichever they are in.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BABYLON from 'babylonjs';
+import { TrackPath } from '../src/core/trackPath.js';
+import { PlayerController } from '../src/core/playerController.js';
+
+const LEFT = -2;
+const MIDDLE = 0;
+
+function raisedLeftLane() {
+  const track = new TrackPath();
+  track.addRamp(0, 20, 2); // The whole path climbs 2 first
+  track.addLedge(40, 20, 1.2, LEFT, 2);
+  return track;
+}
+
+test('a ledge raises its lane and leaves the lane next to it level', () => {
+  const track = raisedLeftLane();
+
+  assert.equal(track.getHeight(50, LEFT), 3.2);
+  assert.equal(track.getHeight(50, MIDDLE), 2);
+  // It slopes up from its start, and the lane is back at path height past its end
+  assert.equal(track.getHeight(40, LEFT), 2);
+  assert.ok(Math.abs(track.getHeight(42.5, LEFT) - 2.6) < 1e-9);
+  assert.equal(track.getHeight(60, LEFT), 2);
+  // Obstacles and coins are placed through getPosition, on the lane's own height
+  assert.equal(track.getPosition(50, LEFT, 1).y, 4.2);
+  assert.equal(track.getPosition(50, MIDDLE, 1).y, 3);
+});
+
+test('the runner stands on the height of the lane it is in', () => {
+  const engine = new BABYLON.NullEngine();
+  const scene = new BABYLON.Scene(engine);
+  const track = raisedLeftLane();
+  const player = new PlayerController(scene, track);
+  player.init(BABYLON.MeshBuilder.CreateBox('player', { size: 1 }, scene));
+  player.reset();
+  player.forwardSpeed = 0;
+
+  player.distance = 50;
+  player.update(1 / 60);
+  assert.equal(player.groundHeight, 2);
+  assert.equal(player.player.position.y, 2 + player.baseY);
+
+  player.moveLeft();
+  for (let i = 0; i < 30; i++) player.update(1 / 60);
+  assert.equal(player.lateral, LEFT);
+  assert.equal(player.groundHeight, 3.2);
+  assert.ok(Math.abs(player.player.position.y - (3.2 + player.baseY)) < 1e-9);
+  // The collider stands on the ledge too
+  assert.ok(Math.abs(player.collider.position.y - (3.2 + player.colliderHeight / 2)) < 1e-9);
+
+  scene.dispose();
+  engine.dispose();
+});
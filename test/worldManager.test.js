@@ -0,0 +1,50 @@
+/**
+ * World manager tests
+ * Chunks fill tiles with authored layouts, but never at the cost of a corner: the runner
+ * needs the square and the track either side of it clear to turn.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BABYLON from 'babylonjs';
+import { TrackPath } from '../src/core/trackPath.js';
+import { ObstacleManager } from '../src/core/obstacleManager.js';
+import { CoinManager } from '../src/core/coinManager.js';
+import { WorldManager } from '../src/core/worldManager.js';
+import { ChunkLibrary } from '../src/core/chunkLibrary.js';
+import { RandomService } from '../src/utils/random.js';
+
+test('a chunk on the tile after a corner drops obstacles inside the corner clearance', () => {
+  const engine = new BABYLON.NullEngine();
+  const scene = new BABYLON.Scene(engine);
+  scene.headless = true; // No canvas to paint path textures on
+  const random = new RandomService(1);
+  const track = new TrackPath();
+  const obstacleManager = new ObstacleManager(scene, null, random, track);
+  obstacleManager.init();
+  const coinManager = new CoinManager(scene, null, random, track);
+  const world = new WorldManager(scene, obstacleManager, coinManager, null, random, track);
+
+  // A corner tile centred at 100 turns 3m before its far end; the next tile starts at 110
+  const cornerTile = 100;
+  track.addTurn(cornerTile + world.tileLength / 2 - track.halfWidth, 'left');
+  const [chunk] = new ChunkLibrary([
+    {
+      id: 'after-corner',
+      difficulty: 'easy',
+      obstacles: [
+        { type: 'rock', lane: 1, offset: 2 },
+        { type: 'rock', lane: 1, offset: 12 },
+      ],
+    },
+  ]).chunks;
+  world.spawnChunk(chunk, cornerTile + world.tileLength / 2);
+
+  // The rock 5m past the corner centre is dropped; the one 15m past it is kept
+  const spawned = obstacleManager.obstacles.map((o) => o.obstacleData.distance);
+  assert.deepEqual(spawned, [122]);
+  assert.ok(spawned.every((d) => !track.isNearTurn(d, obstacleManager.cornerClearance)));
+
+  scene.dispose();
+  engine.dispose();
+});